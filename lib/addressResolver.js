@@ -0,0 +1,253 @@
+// lib/addressResolver.js
+//
+// Finds the listing a message is about from what people actually type: a
+// ListingId or ParcelNumber anywhere in it ("GF-1003", "APN 2401-001-001"),
+// or a street address written any which way and wrapped in a question
+// ("what's the HOA at 600 east colorado street apt 305?").
+//
+// Both sides are reduced to the same tokens first: suffixes and directions
+// get one spelling ("Street" = "St", "North" = "N", "Saint" = "St"), "#",
+// "apt", "unit", "suite" mark a unit. A street number must match exactly and
+// the street name may carry one typo per word; suffix, direction, unit, city
+// and zip then add or take away points. A suffix or direction only counts
+// against a listing when both sides have one and they differ, since the MLS
+// often leaves them blank. Every listing tied for the best score comes back,
+// so the caller can ask instead of guessing.
+
+const SUFFIXES = {
+  street: 'st', str: 'st', st: 'st',
+  avenue: 'ave', av: 'ave', ave: 'ave',
+  boulevard: 'blvd', blvd: 'blvd', blv: 'blvd',
+  drive: 'dr', dr: 'dr',
+  road: 'rd', rd: 'rd',
+  lane: 'ln', ln: 'ln',
+  court: 'ct', ct: 'ct',
+  place: 'pl', pl: 'pl',
+  way: 'way', wy: 'way',
+  terrace: 'ter', ter: 'ter',
+  circle: 'cir', cir: 'cir',
+  parkway: 'pkwy', pkwy: 'pkwy',
+  highway: 'hwy', hwy: 'hwy',
+  trail: 'trl', trl: 'trl',
+  square: 'sq', sq: 'sq',
+  plaza: 'plz', plz: 'plz',
+  alley: 'aly', aly: 'aly',
+  loop: 'loop',
+};
+
+const DIRECTIONS = {
+  north: 'n', n: 'n',
+  south: 's', s: 's',
+  east: 'e', e: 'e',
+  west: 'w', w: 'w',
+  northeast: 'ne', ne: 'ne',
+  northwest: 'nw', nw: 'nw',
+  southeast: 'se', se: 'se',
+  southwest: 'sw', sw: 'sw',
+};
+
+// words inside street names with a common short form
+const NAME_WORDS = { saint: 'st', mount: 'mt', fort: 'ft' };
+
+const SUFFIX_FORMS = new Set(Object.values(SUFFIXES));
+
+const UNIT_MARKERS = new Set(['#', 'apt', 'apartment', 'unit', 'suite', 'ste', 'space', 'spc', 'no']);
+
+// Street number + name is worth BASE; the rest adjusts it.
+const BASE = 10;
+const TYPO_COST = 2;
+const POINTS = { unit: 3, city: 1, zip: 1 };
+const PENALTY = { suffix: 3, direction: 3, zip: 2, unit: 4, unitMissing: 1 };
+const WINDOW = 14; // tokens after the street number worth looking at
+
+function canon(token) {
+  return SUFFIXES[token] || DIRECTIONS[token] || NAME_WORDS[token] || token;
+}
+
+// "600 E. Colorado St., #305" -> ["600", "e", "colorado", "st", "#", "305"]
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/#/g, ' # ')
+    .replace(/[^a-z0-9#\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(canon);
+}
+
+function compact(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Levenshtein distance, giving up past `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, cur[j]);
+    }
+    if (best > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 0 for the same word, 1 for a typo in a longer word, null for no match
+function wordCost(typed, actual) {
+  if (typed === actual) return 0;
+  if (actual.length < 4 || /^\d+$/.test(actual)) return null;
+  return editDistance(typed, actual, 1) <= 1 ? 1 : null;
+}
+
+// How a row's address reads as tokens. A suffix typed into StreetName
+// ("FOOTHILL BLVD") is moved to where it belongs.
+function addressParts(row) {
+  const name = tokenize(row.StreetName);
+  let suffix = tokenize(row.StreetSuffix).join(' ');
+  if (!suffix && name.length > 1 && SUFFIX_FORMS.has(name[name.length - 1])) {
+    suffix = name.pop();
+  }
+  return {
+    number: compact(row.StreetNumberNumeric || row.StreetNumber),
+    dir: tokenize(row.StreetDirPrefix).join(' '),
+    name,
+    suffix,
+    dirSuffix: tokenize(row.StreetDirSuffix).join(' '),
+    unit: compact(row.UnitNumber),
+    city: tokenize(row.City),
+    zip: String(row.PostalCode || '').trim().slice(0, 5),
+  };
+}
+
+// The unit typed after the street name: "# 305", "apt 4b", "unit 12"
+function typedUnit(tokens, from) {
+  for (let i = from; i < Math.min(tokens.length - 1, from + 4); i++) {
+    if (UNIT_MARKERS.has(tokens[i])) {
+      const next = tokens[i + 1] === '#' ? tokens[i + 2] : tokens[i + 1];
+      if (next && /\d/.test(next) && next.length <= 6) return next;
+    }
+  }
+  return null;
+}
+
+function includesRun(tokens, run) {
+  if (!run.length) return false;
+  for (let i = 0; i + run.length <= tokens.length; i++) {
+    if (run.every((t, k) => tokens[i + k] === t)) return true;
+  }
+  return false;
+}
+
+// { score, unitMismatch } for `parts` read from tokens[at] (the street
+// number), or null when the street doesn't match.
+function scoreAt(parts, tokens, at) {
+  let j = at + 1;
+  let score = BASE;
+
+  // a direction before the name, unless the name itself starts with it
+  if (DIRECTIONS[tokens[j]] && parts.name[0] !== tokens[j]) {
+    if (parts.dir && parts.dir !== tokens[j]) score -= PENALTY.direction;
+    j++;
+  }
+
+  for (const word of parts.name) {
+    const cost = tokens[j] == null ? null : wordCost(tokens[j], word);
+    if (cost == null) return null;
+    score -= cost * TYPO_COST;
+    j++;
+  }
+
+  if (SUFFIX_FORMS.has(tokens[j])) {
+    if (parts.suffix && parts.suffix !== tokens[j]) score -= PENALTY.suffix;
+    j++;
+  }
+  if (parts.dirSuffix && tokens[j] === parts.dirSuffix) j++;
+
+  const unit = typedUnit(tokens, j);
+  const unitMismatch = Boolean(unit && parts.unit && compact(unit) !== parts.unit);
+  if (unit) {
+    if (!parts.unit) score -= PENALTY.unitMissing;
+    else if (unitMismatch) score -= PENALTY.unit; // the right building, so offer its units
+    else score += POINTS.unit;
+  }
+
+  const rest = tokens.slice(j, at + WINDOW);
+  if (includesRun(rest, parts.city)) score += POINTS.city;
+  const zip = rest.find((t) => /^\d{5}$/.test(t));
+  if (zip) score += zip === parts.zip ? POINTS.zip : -PENALTY.zip;
+
+  return { score, unitMismatch };
+}
+
+/**
+ * rows: the MLS rows. resolve(text) returns { by, matches: [{ pos, score }],
+ * unitMismatch } where `by` is "listingId", "parcel" or "address", `matches`
+ * holds every row tied for the best score, in data order, and unitMismatch
+ * says the unit typed isn't one of theirs; or null when nothing matches.
+ */
+function createAddressIndex(rows) {
+  const byNumber = new Map(); // street number -> [{ pos, parts }]
+  const byId = new Map(); // compacted ListingId -> pos
+  const byParcel = new Map(); // compacted ParcelNumber -> [pos]
+
+  rows.forEach((row, pos) => {
+    const parts = addressParts(row);
+    if (parts.number && parts.name.length) {
+      if (!byNumber.has(parts.number)) byNumber.set(parts.number, []);
+      byNumber.get(parts.number).push({ pos, parts });
+    }
+    const id = compact(row.ListingId);
+    if (id.length >= 5 && !byId.has(id)) byId.set(id, pos);
+    const parcel = compact(row.ParcelNumber);
+    if (parcel.length >= 6) {
+      if (!byParcel.has(parcel)) byParcel.set(parcel, []);
+      byParcel.get(parcel).push(pos);
+    }
+  });
+
+  function byIdentifier(text) {
+    const words = String(text || '').split(/[\s,;:()?!]+/).map(compact).filter((w) => w.length >= 5);
+    for (const word of words) {
+      if (byId.has(word)) return { by: 'listingId', matches: [{ pos: byId.get(word), score: BASE }] };
+    }
+    for (const word of words) {
+      if (byParcel.has(word)) {
+        return { by: 'parcel', matches: byParcel.get(word).map((pos) => ({ pos, score: BASE })) };
+      }
+    }
+    return null;
+  }
+
+  return {
+    resolve(text) {
+      const id = byIdentifier(text);
+      if (id) return id;
+
+      const tokens = tokenize(text);
+      const scored = new Map(); // pos -> { score, unitMismatch }, the best reading
+      tokens.forEach((token, at) => {
+        (byNumber.get(token) || []).forEach(({ pos, parts }) => {
+          const result = scoreAt(parts, tokens, at);
+          if (result && !(scored.has(pos) && scored.get(pos).score >= result.score)) scored.set(pos, result);
+        });
+      });
+      if (!scored.size) return null;
+
+      const best = Math.max(...[...scored.values()].map((r) => r.score));
+      const tied = [...scored.entries()].filter(([, r]) => r.score === best).sort((a, b) => a[0] - b[0]);
+      return {
+        by: 'address',
+        matches: tied.map(([pos, r]) => ({ pos, score: r.score })),
+        unitMismatch: tied.some(([, r]) => r.unitMismatch),
+      };
+    },
+  };
+}
+
+module.exports = {
+  createAddressIndex,
+};
@@ -0,0 +1,70 @@
+// lib/auditLog.js
+//
+// One JSON line per chat turn: what was asked, what the planner returned,
+// the plan that actually ran, which rows matched and what was answered. When
+// an agent reports a wrong answer, this is the record to look it up in.
+//
+// The file rotates by size: audit.log -> audit.1.log -> audit.2.log ...,
+// keeping `maxFiles` old files and dropping the oldest.
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_BYTES = 5 * 1024 * 1024;
+const MAX_FILES = 5;
+
+function createAuditLog({ dir, maxBytes = MAX_BYTES, maxFiles = MAX_FILES, enabled = true } = {}) {
+  const file = dir ? path.join(dir, 'audit.log') : null;
+  const rotated = (n) => path.join(dir, `audit.${n}.log`);
+
+  function rotate() {
+    const oldest = rotated(maxFiles);
+    if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+    for (let n = maxFiles - 1; n >= 1; n--) {
+      if (fs.existsSync(rotated(n))) fs.renameSync(rotated(n), rotated(n + 1));
+    }
+    if (maxFiles > 0) fs.renameSync(file, rotated(1));
+    else fs.unlinkSync(file);
+  }
+
+  return {
+    file,
+    enabled: Boolean(enabled && file),
+
+    // Never throws: a full disk shouldn't take the chat down with it.
+    record(entry) {
+      if (!enabled || !file) return;
+      const line = JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n';
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+        if (size && size + Buffer.byteLength(line) > maxBytes) rotate();
+        fs.appendFileSync(file, line);
+      } catch (err) {
+        console.error('❌ Error writing audit log:', err.message);
+      }
+    },
+  };
+}
+
+// Parses an audit file back into entries (blank or torn lines skipped).
+function readAuditLog(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  createAuditLog,
+  readAuditLog,
+};
@@ -0,0 +1,274 @@
+// lib/changes.js
+//
+// Change tracking between MLS loads. Each load is reduced to a small
+// snapshot (ListingId -> address/status/price) and diffed against the
+// previous one, so the bot can answer "what's new since this morning?".
+// Every listing's asking price is also kept as a small history of the
+// prices seen across loads (and across older exports loaded side by side).
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_REPORTS = 200;
+const MAX_PRICE_POINTS = 50; // per listing, oldest dropped first
+
+/**
+ * describe(row) -> { address, status, price }
+ */
+function snapshotOf(rows, describe) {
+  const snapshot = {};
+  rows.forEach((row) => {
+    const id = String(row.ListingId || '').trim();
+    if (id) snapshot[id] = describe(row);
+  });
+  return snapshot;
+}
+
+function samePrice(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (Number.isNaN(na) || Number.isNaN(nb)) return String(a) === String(b);
+  return na === nb;
+}
+
+function diffSnapshots(prev, next) {
+  const newListings = [];
+  const removedListings = [];
+  const statusChanges = [];
+  const priceChanges = [];
+
+  Object.entries(next).forEach(([id, cur]) => {
+    const old = prev[id];
+    if (!old) {
+      newListings.push({ listingId: id, ...cur });
+      return;
+    }
+    if ((old.status || '') !== (cur.status || '')) {
+      statusChanges.push({
+        listingId: id,
+        address: cur.address,
+        from: old.status,
+        to: cur.status,
+      });
+    }
+    if (!samePrice(old.price, cur.price)) {
+      priceChanges.push({
+        listingId: id,
+        address: cur.address,
+        from: old.price,
+        to: cur.price,
+      });
+    }
+  });
+
+  Object.entries(prev).forEach(([id, old]) => {
+    if (!next[id]) removedListings.push({ listingId: id, ...old });
+  });
+
+  return { newListings, removedListings, statusChanges, priceChanges };
+}
+
+/**
+ * Folds several consecutive reports into one: a listing added then removed
+ * disappears, and status/price changes keep the first "from" and last "to".
+ */
+function mergeReports(reports) {
+  const added = new Map();
+  const removed = new Map();
+  const status = new Map();
+  const price = new Map();
+
+  const chain = (map, change) => {
+    const prior = map.get(change.listingId);
+    map.set(change.listingId, prior ? { ...change, from: prior.from } : change);
+  };
+
+  reports.forEach((r) => {
+    r.newListings.forEach((l) => {
+      if (removed.has(l.listingId)) removed.delete(l.listingId);
+      else added.set(l.listingId, l);
+    });
+    r.removedListings.forEach((l) => {
+      if (added.has(l.listingId)) added.delete(l.listingId);
+      else removed.set(l.listingId, l);
+      status.delete(l.listingId);
+      price.delete(l.listingId);
+    });
+    r.statusChanges.forEach((c) => chain(status, c));
+    r.priceChanges.forEach((c) => chain(price, c));
+  });
+
+  const changed = (map) =>
+    [...map.values()].filter((c) =>
+      map === price ? !samePrice(c.from, c.to) : c.from !== c.to
+    );
+
+  return {
+    newListings: [...added.values()],
+    removedListings: [...removed.values()],
+    statusChanges: changed(status),
+    priceChanges: changed(price),
+  };
+}
+
+/**
+ * Adds { at, price } to a listing's history, kept oldest first with only
+ * the points where the price actually changed.
+ */
+function addPricePoint(history, point) {
+  const points = [...history, point].sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+  const changes = points.filter((p, i) => i === 0 || !samePrice(points[i - 1].price, p.price));
+  return changes.slice(-MAX_PRICE_POINTS);
+}
+
+// -------------------- CHANGE LOG --------------------
+function sameFiles(a, b) {
+  const list = (files) => [...(files || [])].sort().join('\n');
+  return list(a) === list(b);
+}
+
+function createChangeLog({ file, maxReports = MAX_REPORTS } = {}) {
+  let snapshot = null;
+  let reports = [];
+  let prices = {}; // ListingId -> [{ at, price }]
+
+  if (file && fs.existsSync(file)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      snapshot = saved.snapshot || null;
+      reports = Array.isArray(saved.reports) ? saved.reports : [];
+      prices = saved.prices && typeof saved.prices === 'object' ? saved.prices : {};
+    } catch (err) {
+      console.error('❌ Error loading change log:', err.message);
+    }
+  }
+
+  function flush() {
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ snapshot, reports, prices }));
+    } catch (err) {
+      console.error('❌ Error writing change log:', err.message);
+    }
+  }
+
+  return {
+    /**
+     * Diffs rows against the previous load and stores the report.
+     * The very first load has nothing to compare to and is marked baseline.
+     * A reload that changed nothing (a manual reload, a CSV merely
+     * re-saved) is not stored, so latest() keeps pointing at the load that
+     * did change something.
+     */
+    record(rows, describe, meta = {}) {
+      const next = snapshotOf(rows, describe);
+      const diff = snapshot
+        ? diffSnapshots(snapshot, next)
+        : { newListings: [], removedListings: [], statusChanges: [], priceChanges: [] };
+
+      const report = {
+        loadedAt: new Date().toISOString(),
+        baseline: !snapshot,
+        total: Object.keys(next).length,
+        ...meta,
+        ...diff,
+      };
+
+      const previous = reports[reports.length - 1];
+      const unchanged =
+        !report.baseline &&
+        Object.values(diff).every((list) => !list.length) &&
+        previous &&
+        sameFiles(previous.files, meta.files);
+      snapshot = next;
+      if (unchanged) return report;
+
+      reports.push(report);
+      if (reports.length > maxReports) reports = reports.slice(-maxReports);
+      flush();
+      return report;
+    },
+
+    /**
+     * points: [{ listingId, at (ISO), price }] from one load, in any order.
+     * A point older than what is already known slots into place, so an old
+     * export dropped in later still fills in the history.
+     */
+    recordPrices(points) {
+      points.forEach(({ listingId, at, price }) => {
+        const id = String(listingId || '').trim();
+        if (!id || price === '' || price == null) return;
+        prices[id] = addPricePoint(prices[id] || [], { at, price });
+      });
+      flush();
+    },
+
+    // [{ at, price }] oldest first; each point is a price first seen at `at`.
+    priceHistory(listingId) {
+      return prices[String(listingId || '').trim()] || [];
+    },
+
+    latest() {
+      return reports[reports.length - 1] || null;
+    },
+
+    // Reports for loads at or after `since` (a Date), oldest first.
+    since(since) {
+      const t = since.getTime();
+      return reports.filter((r) => new Date(r.loadedAt).getTime() >= t);
+    },
+
+    get reports() {
+      return reports;
+    },
+  };
+}
+
+// -------------------- "SINCE" PARSING --------------------
+/**
+ * Understands ISO dates and phrases like "this morning", "today",
+ * "yesterday", "this week", "3 days", "12 hours", "last load".
+ * Returns a Date, or null for "last load" (= only the latest report).
+ */
+function parseSince(value, now = new Date()) {
+  if (value == null || value === '') return null;
+  const text = String(value).trim().toLowerCase();
+
+  const startOfDay = new Date(now);
+  startOfDay.setHours(0, 0, 0, 0);
+
+  if (/^(last|latest|previous) (load|reload|update|import)$/.test(text)) return null;
+  if (/^(today|this morning)$/.test(text)) return startOfDay;
+  if (text === 'this afternoon') {
+    return new Date(startOfDay.getTime() + 12 * 3600 * 1000);
+  }
+  if (text === 'yesterday') {
+    return new Date(startOfDay.getTime() - 24 * 3600 * 1000);
+  }
+  if (text === 'this week') {
+    const d = new Date(startOfDay);
+    d.setDate(d.getDate() - d.getDay());
+    return d;
+  }
+
+  const rel = text.match(/^(?:last |past )?(\d+)\s*(hours?|hrs?|h|days?|d|weeks?|w)(?: ago)?$/);
+  if (rel) {
+    const n = Number(rel[1]);
+    const unit = rel[2][0];
+    const ms = unit === 'h' ? 3600e3 : unit === 'd' ? 86400e3 : 7 * 86400e3;
+    return new Date(now.getTime() - n * ms);
+  }
+
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+module.exports = {
+  snapshotOf,
+  diffSnapshots,
+  mergeReports,
+  addPricePoint,
+  createChangeLog,
+  parseSince,
+};
@@ -0,0 +1,157 @@
+// lib/conversations.js
+//
+// Chat history kept on the server so a refresh (or another day) doesn't lose
+// it. Each conversation stores its messages — with the plan and result set
+// behind every answer — plus a snapshot of the session's list context, so a
+// resumed chat still knows what "#5" means. The caller keeps that snapshot
+// small (ListingIds, not rows). Only the newest MAX_CONVERSATIONS_PER_OWNER
+// per owner are kept, and writes go out in the background, one at a time, so
+// a chat turn never waits on the disk.
+//
+// Stored as JSON: { conversations: [{ id, title, audience, owner, createdAt,
+//   updatedAt, messages: [{ role, content, at, plan?, results?, download? }],
+//   context }] }
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_MESSAGES = 500; // per conversation, oldest dropped first
+const MAX_CONVERSATIONS_PER_OWNER = 100; // least recently used dropped first
+const TITLE_LENGTH = 60;
+
+// First line of the first question, trimmed to fit the sidebar
+function titleFrom(text) {
+  const line = String(text || '').trim().split('\n')[0];
+  if (!line) return 'New chat';
+  return line.length > TITLE_LENGTH ? line.slice(0, TITLE_LENGTH - 1).trimEnd() + '…' : line;
+}
+
+function createConversationStore({
+  file,
+  maxMessages = MAX_MESSAGES,
+  maxPerOwner = MAX_CONVERSATIONS_PER_OWNER,
+} = {}) {
+  let conversations = [];
+  let writing = null; // the write in flight, if any
+  let dirty = false; // changed since that write started
+
+  if (file && fs.existsSync(file)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      conversations = Array.isArray(saved.conversations) ? saved.conversations : [];
+    } catch (err) {
+      console.error('❌ Error loading conversations:', err.message);
+    }
+  }
+
+  // Changes that land while a write is in flight go out together in the
+  // next one, so a busy chat writes the file at most once at a time.
+  function flush() {
+    if (!file) return;
+    dirty = true;
+    if (writing) return;
+    dirty = false;
+    writing = fs.promises
+      .mkdir(path.dirname(file), { recursive: true })
+      .then(() => fs.promises.writeFile(file, JSON.stringify({ conversations })))
+      .catch((err) => console.error('❌ Error writing conversations:', err.message))
+      .then(() => {
+        writing = null;
+        if (dirty) flush();
+      });
+  }
+
+  // Drops the owner's least recently used conversations past maxPerOwner.
+  function trim(owner) {
+    const theirs = conversations
+      .filter((c) => c.owner === owner)
+      .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+    if (theirs.length <= maxPerOwner) return;
+    const dropped = new Set(theirs.slice(maxPerOwner));
+    conversations = conversations.filter((c) => !dropped.has(c));
+  }
+
+  function get(id) {
+    return conversations.find((c) => c.id === id) || null;
+  }
+
+  return {
+    get,
+
+    /**
+     * Newest first. options:
+     *   owner    -> only conversations started by that client
+     *   audience -> only conversations started by that audience
+     *   q        -> case-insensitive match on the title or any message
+     */
+    list({ owner = null, audience = null, q = '' } = {}) {
+      const needle = String(q || '').trim().toLowerCase();
+      return conversations
+        .filter((c) => !owner || c.owner === owner)
+        .filter((c) => !audience || c.audience === audience)
+        .filter(
+          (c) =>
+            !needle ||
+            c.title.toLowerCase().includes(needle) ||
+            c.messages.some((m) => String(m.content || '').toLowerCase().includes(needle))
+        )
+        .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+    },
+
+    create({ audience, owner, title }) {
+      const now = new Date().toISOString();
+      const convo = {
+        id: crypto.randomBytes(8).toString('hex'),
+        title: titleFrom(title),
+        audience,
+        owner,
+        createdAt: now,
+        updatedAt: now,
+        messages: [],
+        context: null,
+      };
+      conversations.push(convo);
+      trim(owner);
+      return convo;
+    },
+
+    rename(id, title) {
+      const convo = get(id);
+      if (!convo) return { error: 'Conversation not found.' };
+      const clean = String(title || '').trim();
+      if (!clean) return { error: 'The new title is empty.' };
+      convo.title = clean.slice(0, 200);
+      convo.updatedAt = new Date().toISOString();
+      flush();
+      return convo;
+    },
+
+    remove(id) {
+      const convo = get(id);
+      if (!convo) return { error: 'Conversation not found.' };
+      conversations = conversations.filter((c) => c !== convo);
+      flush();
+      return convo;
+    },
+
+    // Adds one turn's messages and replaces the saved list context, which
+    // is kept as given — pass a compact, JSON-safe snapshot.
+    append(convo, messages, context) {
+      const at = new Date().toISOString();
+      convo.messages.push(...messages.map((m) => ({ ...m, at })));
+      if (convo.messages.length > maxMessages) {
+        convo.messages = convo.messages.slice(-maxMessages);
+      }
+      convo.context = context || null;
+      convo.updatedAt = at;
+      flush();
+      return convo;
+    },
+  };
+}
+
+module.exports = {
+  titleFrom,
+  createConversationStore,
+};
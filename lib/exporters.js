@@ -0,0 +1,401 @@
+// lib/exporters.js
+//
+// Turns a table of results into downloadable files:
+//   toCsv(columns, rows)    -> String
+//   toXlsx(columns, rows)   -> Buffer (a single-sheet workbook)
+//   renderFlyer(listings)   -> String (print-ready HTML, one page per listing)
+//   renderListingPage(l)    -> String (the shareable web page for one listing)
+// `columns` is [{ label, type }] and `rows` is an array of value arrays in
+// column order, with values typed the way the results table sends them
+// (numbers, ISO date strings, plain strings).
+
+const zlib = require('zlib');
+
+function isBlank(value) {
+  return value == null || value === '';
+}
+
+function dateOnly(value) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return String(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Text a spreadsheet would run as a formula ("=HYPERLINK(...)", "+1...",
+// "@SUM(...)"). MLS remarks are typed by whoever listed the home.
+function looksLikeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value);
+}
+
+// -------------------- CSV --------------------
+function csvCell(value, type) {
+  if (isBlank(value)) return '';
+  let text = type === 'date' ? dateOnly(value) : String(value);
+  if (type !== 'date' && looksLikeFormula(value)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map((c) => csvCell(c.label, 'string')).join(',')];
+  rows.forEach((values) => {
+    lines.push(values.map((v, i) => csvCell(v, columns[i].type)).join(','));
+  });
+  // BOM so Excel opens it as UTF-8
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// -------------------- ZIP (for XLSX) --------------------
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Minimal deflate-only zip writer: [{ name, data: Buffer|String }] -> Buffer
+function zipFiles(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    const packed = zlib.deflateRawSync(raw);
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // utf-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(0, 10); // time/date
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(0, 12);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, packed);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + packed.length;
+  });
+
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+// -------------------- XLSX --------------------
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // control characters aren't allowed in XML
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function columnLetter(n) {
+  let s = '';
+  for (let i = n + 1; i > 0; i = Math.floor((i - 1) / 26)) {
+    s = String.fromCharCode(65 + ((i - 1) % 26)) + s;
+  }
+  return s;
+}
+
+// days since 1899-12-30, in local time like the MLS dates themselves
+function excelDate(value) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+  return (d.getTime() - d.getTimezoneOffset() * 60000) / 86400000 + 25569;
+}
+
+// style ids in STYLES_XML: 1 = bold header, 2 = currency, 3 = date,
+// 4 = quote-prefixed text (shown as typed, never run as a formula)
+const STYLES_XML =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="1"><numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+  '<fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="5">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" quotePrefix="1"/>' +
+  '</cellXfs></styleSheet>';
+
+function xlsxCell(ref, value, type, header) {
+  if (isBlank(value)) return '';
+  if (!header && type === 'date') {
+    const serial = excelDate(value);
+    if (serial != null) return `<c r="${ref}" s="3"><v>${serial}</v></c>`;
+  }
+  if (!header && typeof value === 'number' && Number.isFinite(value)) {
+    const style = type === 'currency' ? ' s="2"' : '';
+    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+  }
+  const style = header ? ' s="1"' : looksLikeFormula(value) ? ' s="4"' : '';
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function toXlsx(columns, rows, { sheetName = 'Listings' } = {}) {
+  const sheetRows = [columns.map((c) => c.label), ...rows].map((values, r) => {
+    const cells = values
+      .map((v, c) => xlsxCell(`${columnLetter(c)}${r + 1}`, v, columns[c].type, r === 0))
+      .join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  });
+
+  const widths = columns
+    .map((c, i) => {
+      const longest = Math.max(
+        String(c.label).length,
+        ...rows.map((values) => (isBlank(values[i]) ? 0 : String(values[i]).length))
+      );
+      const width = Math.min(Math.max(longest + 2, 8), 60);
+      return `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`;
+    })
+    .join('');
+
+  const sheet =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>' +
+    (widths ? `<cols>${widths}</cols>` : '') +
+    `<sheetData>${sheetRows.join('')}</sheetData></worksheet>`;
+
+  const safeName = escapeXml(String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+
+  return zipFiles([
+    {
+      name: '[Content_Types].xml',
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${safeName}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>',
+    },
+    { name: 'xl/worksheets/sheet1.xml', data: sheet },
+    { name: 'xl/styles.xml', data: STYLES_XML },
+  ]);
+}
+
+// -------------------- FLYER --------------------
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const FLYER_CSS = `
+  body { margin: 0; font-family: Georgia, "Times New Roman", serif; color: #111827; background: #f3f4f6; }
+  .toolbar { padding: 12px; text-align: center; font-family: system-ui, sans-serif; }
+  .toolbar button { padding: 8px 16px; border-radius: 999px; border: 1px solid #16a34a; background: #22c55e; cursor: pointer; }
+  .flyer { background: #fff; width: 8.5in; min-height: 10in; margin: 0 auto 24px; padding: 0.6in; box-sizing: border-box; }
+  .flyer h1 { font-size: 28px; margin: 0 0 4px; }
+  .flyer .price { font-size: 34px; font-weight: bold; color: #15803d; margin: 8px 0 20px; }
+  .flyer .facts { display: grid; grid-template-columns: 1fr 1fr; gap: 6px 24px; margin-bottom: 20px; font-family: system-ui, sans-serif; font-size: 14px; }
+  .flyer .facts div { border-bottom: 1px solid #e5e7eb; padding: 4px 0; }
+  .flyer .facts span { color: #6b7280; }
+  .flyer .remarks { font-size: 15px; line-height: 1.5; }
+  .flyer footer { margin-top: 24px; font-size: 11px; color: #6b7280; font-family: system-ui, sans-serif; }
+  @page { size: letter; margin: 0; }
+  @media print {
+    body { background: #fff; }
+    .toolbar { display: none; }
+    .flyer { margin: 0; page-break-after: always; }
+    .flyer:last-child { page-break-after: auto; }
+  }
+`;
+
+/**
+ * listings: [{ address, price, facts: [{ label, value }], remarks }]
+ * Opens with a "Print / Save as PDF" button; the browser's print dialog
+ * produces the PDF.
+ */
+function renderFlyer(listings, { title = 'Property Flyer', generatedAt = new Date() } = {}) {
+  const pages = listings.map((l) => {
+    const facts = l.facts
+      .filter((f) => !isBlank(f.value))
+      .map((f) => `<div><span>${escapeHtml(f.label)}:</span> ${escapeHtml(f.value)}</div>`)
+      .join('');
+    return (
+      '<section class="flyer">' +
+      `<h1>${escapeHtml(l.address)}</h1>` +
+      (isBlank(l.price) ? '' : `<div class="price">${escapeHtml(l.price)}</div>`) +
+      (facts ? `<div class="facts">${facts}</div>` : '') +
+      (isBlank(l.remarks) ? '' : `<p class="remarks">${escapeHtml(l.remarks)}</p>`) +
+      `<footer>Information deemed reliable but not guaranteed. Generated ${escapeHtml(
+        generatedAt.toLocaleDateString()
+      )}.</footer>` +
+      '</section>'
+    );
+  });
+
+  return (
+    '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">' +
+    `<title>${escapeHtml(title)}</title><style>${FLYER_CSS}</style></head><body>` +
+    '<div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>' +
+    pages.join('') +
+    '</body></html>'
+  );
+}
+
+// -------------------- LISTING PAGE --------------------
+const PAGE_CSS = `
+  body { margin: 0; font-family: system-ui, sans-serif; color: #111827; background: #f3f4f6; }
+  main { background: #fff; max-width: 8.5in; margin: 24px auto; padding: 0.5in; box-sizing: border-box; }
+  h1 { font-family: Georgia, "Times New Roman", serif; font-size: 28px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 24px 0 8px; color: #374151; }
+  .price { font-size: 32px; font-weight: bold; color: #15803d; margin: 8px 0 16px; }
+  .actions { display: flex; gap: 8px; flex-wrap: wrap; margin-bottom: 16px; }
+  .actions a, .actions button { padding: 8px 16px; border-radius: 999px; border: 1px solid #16a34a; background: #22c55e; color: #111827; font: inherit; font-size: 14px; text-decoration: none; cursor: pointer; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 6px 24px; margin: 0; font-size: 14px; }
+  dt { color: #6b7280; }
+  dd { margin: 0; }
+  .remarks { font-size: 15px; line-height: 1.5; }
+  footer { margin-top: 24px; font-size: 11px; color: #6b7280; }
+  @page { size: letter; margin: 0.5in; }
+  @media print {
+    body { background: #fff; }
+    main { margin: 0; padding: 0; max-width: none; }
+    .actions { display: none; }
+    .tour-url { display: block; }
+  }
+  .tour-url { display: none; font-size: 12px; word-break: break-all; }
+`;
+
+function definitionList(items) {
+  const shown = items.filter((i) => !isBlank(i.value));
+  if (!shown.length) return '';
+  return `<dl>${shown.map((i) => `<dt>${escapeHtml(i.label)}</dt><dd>${escapeHtml(i.value)}</dd>`).join('')}</dl>`;
+}
+
+/**
+ * listing: { address, price, facts: [{ label, value }], schools: [{ label,
+ * value }], tourUrl, remarks }. The caller decides what is fit to show; this
+ * only lays it out. On paper the buttons drop away and the tour link is
+ * printed as text.
+ */
+function renderListingPage(listing, { title, generatedAt = new Date(), expiresAt = null } = {}) {
+  const facts = definitionList(listing.facts || []);
+  const schools = definitionList(listing.schools || []);
+  const tour = isBlank(listing.tourUrl) ? '' : escapeHtml(listing.tourUrl);
+  const notes = [`Generated ${generatedAt.toLocaleDateString()}.`];
+  if (expiresAt) notes.push(`This link works until ${new Date(expiresAt).toLocaleDateString()}.`);
+
+  return (
+    '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1">' +
+    '<meta name="robots" content="noindex">' +
+    `<title>${escapeHtml(title || listing.address)}</title><style>${PAGE_CSS}</style></head><body><main>` +
+    `<h1>${escapeHtml(listing.address)}</h1>` +
+    (isBlank(listing.price) ? '' : `<div class="price">${escapeHtml(listing.price)}</div>`) +
+    '<div class="actions">' +
+    (tour ? `<a href="${tour}" target="_blank" rel="noopener noreferrer">Virtual tour</a>` : '') +
+    '<button onclick="window.print()">Print / Save as PDF</button></div>' +
+    (tour ? `<p class="tour-url">Virtual tour: ${tour}</p>` : '') +
+    (facts ? `<h2>Details</h2>${facts}` : '') +
+    (schools ? `<h2>Schools</h2>${schools}` : '') +
+    (isBlank(listing.remarks) ? '' : `<h2>Description</h2><p class="remarks">${escapeHtml(listing.remarks)}</p>`) +
+    `<footer>Information deemed reliable but not guaranteed. ${escapeHtml(notes.join(' '))}</footer>` +
+    '</main></body></html>'
+  );
+}
+
+/**
+ * The page shown instead of a listing ("This link has expired", ...), with
+ * the same look.
+ */
+function renderNoticePage(heading, message) {
+  return (
+    '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1">' +
+    '<meta name="robots" content="noindex">' +
+    `<title>${escapeHtml(heading)}</title><style>${PAGE_CSS}</style></head><body><main>` +
+    `<h1>${escapeHtml(heading)}</h1><p>${escapeHtml(message)}</p>` +
+    '</main></body></html>'
+  );
+}
+
+module.exports = {
+  toCsv,
+  toXlsx,
+  renderFlyer,
+  renderListingPage,
+  renderNoticePage,
+  escapeHtml,
+  zipFiles,
+  crc32,
+};
@@ -0,0 +1,144 @@
+// lib/fieldDictionary.js
+//
+// The one place friendly names live. fields.json (FIELD_DICTIONARY_FILE)
+// gives each column its display label, the synonyms people use for it, and
+// how to format its values:
+//   {
+//     "fields": {
+//       "LivingArea": {
+//         "label": "Living area",
+//         "synonyms": ["sqft", "square footage"],
+//         "format": "number",         // currency | number | percent
+//         "unit": "sq ft",            // appended after the value ("/mo" sticks to it)
+//         "description": "..."        // shown to the planner next to the name
+//       }
+//     }
+//   }
+// The column resolver, the planner prompt's FRIENDLY NAME section, value
+// formatting and "what fields can I ask about?" are all built from it.
+
+const fs = require('fs');
+
+const FORMATS = ['currency', 'number', 'percent'];
+
+function loadDictionaryFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error('❌ Error loading field dictionary:', err.message);
+    return null;
+  }
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim().replace(/[$,]/g, '');
+  return text === '' ? NaN : Number(text);
+}
+
+/**
+ * spec: the parsed dictionary ({ fields: { Column: entry } }), or use
+ * `file` to read it. Entries with an unknown format, and synonyms already
+ * claimed by another column, are reported and skipped.
+ */
+function createFieldDictionary({ file, spec } = {}) {
+  const source = spec || (file ? loadDictionaryFile(file) : null) || { fields: {} };
+  const entries = [];
+  const byPhrase = new Map(); // lowercased synonym or column name -> column
+
+  Object.entries(source.fields || {}).forEach(([name, raw]) => {
+    const entry = {
+      name,
+      label: raw.label || name,
+      synonyms: Array.isArray(raw.synonyms) ? raw.synonyms.map((s) => String(s).trim()).filter(Boolean) : [],
+      format: raw.format || null,
+      unit: raw.unit || null,
+      description: raw.description || null,
+    };
+    if (entry.format && !FORMATS.includes(entry.format)) {
+      console.warn(`⚠️ Field dictionary: ${name} has unknown format "${entry.format}" (use ${FORMATS.join(', ')}).`);
+      entry.format = null;
+    }
+    entries.push(entry);
+
+    [name, ...entry.synonyms].forEach((phrase) => {
+      const key = phrase.toLowerCase();
+      const owner = byPhrase.get(key);
+      if (owner && owner !== name) {
+        console.warn(`⚠️ Field dictionary: "${phrase}" is listed for both ${owner} and ${name}; keeping ${owner}.`);
+        return;
+      }
+      byPhrase.set(key, name);
+    });
+  });
+
+  const byName = new Map(entries.map((e) => [e.name, e]));
+
+  function withUnit(text, unit) {
+    if (!unit) return text;
+    return /^[/%]/.test(unit) ? text + unit : `${text} ${unit}`;
+  }
+
+  return {
+    entries() {
+      return entries;
+    },
+
+    get(name) {
+      return byName.get(name) || null;
+    },
+
+    // The column a friendly name (or a column name in any case) stands for,
+    // or undefined when the dictionary doesn't know it.
+    resolve(phrase) {
+      return byPhrase.get(String(phrase || '').trim().toLowerCase());
+    },
+
+    label(name) {
+      const entry = byName.get(name);
+      return entry ? entry.label : name;
+    },
+
+    /**
+     * Display text for a value: "$605,000", "1,200 sq ft", "3.1%", "$4,770/mo".
+     * Blank stays blank; text that isn't a number is returned as is. Columns
+     * without a format are left alone unless `fallback` names one.
+     */
+    format(name, value, { fallback = null } = {}) {
+      if (value == null || String(value).trim() === '') return '';
+      const entry = byName.get(name);
+      const format = (entry && entry.format) || fallback;
+      if (!format) return value;
+      const num = toNumber(value);
+      if (Number.isNaN(num)) return value;
+
+      const text = Math.abs(num).toLocaleString(undefined, { maximumFractionDigits: 2 });
+      const sign = num < 0 ? '-' : '';
+      const unit = entry && entry.unit;
+      if (format === 'currency') return withUnit(`${sign}$${text}`, unit);
+      if (format === 'percent') return withUnit(`${sign}${text}%`, unit);
+      return withUnit(sign + text, unit);
+    },
+
+    /**
+     * The planner prompt's friendly-name lines. `virtual` names the columns
+     * the server computes, which are marked so the model knows they exist
+     * even though they aren't CSV headers.
+     */
+    promptLines({ virtual = [] } = {}) {
+      return entries
+        .filter((e) => e.synonyms.length)
+        .map((e) => {
+          const names = e.synonyms.map((s) => `"${s}"`).join(', ');
+          const notes = [virtual.includes(e.name) ? 'virtual' : null, e.description].filter(Boolean);
+          return `- ${names} -> "${e.name}"${notes.length ? ` (${notes.join(': ')})` : ''}`;
+        })
+        .join('\n');
+    },
+  };
+}
+
+module.exports = {
+  FORMATS,
+  createFieldDictionary,
+};
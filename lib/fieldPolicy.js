@@ -0,0 +1,111 @@
+// lib/fieldPolicy.js
+//
+// Which MLS columns each audience may see. "agent" sees everything; "public"
+// (buyers, sellers, anyone outside the brokerage) never gets showing
+// instructions, private remarks or agent-only contact details.
+//
+// A policy file (FIELD_POLICY_FILE) can replace the defaults:
+//   {
+//     "audiences": {
+//       "public": { "deny": ["PrivateRemarks", "Showing*"], "allow": null }
+//     }
+//   }
+// "deny" and "allow" take column names with * wildcards. When "allow" is a
+// list, only those columns are visible (minus anything denied).
+
+const fs = require('fs');
+
+const AUDIENCES = ['agent', 'public'];
+
+const DEFAULT_POLICY = {
+  audiences: {
+    agent: { deny: [], allow: null },
+    public: {
+      deny: [
+        'PrivateRemarks',
+        'SyndicationRemarks',
+        'Showing*',
+        'LockBox*',
+        'SerialX*',
+        'SerialU',
+        'AccessCode*',
+        'ContactOrder*',
+        'OwnerName',
+        'OccupantName',
+        'OccupantPhone',
+        'OccupantType',
+        'CoListAgent*Phone*',
+        'CoListAgent*Email',
+        'CoListAgent*Fax',
+        'CoListAgent*Pager',
+        'CoListAgent*VoiceMail*',
+        'ListAgentHomePhone*',
+        'ListAgentPager',
+        'ListAgentVoiceMail*',
+        'OtherPhone*',
+        'BuyerAgencyCompensation*',
+        'DualVariableCompensationYN',
+      ],
+      allow: null,
+    },
+  },
+};
+
+function patternToRegExp(pattern) {
+  const escaped = String(pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function compileRule(rule = {}) {
+  return {
+    deny: (rule.deny || []).map(patternToRegExp),
+    allow: Array.isArray(rule.allow) ? rule.allow.map(patternToRegExp) : null,
+  };
+}
+
+function loadPolicyFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error('❌ Error loading field policy:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Virtual fields computed by the server ("Address", "Distance") are always
+ * visible; everything else goes through the audience's rule.
+ */
+function createFieldPolicy({ file, policy } = {}) {
+  const source = policy || (file && loadPolicyFile(file)) || DEFAULT_POLICY;
+  const rules = {};
+  AUDIENCES.forEach((audience) => {
+    const rule =
+      (source.audiences && source.audiences[audience]) ||
+      DEFAULT_POLICY.audiences[audience];
+    rules[audience] = compileRule(rule);
+  });
+
+  function ruleFor(audience) {
+    return rules[audience] || rules.public; // unknown audience: most restrictive
+  }
+
+  function isAllowed(audience, column) {
+    if (!column) return true;
+    const rule = ruleFor(audience);
+    if (rule.deny.some((re) => re.test(column))) return false;
+    if (rule.allow && !rule.allow.some((re) => re.test(column))) return false;
+    return true;
+  }
+
+  return { isAllowed, audiences: AUDIENCES };
+}
+
+module.exports = {
+  AUDIENCES,
+  DEFAULT_POLICY,
+  createFieldPolicy,
+};
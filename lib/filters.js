@@ -0,0 +1,130 @@
+// lib/filters.js
+//
+// The plan's filter grammar. A filter is either a leaf
+//   { column, op, value }          (or a geo filter, see lib/geo.js)
+// or a group
+//   { and: [filter, ...] }   { or: [filter, ...] }   { not: filter }
+// and a plan's top-level "filters" array is an implicit "and".
+//
+// Leaf ops beyond the single-value ones:
+//   in / not_in     value: ["91331", "91340"] (or "91331, 91340")
+//   between         value: [600000, 750000] (inclusive; or { min, max })
+//   within_last     value: "7 days" — dates from (anchor - 7 days) to anchor
+//   older_than      value: "30 days" — dates before (anchor - 30 days)
+// The anchor for relative dates is when the MLS data was loaded, not "now".
+
+const GROUP_KEYS = ['and', 'or', 'not'];
+const RELATIVE_DATE_OPS = ['within_last', 'older_than'];
+const SPAN_UNITS = {
+  h: 'hours',
+  d: 'days',
+  w: 'weeks',
+  m: 'months',
+  y: 'years',
+};
+
+function groupKind(filter) {
+  if (!filter || typeof filter !== 'object' || filter.op) return null;
+  return GROUP_KEYS.find((key) => filter[key] !== undefined) || null;
+}
+
+function groupChildren(filter) {
+  const kind = groupKind(filter);
+  if (!kind) return [];
+  const children = filter[kind];
+  return Array.isArray(children) ? children : [children];
+}
+
+// Every leaf filter in the tree, in order.
+function filterLeaves(filters) {
+  const leaves = [];
+  const walk = (f) => {
+    if (groupKind(f)) groupChildren(f).forEach(walk);
+    else if (f) leaves.push(f);
+  };
+  (filters || []).forEach(walk);
+  return leaves;
+}
+
+// Copy of the tree with fn(leaf) applied to each leaf.
+function mapFilterLeaves(filters, fn) {
+  const map = (f) => {
+    const kind = groupKind(f);
+    if (!kind) return fn(f);
+    const children = f[kind];
+    return { [kind]: Array.isArray(children) ? children.map(map) : map(children) };
+  };
+  return (filters || []).map(map);
+}
+
+// "91331, 91340" or ["91331", "91340"] -> ["91331", "91340"]
+function listValue(value) {
+  if (Array.isArray(value)) return value.filter((v) => v != null && v !== '');
+  if (value == null || value === '') return [];
+  return String(value)
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// [lo, hi] or { min, max } -> [lo, hi]; either end may be null (open)
+function rangeValue(value) {
+  if (Array.isArray(value) && value.length === 2) return value;
+  if (value && typeof value === 'object' && ('min' in value || 'max' in value)) {
+    return [value.min ?? null, value.max ?? null];
+  }
+  return null;
+}
+
+/**
+ * "7 days", "2 weeks", "3 months", "48h", { amount: 7, unit: "days" }, or a
+ * bare number of days. Returns { amount, unit } or null.
+ */
+function parseRelativeSpan(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return value > 0 ? { amount: value, unit: 'days' } : null;
+  if (typeof value === 'object') {
+    return parseRelativeSpan(`${value.amount ?? ''} ${value.unit || 'days'}`);
+  }
+  const m = String(value)
+    .trim()
+    .toLowerCase()
+    .match(/^(?:last |past )?(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|days?|d|weeks?|wks?|w|months?|mos?|m|years?|yrs?|y)?$/);
+  if (!m) return null;
+  const amount = Number(m[1]);
+  if (!(amount > 0)) return null;
+  return { amount, unit: SPAN_UNITS[(m[2] || 'd')[0]] };
+}
+
+// Start of the span that ends at `anchor` (epoch ms); months and years are
+// calendar months and years.
+function relativeCutoff(span, anchor) {
+  const d = new Date(anchor);
+  switch (span.unit) {
+    case 'hours':
+      return anchor - span.amount * 3600e3;
+    case 'weeks':
+      return anchor - span.amount * 7 * 86400e3;
+    case 'months':
+      d.setMonth(d.getMonth() - span.amount);
+      return d.getTime();
+    case 'years':
+      d.setFullYear(d.getFullYear() - span.amount);
+      return d.getTime();
+    default:
+      return anchor - span.amount * 86400e3;
+  }
+}
+
+module.exports = {
+  GROUP_KEYS,
+  RELATIVE_DATE_OPS,
+  groupKind,
+  groupChildren,
+  filterLeaves,
+  mapFilterLeaves,
+  listValue,
+  rangeValue,
+  parseRelativeSpan,
+  relativeCutoff,
+};
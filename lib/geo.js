@@ -0,0 +1,113 @@
+// lib/geo.js
+//
+// Distance and bounding-box helpers for the Latitude/Longitude columns.
+// Distances are in miles everywhere inside the server.
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+const UNIT_TO_MILES = {
+  mi: 1,
+  mile: 1,
+  miles: 1,
+  km: 0.621371,
+  kilometer: 0.621371,
+  kilometers: 0.621371,
+  m: 0.000621371,
+  meter: 0.000621371,
+  meters: 0.000621371,
+  ft: 1 / 5280,
+  feet: 1 / 5280,
+  block: 0.1,
+  blocks: 0.1,
+};
+
+function toMiles(value, unit) {
+  const num = Number(value);
+  if (Number.isNaN(num)) return NaN;
+  const factor = UNIT_TO_MILES[String(unit || 'mi').toLowerCase()];
+  return factor ? num * factor : NaN;
+}
+
+function toRadians(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+function parseCoord(value) {
+  if (value == null || String(value).trim() === '') return NaN;
+  return Number(value);
+}
+
+// Some exports carry 0/0 for unmapped listings; treat them as missing.
+function isValidPoint(point) {
+  return (
+    point &&
+    Number.isFinite(point.lat) &&
+    Number.isFinite(point.lng) &&
+    Math.abs(point.lat) <= 90 &&
+    Math.abs(point.lng) <= 180 &&
+    !(point.lat === 0 && point.lng === 0)
+  );
+}
+
+function rowCoords(row) {
+  if (!row) return null;
+  const point = {
+    lat: parseCoord(row.Latitude),
+    lng: parseCoord(row.Longitude),
+  };
+  return isValidPoint(point) ? point : null;
+}
+
+function haversineMiles(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function distanceFromRow(row, origin) {
+  const point = rowCoords(row);
+  if (!point || !isValidPoint(origin)) return null;
+  return haversineMiles(origin, point);
+}
+
+/**
+ * bbox: { north, south, east, west } in decimal degrees.
+ * Returns a normalized copy, or null if any edge is missing.
+ */
+function normalizeBoundingBox(bbox) {
+  if (!bbox) return null;
+  const north = Number(bbox.north);
+  const south = Number(bbox.south);
+  const east = Number(bbox.east);
+  const west = Number(bbox.west);
+  if (![north, south, east, west].every(Number.isFinite)) return null;
+  return {
+    north: Math.max(north, south),
+    south: Math.min(north, south),
+    east: Math.max(east, west),
+    west: Math.min(east, west),
+  };
+}
+
+function inBoundingBox(point, bbox) {
+  if (!point || !bbox) return false;
+  return (
+    point.lat <= bbox.north &&
+    point.lat >= bbox.south &&
+    point.lng <= bbox.east &&
+    point.lng >= bbox.west
+  );
+}
+
+module.exports = {
+  toMiles,
+  isValidPoint,
+  rowCoords,
+  haversineMiles,
+  distanceFromRow,
+  normalizeBoundingBox,
+  inBoundingBox,
+};
@@ -0,0 +1,360 @@
+// lib/listingsApi.js
+//
+// Query strings for the read-only REST API (GET /api/listings), turned into
+// the same filters, sort and fields a chat plan carries, plus the OpenAPI
+// document that describes them. Filtering itself stays in server.js.
+//
+//   ?City=Burbank                       eq
+//   ?ListPrice[le]=900000               any filter op in brackets
+//   ?PostalCode[in]=91331,91340         in / not_in: comma-separated
+//   ?ListPrice[between]=600000,750000   between: low,high (either may be blank)
+//   ?PoolPrivateYN[exists]              exists / not_exists take no value
+//   ?OnMarketDate[within_last]=30 days
+//   ?near=34.18,-118.31&radius=2&unit=mi    within_radius
+//   ?bbox=34.1,-118.4,34.3,-118.2           within_bbox: south,west,north,east
+//   ?q=guest house                      full-text search on remarks and features
+//   ?fields=ListPrice,beds  (or "all")  ?sort=-ListPrice  ?limit=50&offset=100
+//   ?origin=34.18,-118.31               where Distance is measured from
+// Repeating a parameter adds another filter; every filter must match.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const RESERVED_PARAMS = [
+  'fields',
+  'sort',
+  'direction',
+  'limit',
+  'offset',
+  'q',
+  'origin',
+  'near',
+  'radius',
+  'unit',
+  'bbox',
+  'audience',
+];
+
+const GEO_OPS = ['within_radius', 'within_bbox']; // near= and bbox= instead
+const LIST_OPS = ['in', 'not_in'];
+const VALUELESS_OPS = ['exists', 'not_exists'];
+
+// "34.18,-118.31" -> [34.18, -118.31], or null unless every part is a number
+function numberList(value, count) {
+  const parts = String(value).split(',').map((p) => p.trim());
+  if (parts.length !== count || parts.some((p) => p === '' || Number.isNaN(Number(p)))) return null;
+  return parts.map(Number);
+}
+
+function splitList(value) {
+  return String(value)
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// The ops a query string can name directly
+function queryOps(filterOps) {
+  return filterOps.filter((op) => !GEO_OPS.includes(op));
+}
+
+function wholeNumber(value, fallback) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+}
+
+// Express hands repeated parameters over as arrays.
+function eachValue(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * query: req.query. options.filterOps: the ops applyFilter understands.
+ * Returns { filters, params, fields, sort, limit, offset, search, origin,
+ * errors }: params[i] is the parameter filters[i] came from, and errors is
+ * [{ param, message }], empty when the query is usable.
+ */
+function parseListingsQuery(query, { filterOps = [], defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+  const errors = [];
+  const fail = (param, message) => errors.push({ param, message });
+  const one = (name) => {
+    const value = query[name];
+    return Array.isArray(value) ? value[value.length - 1] : value;
+  };
+
+  const filters = [];
+  const params = []; // the parameter each filter came from, for error messages
+  Object.keys(query).forEach((key) => {
+    if (RESERVED_PARAMS.includes(key)) return;
+    const m = key.match(/^([^[\]]+)(?:\[([a-z_]+)\])?$/i);
+    if (!m) {
+      fail(key, `"${key}" is not a filter; use Column=value or Column[op]=value.`);
+      return;
+    }
+    const column = m[1].trim();
+    const op = (m[2] || 'eq').toLowerCase();
+    if (!filterOps.includes(op) || GEO_OPS.includes(op)) {
+      fail(key, `"${op}" is not a filter op. Use one of: ${queryOps(filterOps).join(', ')}.`);
+      return;
+    }
+    eachValue(query[key]).forEach((raw) => {
+      const value = raw == null ? '' : String(raw);
+      params.push(key);
+      if (VALUELESS_OPS.includes(op)) filters.push({ column, op, value: null });
+      else if (LIST_OPS.includes(op)) filters.push({ column, op, value: splitList(value) });
+      else if (op === 'between') {
+        const [lo = '', hi = ''] = value.split(',').map((v) => v.trim());
+        filters.push({ column, op, value: [lo === '' ? null : lo, hi === '' ? null : hi] });
+      } else filters.push({ column, op, value });
+    });
+  });
+
+  if (query.near != null) {
+    const center = numberList(one('near'), 2);
+    const radius = Number(one('radius'));
+    if (!center) fail('near', 'near must be "lat,lng".');
+    else if (!(radius > 0)) fail('radius', 'A "near" search needs radius, a positive number.');
+    else {
+      params.push('near');
+      filters.push({
+        op: 'within_radius',
+        center: { lat: center[0], lng: center[1] },
+        radius,
+        unit: one('unit') || 'mi',
+      });
+    }
+  }
+
+  if (query.bbox != null) {
+    const box = numberList(one('bbox'), 4);
+    if (!box) fail('bbox', 'bbox must be "south,west,north,east".');
+    else {
+      params.push('bbox');
+      filters.push({ op: 'within_bbox', bbox: { south: box[0], west: box[1], north: box[2], east: box[3] } });
+    }
+  }
+
+  let origin = null;
+  if (query.origin != null) {
+    const point = numberList(one('origin'), 2);
+    if (!point) fail('origin', 'origin must be "lat,lng".');
+    else origin = { lat: point[0], lng: point[1] };
+  }
+
+  // "all" is resolved by the caller, which knows what this audience may see
+  const fieldsParam = one('fields');
+  const fields = fieldsParam == null || fieldsParam === '' ? null : fieldsParam === 'all' ? 'all' : splitList(fieldsParam);
+
+  let sort = null;
+  const sortParam = one('sort');
+  if (sortParam) {
+    const desc = sortParam.startsWith('-');
+    const direction = String(one('direction') || (desc ? 'desc' : 'asc')).toLowerCase();
+    sort = { orderBy: sortParam.replace(/^[-+]/, ''), direction };
+  }
+
+  const limit = wholeNumber(one('limit'), defaultLimit);
+  if (Number.isNaN(limit) || limit < 1) fail('limit', 'limit must be a positive whole number.');
+  const offset = wholeNumber(one('offset'), 0);
+  if (Number.isNaN(offset)) fail('offset', 'offset must be a whole number, 0 or more.');
+
+  const search = one('q') ? String(one('q')).trim() : null;
+
+  return {
+    filters,
+    params,
+    fields,
+    sort,
+    limit: Number.isNaN(limit) ? defaultLimit : Math.min(limit, maxLimit),
+    offset: Number.isNaN(offset) ? 0 : offset,
+    search: search || null,
+    origin,
+    errors,
+  };
+}
+
+// -------------------- OPENAPI --------------------
+/**
+ * The OpenAPI 3 document served at /api/openapi.json. `columns` are the
+ * caller's visible columns ([{ name, type }]) so the filter parameters list
+ * what can actually be queried.
+ */
+function buildOpenApiDocument({ title, version, filterOps = [], columns = [] }) {
+  const ops = queryOps(filterOps);
+  const error = { $ref: '#/components/responses/Error' };
+  const param = (name, description, schema = { type: 'string' }, extra = {}) => ({
+    name,
+    in: 'query',
+    required: false,
+    description,
+    schema,
+    ...extra,
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title,
+      version,
+      description:
+        'Read-only access to the MLS listings behind the chat. Filters use the same ops as chat plans: ' +
+        '`Column=value` for eq, `Column[op]=value` for the rest. Hidden fields (per audience) can be ' +
+        'neither returned nor filtered on.',
+    },
+    paths: {
+      '/api/listings': {
+        get: {
+          summary: 'Search listings',
+          parameters: [
+            param('Column[op]', `Any column (or friendly name) with an op: ${ops.join(', ')}. ` +
+              'in/not_in and between take comma-separated values; exists/not_exists take none.', { type: 'string' }, {
+              style: 'form',
+              explode: true,
+              example: 'ListPrice[le]=900000',
+            }),
+            param('q', 'Full-text search on the remarks and feature columns, ranked by relevance.'),
+            param('near', 'Center of a radius search, "lat,lng". Needs radius.'),
+            param('radius', 'Radius for near.', { type: 'number' }),
+            param('unit', 'Unit for radius.', { type: 'string', enum: ['mi', 'km', 'ft'], default: 'mi' }),
+            param('bbox', 'Map area, "south,west,north,east".'),
+            param('origin', 'Where the Distance field is measured from, "lat,lng".'),
+            param('fields', 'Comma-separated columns to return, or "all". Address is always included.'),
+            param('sort', 'Column to sort by; prefix with "-" for descending.'),
+            param('direction', 'asc or desc; overrides the "-" prefix.', { type: 'string', enum: ['asc', 'desc'] }),
+            param('limit', `Page size (max ${MAX_LIMIT}).`, { type: 'integer', default: DEFAULT_LIMIT }),
+            param('offset', 'Rows to skip.', { type: 'integer', default: 0 }),
+            param('audience', 'Send "public" to get the client view.', { type: 'string', enum: ['public'] }),
+          ],
+          responses: {
+            200: {
+              description: 'One page of matching listings.',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/ListingPage' } } },
+            },
+            400: error,
+            403: error,
+          },
+        },
+      },
+      '/api/listings/{listingId}': {
+        get: {
+          summary: 'One listing by ListingId',
+          parameters: [
+            { name: 'listingId', in: 'path', required: true, schema: { type: 'string' } },
+            param('fields', 'Comma-separated columns to return; default is every visible column.'),
+            param('audience', 'Send "public" to get the client view.', { type: 'string', enum: ['public'] }),
+          ],
+          responses: {
+            200: {
+              description: 'The listing.',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/Listing' } } },
+            },
+            400: error,
+            403: error,
+            404: error,
+          },
+        },
+      },
+      '/api/columns': {
+        get: {
+          summary: 'Columns you can filter on and return, with their friendly names',
+          parameters: [param('audience', 'Send "public" to get the client view.', { type: 'string', enum: ['public'] })],
+          responses: {
+            200: {
+              description: 'Visible columns and filter ops.',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/Columns' } } },
+            },
+          },
+        },
+      },
+    },
+    components: {
+      securitySchemes: {
+        agentToken: { type: 'apiKey', in: 'header', name: 'x-agent-token' },
+      },
+      responses: {
+        Error: {
+          description: 'The request could not be served.',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  error: { type: 'string' },
+                  errors: {
+                    type: 'array',
+                    items: { type: 'object', properties: { param: { type: 'string' }, message: { type: 'string' } } },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      schemas: {
+        Column: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            label: { type: 'string' },
+            type: { type: 'string', enum: ['string', 'number', 'currency', 'date', 'boolean', 'list'] },
+          },
+        },
+        Listing: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer', nullable: true },
+            listingId: { type: 'string', nullable: true },
+            point: {
+              type: 'object',
+              nullable: true,
+              properties: { lat: { type: 'number' }, lng: { type: 'number' } },
+            },
+            values: {
+              type: 'object',
+              description: 'Typed values keyed by column: numbers, ISO dates, booleans, strings.',
+              additionalProperties: true,
+            },
+          },
+        },
+        ListingPage: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            offset: { type: 'integer' },
+            limit: { type: 'integer' },
+            columns: { type: 'array', items: { $ref: '#/components/schemas/Column' } },
+            rows: { type: 'array', items: { $ref: '#/components/schemas/Listing' } },
+          },
+        },
+        Columns: {
+          type: 'object',
+          properties: {
+            ops: { type: 'array', items: { type: 'string' }, example: ops },
+            columns: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', enum: columns.map((c) => c.name) },
+                  type: { type: 'string' },
+                  virtual: { type: 'boolean' },
+                  synonyms: { type: 'array', items: { type: 'string' } },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    security: [{}, { agentToken: [] }],
+  };
+}
+
+module.exports = {
+  GEO_OPS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListingsQuery,
+  buildOpenApiDocument,
+};
@@ -0,0 +1,170 @@
+// lib/loader.js
+//
+// Reads MLS CSV exports. A data directory may hold several exports (e.g. one
+// per area or one per pull); rows are merged and deduped by ListingId, with
+// the most recently modified file winning.
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+
+const PARSE_OPTIONS = {
+  bom: true,
+  skip_empty_lines: true,
+  relax_column_count: true,
+  relax_quotes: true,
+  trim: true,
+};
+
+// Some MLS exports start with a title line ("Full-4", a report name...)
+// before the real header. Drop leading lines until one looks like a header:
+// several comma-separated names.
+function stripPreamble(raw) {
+  const lines = raw.split('\n');
+  let start = 0;
+  while (start < lines.length - 1 && lines[start].split(',').length < 3) {
+    start++;
+  }
+  return start ? lines.slice(start).join('\n') : raw;
+}
+
+function isBlank(value) {
+  return value == null || String(value).trim() === '';
+}
+
+/**
+ * Parses one export into row objects. MLS exports repeat some headers
+ * (TaxAnnualAmount, GarageSpaces, UnitNumber...); csv-parse's `columns: true`
+ * keeps only the last copy, which may be the blank one. Here every copy is
+ * read and the first non-blank value wins.
+ *
+ * Returns { rows, columns, duplicates: [{ column, copies, conflicts }] }.
+ */
+function parseMlsCsv(raw) {
+  const [header = [], ...records] = parse(stripPreamble(raw), PARSE_OPTIONS);
+
+  const columns = [];
+  const copies = {};
+  header.forEach((name) => {
+    if (copies[name]) {
+      copies[name]++;
+    } else {
+      copies[name] = 1;
+      columns.push(name);
+    }
+  });
+
+  const conflicts = {};
+  const rows = records.map((record) => {
+    const row = {};
+    header.forEach((name, i) => {
+      const value = record[i];
+      if (!(name in row) || isBlank(row[name])) {
+        row[name] = value === undefined ? '' : value;
+      } else if (!isBlank(value) && value !== row[name]) {
+        conflicts[name] = (conflicts[name] || 0) + 1;
+      }
+    });
+    return row;
+  });
+
+  const duplicates = Object.entries(copies)
+    .filter(([, n]) => n > 1)
+    .map(([column, n]) => ({ column, copies: n, conflicts: conflicts[column] || 0 }));
+
+  return { rows, columns, duplicates };
+}
+
+function listCsvFiles(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.toLowerCase().endsWith('.csv'))
+    .map((name) => {
+      const file = path.join(dir, name);
+      return { file, name, mtimeMs: fs.statSync(file).mtimeMs };
+    })
+    .sort((a, b) => a.mtimeMs - b.mtimeMs);
+}
+
+/**
+ * Loads every *.csv in dir.
+ * Returns { rows, columns, files, duplicates, duplicateColumns, versions }.
+ * Files are read oldest first so a newer export replaces older copies of
+ * the same ListingId. Rows without a ListingId are kept as-is.
+ * `versions` lists every copy of every listing, replaced ones included:
+ * [{ listingId, file, mtimeMs, row }], oldest file first.
+ */
+function loadMlsDirectory(dir) {
+  const files = listCsvFiles(dir);
+  const byId = new Map();
+  const noId = [];
+  const columns = [];
+  const seenColumns = new Set();
+  const loaded = [];
+  const duplicateColumns = new Map();
+  const versions = [];
+  let duplicates = 0;
+
+  for (const { file, name, mtimeMs } of files) {
+    try {
+      const parsed = parseMlsCsv(fs.readFileSync(file, 'utf8'));
+      parsed.columns.forEach((c) => {
+        if (!seenColumns.has(c)) {
+          seenColumns.add(c);
+          columns.push(c);
+        }
+      });
+      parsed.duplicates.forEach((d) => {
+        const prior = duplicateColumns.get(d.column);
+        duplicateColumns.set(d.column, {
+          column: d.column,
+          copies: Math.max(d.copies, prior ? prior.copies : 0),
+          conflicts: d.conflicts + (prior ? prior.conflicts : 0),
+        });
+      });
+      parsed.rows.forEach((row) => {
+        const id = String(row.ListingId || '').trim();
+        if (!id) {
+          noId.push(row);
+          return;
+        }
+        if (byId.has(id)) {
+          duplicates++;
+          byId.delete(id); // re-insert so order follows the newest file
+        }
+        byId.set(id, row);
+        versions.push({ listingId: id, file: name, mtimeMs, row });
+      });
+      loaded.push({ name, mtimeMs, rows: parsed.rows.length });
+    } catch (err) {
+      console.error(`❌ Error loading ${name}:`, err.message);
+      loaded.push({ name, mtimeMs, rows: 0, error: err.message });
+    }
+  }
+
+  return {
+    rows: [...byId.values(), ...noId],
+    columns,
+    files: loaded,
+    duplicates,
+    duplicateColumns: [...duplicateColumns.values()],
+    versions,
+  };
+}
+
+// Turns an upload's suggested name into a safe file name inside the data dir.
+function safeCsvName(name) {
+  const base = path
+    .basename(String(name || ''))
+    .replace(/[^\w .-]/g, '_')
+    .trim();
+  if (!base) return `upload-${Date.now()}.csv`;
+  return base.toLowerCase().endsWith('.csv') ? base : `${base}.csv`;
+}
+
+module.exports = {
+  stripPreamble,
+  parseMlsCsv,
+  loadMlsDirectory,
+  safeCsvName,
+};
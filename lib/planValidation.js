@@ -0,0 +1,328 @@
+// lib/planValidation.js
+//
+// Checks planner output before server.js executes it. A typo'd column used
+// to make every filter fail ("0 listings") and an unknown op used to match
+// everything; both now come back as errors the planner can repair, with
+// ranked "did you mean" suggestions for the columns.
+
+const {
+  RELATIVE_DATE_OPS,
+  groupKind,
+  listValue,
+  rangeValue,
+  parseRelativeSpan,
+} = require('./filters');
+
+const PLAN_INTENTS = [
+  'list',
+  'details',
+  'aggregate',
+  'changes',
+  'cma',
+  'export',
+  'saved_search',
+  'search',
+  'compare',
+  'price_change',
+  'monthly_cost',
+  'fields',
+  'page',
+  'small_talk',
+  'unknown',
+];
+
+const FILTER_OPS = [
+  'eq',
+  'neq',
+  'gt',
+  'ge',
+  'lt',
+  'le',
+  'contains',
+  'not_contains',
+  'exists',
+  'not_exists',
+  'in',
+  'not_in',
+  'between',
+  'within_last',
+  'older_than',
+  'within_radius',
+  'within_bbox',
+];
+
+const VALUELESS_OPS = ['exists', 'not_exists'];
+const LIST_OPS = ['in', 'not_in'];
+const GEO_OPS = ['within_radius', 'within_bbox'];
+const TARGET_TYPES = ['index', 'address', 'last', 'list'];
+const DIRECTIONS = ['asc', 'desc'];
+const SAVED_SEARCH_ACTIONS = ['save', 'list', 'run', 'rename', 'delete'];
+const PAGE_MOVES = ['next', 'previous', 'page', 'range'];
+
+// -------------------- COLUMN SUGGESTIONS --------------------
+function squash(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// "HighSchoolDistrict" / "high school district" -> ['high', 'school', 'district']
+function words(text) {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function editDistance(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(
+        prev[j] + 1,
+        cur[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 0..1, higher is closer: spelling similarity, boosted by shared words
+function columnSimilarity(input, column) {
+  const a = squash(input);
+  const b = squash(column);
+  if (!a || !b) return 0;
+  const spelling = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  const wa = words(input);
+  const wb = words(column);
+  const shared = wa.filter((w) => wb.includes(w)).length;
+  const overlap = shared / Math.max(wa.length, wb.length);
+  const contains = a.length >= 4 && (b.includes(a) || a.includes(b)) ? 0.15 : 0;
+  return Math.min(1, Math.max(spelling, overlap) + contains);
+}
+
+/**
+ * Columns ranked by how close they are to what was asked for.
+ * Returns [{ column, score }], best first.
+ */
+function suggestColumns(input, columns, { limit = 3, minScore = 0.45 } = {}) {
+  return columns
+    .map((column) => ({ column, score: columnSimilarity(input, column) }))
+    .filter((s) => s.score >= minScore)
+    .sort((a, b) => b.score - a.score || a.column.length - b.column.length)
+    .slice(0, limit)
+    .map((s) => ({ column: s.column, score: Math.round(s.score * 100) / 100 }));
+}
+
+// -------------------- VALIDATION --------------------
+/**
+ * options:
+ *   resolveColumn(name) -> column name or null ("address" is always fine)
+ *   columns             -> every real column, for suggestions
+ *   aggregateOps, exportFormats -> allowed values for those plan keys
+ * Returns { plan, errors: [{ path, message, column?, suggestions? }] }.
+ * `plan` is a copy with ops and directions lower-cased.
+ */
+function validatePlan(raw, { resolveColumn, columns = [], aggregateOps = [], exportFormats = [] } = {}) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { plan: null, errors: [{ path: '', message: 'The plan must be a JSON object.' }] };
+  }
+  const plan = { ...raw };
+
+  const fail = (path, message, extra) => errors.push({ path, message, ...extra });
+
+  const checkColumn = (path, name) => {
+    if (typeof name !== 'string' || !name.trim()) {
+      fail(path, `${path} must be a column name.`);
+      return;
+    }
+    if (name.trim().toLowerCase() === 'address') return;
+    if (resolveColumn(name)) return;
+    const suggestions = suggestColumns(name, columns);
+    const hint = suggestions.length
+      ? ` Closest columns: ${suggestions.map((s) => s.column).join(', ')}.`
+      : '';
+    fail(path, `${path}: unknown column "${name}".${hint}`, { column: name, suggestions });
+  };
+
+  if (!PLAN_INTENTS.includes(plan.intent)) {
+    fail('intent', `intent "${plan.intent}" is not one of ${PLAN_INTENTS.join(', ')}.`);
+  }
+
+  const checkFilter = (f, path) => {
+    if (!f || typeof f !== 'object' || Array.isArray(f)) {
+      fail(path, `${path} must be an object.`);
+      return f;
+    }
+    const kind = groupKind(f);
+    if (kind === 'not') {
+      if (Array.isArray(f.not)) {
+        fail(`${path}.not`, `${path}.not must be a single filter (wrap several in "and").`);
+        return f;
+      }
+      return { not: checkFilter(f.not, `${path}.not`) };
+    }
+    if (kind) {
+      if (!Array.isArray(f[kind]) || !f[kind].length) {
+        fail(`${path}.${kind}`, `${path}.${kind} must be a non-empty array of filters.`);
+        return f;
+      }
+      return { [kind]: f[kind].map((child, i) => checkFilter(child, `${path}.${kind}[${i}]`)) };
+    }
+
+    const filter = { ...f, op: typeof f.op === 'string' ? f.op.toLowerCase() : f.op };
+    if (!FILTER_OPS.includes(filter.op)) {
+      fail(`${path}.op`, `${path}.op "${f.op}" is not one of ${FILTER_OPS.join(', ')}.`);
+      return filter;
+    }
+    if (filter.op === 'within_radius' && (!filter.center || typeof filter.center !== 'object')) {
+      fail(`${path}.center`, `${path} is a radius filter without a center.`);
+    }
+    if (filter.op === 'within_bbox' && (!filter.bbox || typeof filter.bbox !== 'object')) {
+      fail(`${path}.bbox`, `${path} is a bounding-box filter without a bbox.`);
+    }
+    if (GEO_OPS.includes(filter.op)) return filter;
+
+    checkColumn(`${path}.column`, filter.column);
+    if (LIST_OPS.includes(filter.op)) {
+      if (!listValue(filter.value).length) {
+        fail(`${path}.value`, `${path} (${filter.op}) needs a list of values.`);
+      }
+    } else if (filter.op === 'between') {
+      const range = rangeValue(filter.value);
+      if (!range || (range[0] == null && range[1] == null)) {
+        fail(`${path}.value`, `${path} (between) needs [low, high].`);
+      }
+    } else if (RELATIVE_DATE_OPS.includes(filter.op)) {
+      if (!parseRelativeSpan(filter.value)) {
+        fail(`${path}.value`, `${path} (${filter.op}) needs a span like "7 days" or "3 months".`);
+      }
+    } else if (!VALUELESS_OPS.includes(filter.op) && (filter.value == null || filter.value === '')) {
+      fail(`${path}.value`, `${path} (${filter.op}) needs a value.`);
+    }
+    return filter;
+  };
+
+  if (plan.filters != null) {
+    if (!Array.isArray(plan.filters)) {
+      fail('filters', 'filters must be an array.');
+    } else {
+      plan.filters = plan.filters.map((f, i) => checkFilter(f, `filters[${i}]`));
+    }
+  }
+
+  if (plan.fields != null) {
+    if (!Array.isArray(plan.fields)) fail('fields', 'fields must be an array or null.');
+    else plan.fields.forEach((f, i) => checkColumn(`fields[${i}]`, f));
+  }
+
+  if (plan.orderBy != null) checkColumn('orderBy', plan.orderBy);
+  if (plan.direction != null) {
+    plan.direction = String(plan.direction).toLowerCase();
+    if (!DIRECTIONS.includes(plan.direction)) fail('direction', 'direction must be "asc" or "desc".');
+  }
+
+  if (plan.intent === 'aggregate' && plan.aggregate != null) {
+    const agg = plan.aggregate;
+    if (typeof agg !== 'object') {
+      fail('aggregate', 'aggregate must be an object.');
+    } else {
+      const op = String(agg.op || 'count').toLowerCase();
+      plan.aggregate = { ...agg, op };
+      if (aggregateOps.length && !aggregateOps.includes(op)) {
+        fail('aggregate.op', `aggregate.op "${agg.op}" is not one of ${aggregateOps.join(', ')}.`);
+      }
+      // "count" may leave the column out
+      if (op !== 'count' || agg.column != null) checkColumn('aggregate.column', agg.column);
+      if (agg.groupBy != null) checkColumn('aggregate.groupBy', agg.groupBy);
+    }
+  }
+
+  if (plan.targetType != null && !TARGET_TYPES.includes(plan.targetType)) {
+    fail('targetType', `targetType must be one of ${TARGET_TYPES.join(', ')}.`);
+  }
+  if (plan.targetType === 'index') {
+    const index = Number(plan.index);
+    if (!Number.isInteger(index) || index < 1) fail('index', 'index must be a positive whole number.');
+    else plan.index = index;
+  }
+  if (plan.limit != null) {
+    const limit = Number(plan.limit);
+    if (!Number.isInteger(limit) || limit < 1) fail('limit', 'limit must be a positive whole number.');
+    else plan.limit = limit;
+  }
+
+  if (plan.intent === 'export' && plan.format != null && exportFormats.length) {
+    plan.format = String(plan.format).toLowerCase();
+    if (!exportFormats.includes(plan.format)) {
+      fail('format', `format must be one of ${exportFormats.join(', ')}.`);
+    }
+  }
+
+  if (plan.intent === 'search' && (typeof plan.query !== 'string' || !plan.query.trim())) {
+    fail('query', 'A search needs "query": the words to search the remarks and features for.');
+  }
+
+  if (plan.intent === 'compare') {
+    if (!Array.isArray(plan.targets) || !plan.targets.length) {
+      fail('targets', 'A comparison needs "targets": [{ "index" }, { "address" } or { "last": true }, ...].');
+    } else {
+      plan.targets.forEach((t, i) => {
+        const ok =
+          t &&
+          typeof t === 'object' &&
+          ((t.index != null && Number.isInteger(Number(t.index)) && Number(t.index) >= 1) ||
+            (typeof t.address === 'string' && t.address.trim()) ||
+            t.last === true);
+        if (!ok) fail(`targets[${i}]`, `targets[${i}] must be { "index": n }, { "address": "..." } or { "last": true }.`);
+      });
+    }
+  }
+
+  if (plan.financing != null) {
+    if (typeof plan.financing !== 'object' || Array.isArray(plan.financing)) {
+      fail('financing', 'financing must be an object or null.');
+    } else {
+      ['downPercent', 'downAmount', 'rate', 'termYears', 'insuranceRate'].forEach((key) => {
+        const value = plan.financing[key];
+        if (value != null && !(Number(value) >= 0)) {
+          fail(`financing.${key}`, `financing.${key} must be a number or null.`);
+        }
+      });
+    }
+  }
+
+  if (plan.intent === 'saved_search') {
+    const action = plan.savedSearch && plan.savedSearch.action;
+    if (!SAVED_SEARCH_ACTIONS.includes(action)) {
+      fail('savedSearch.action', `savedSearch.action must be one of ${SAVED_SEARCH_ACTIONS.join(', ')}.`);
+    }
+  }
+
+  if (plan.intent === 'page') {
+    const page = plan.page && typeof plan.page === 'object' ? plan.page : {};
+    const position = (key) => page[key] != null && Number.isInteger(Number(page[key])) && Number(page[key]) >= 1;
+    if (!PAGE_MOVES.includes(page.move)) {
+      fail('page.move', `page.move must be one of ${PAGE_MOVES.join(', ')}.`);
+    } else if (page.move === 'page' && !position('number')) {
+      fail('page.number', 'Going to a page needs "number", 1 or more.');
+    } else if (page.move === 'range' && !(position('from') && position('to') && Number(page.to) >= Number(page.from))) {
+      fail('page.from', 'A range needs "from" and "to" list numbers, with from <= to.');
+    }
+    if (page.size != null && !position('size')) fail('page.size', 'page.size must be a whole number, 1 or more.');
+  }
+
+  return { plan, errors };
+}
+
+module.exports = {
+  PLAN_INTENTS,
+  PAGE_MOVES,
+  FILTER_OPS,
+  suggestColumns,
+  validatePlan,
+};
@@ -0,0 +1,1083 @@
+// lib/planners.js
+//
+// Planner providers turn the chat history into the plan JSON that server.js
+// executes against the MLS rows. Every provider exposes the same shape:
+//   { name, plan(history, userText) -> Promise<plan> }
+// and may add repair(history, userText, plan, errors) -> Promise<plan|null>
+// for a second try when the plan fails validation.
+
+class PlannerError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message);
+    this.name = 'PlannerError';
+    this.cause = cause;
+  }
+}
+
+// -------------------- OPENAI-COMPATIBLE --------------------
+// Works against api.openai.com or any server speaking the same
+// /chat/completions protocol (Ollama, llama.cpp, LM Studio, vLLM...).
+function createOpenAICompatiblePlanner({
+  baseUrl = 'https://api.openai.com/v1',
+  apiKey,
+  model = 'gpt-4o-mini',
+  systemPrompt,
+  jsonMode = true,
+}) {
+  const url = baseUrl.replace(/\/+$/, '') + '/chat/completions';
+
+  async function complete(messages) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const body = {
+      model,
+      messages: [{ role: 'system', content: systemPrompt }, ...messages],
+    };
+    if (jsonMode) body.response_format = { type: 'json_object' };
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+      });
+    } catch (err) {
+      throw new PlannerError(`Could not reach planner at ${url}`, {
+        cause: err,
+      });
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      console.error('Planner API error:', data);
+      throw new PlannerError(data.error?.message || 'Planner API error');
+    }
+
+    const content = data.choices?.[0]?.message?.content || '{}';
+    try {
+      return JSON.parse(extractJson(content));
+    } catch (err) {
+      throw new PlannerError('Planner returned invalid JSON', { cause: err });
+    }
+  }
+
+  return {
+    name: `openai-compatible (${model})`,
+    async plan(history) {
+      return complete(history);
+    },
+
+    // One more round trip: show the model its plan and what was wrong.
+    async repair(history, userText, plan, errors) {
+      return complete([
+        ...history,
+        { role: 'assistant', content: JSON.stringify(plan) },
+        {
+          role: 'user',
+          content:
+            'That plan failed validation:\n' +
+            errors.map((e) => `- ${e.message}`).join('\n') +
+            '\nReturn the corrected plan JSON only. Use exact column names ' +
+            'from the suggestions where one fits.',
+        },
+      ]);
+    },
+  };
+}
+
+// Local models without a JSON mode sometimes wrap the object in prose or a
+// ```json fence; keep only the outermost {...}.
+function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) return text;
+  return text.slice(start, end + 1);
+}
+
+// -------------------- RULE-BASED --------------------
+// Deterministic, offline planner for the common phrasings. It emits friendly
+// column names ("beds", "price") and lets the server resolve them, exactly
+// like the LLM planner does.
+
+const FIELD_PHRASES = [
+  ['high school district', 'HighSchoolDistrict'],
+  ['cumulative days on market', 'CumulativeDaysOnMarket'],
+  ['days on market', 'DaysOnMarket'],
+  ['cdom', 'CumulativeDaysOnMarket'],
+  ['dom', 'DaysOnMarket'],
+  ['year built', 'YearBuilt'],
+  ['built', 'YearBuilt'],
+  ['current price', 'CurrentPrice'],
+  ['price per sqft', 'price per sqft'],
+  ['price per square foot', 'price per sqft'],
+  ['price per square feet', 'price per sqft'],
+  ['ppsf', 'price per sqft'],
+  ['price drop percent', 'PriceReductionPercent'],
+  ['price cut percent', 'PriceReductionPercent'],
+  ['reduction percent', 'PriceReductionPercent'],
+  ['price drop', 'PriceReduction'],
+  ['price cut', 'PriceReduction'],
+  ['price reduction', 'PriceReduction'],
+  ['days since price change', 'DaysSincePriceChange'],
+  ['monthly cost', 'MonthlyCost'],
+  ['monthly payment', 'MonthlyCost'],
+  ['piti', 'MonthlyCost'],
+  ['price', 'price'],
+  ['bedrooms', 'beds'],
+  ['beds', 'beds'],
+  ['bathrooms', 'baths'],
+  ['baths', 'baths'],
+  ['square footage', 'sqft'],
+  ['sqft', 'sqft'],
+  ['square feet', 'sqft'],
+  ['loan terms', 'ListingTerms'],
+  ['financing', 'ListingTerms'],
+  ['description', 'description'],
+  ['remarks', 'description'],
+  ['property type', 'PropertyType'],
+  ['pool', 'PoolFeatures'],
+  ['zip code', 'zip'],
+  ['zipcode', 'zip'],
+  ['zip', 'zip'],
+];
+
+const LIST_WORDS =
+  /\b(list|show|find|search|give me|homes|houses|listings|properties|addresses|condos|townhomes|how many)\b/i;
+const LAST_WORDS = /\b(it|that one|this one|this property|that property|this listing|that listing|this home|that home)\b/i;
+const PROFILE_WORDS = /\b(full profile|profile|details|everything|tell me about|summary)\b/i;
+const FIELDS_QUESTION =
+  /\b(?:what|which)\s+(?:fields|columns|data|info(?:rmation)?)\s+(?:can|could|do|may)\s+(?:i|we)\b|\bwhat can (?:i|we) (?:ask|search|filter)(?: on| about| by)?\s*[?.!]*$|\b(?:list|show)(?: me)? (?:the |all )?(?:the )?(?:fields|columns)\b/i;
+const PAGE_NOUNS = '(?:\\s+(?:results|listings|homes|houses|properties|ones|page))?(?:\\s+please)?';
+const PAGE_NEXT = new RegExp(
+  `^(?:(?:show|give|load|see)(?: me)?\\s+)?(?:the\\s+)?(?:(\\d{1,3})\\s+more|(?:next|more)(?:\\s+(\\d{1,3}))?|keep going|continue)${PAGE_NOUNS}$`,
+  'i'
+);
+const PAGE_PREVIOUS = new RegExp(`^(?:(?:show|go)(?: me)?\\s+)?(?:the\\s+)?(?:previous|prev|back)(?:\\s+(\\d{1,3}))?${PAGE_NOUNS}$`, 'i');
+const PAGE_NUMBER = /^(?:(?:show|go to|jump to|see)(?: me)?\s+)?page\s*#?(\d{1,3})$/i;
+const PAGE_RANGE =
+  /^(?:(?:show|list|give|see)(?: me)?\s+)?(?:(?:listings|results|homes|numbers?)\s+)?#?(\d{1,4})\s*(?:-|–|to|through|thru)\s*#?(\d{1,4})$/i;
+const SMALL_TALK = /^\s*(hi|hello|hey|hola|thanks|thank you|good (morning|afternoon|evening)|how are you)\b[\s!.?]*$/i;
+const LISTING_ID_LIKE = /\b(?:mls|listing id|apn|parcel(?: number)?)\s*(?:#|no\.?|number|id)?\s*:?\s*(?=[a-z-]*\d)[a-z0-9][a-z0-9-]{4,}\b/i;
+const ADDRESS_LIKE =
+  /\b\d{2,6}\s+(?:[nsew]\.?\s+)?[a-z][a-z'.]*(?:\s+[a-z][a-z'.]*){0,3}\b/i;
+
+const SORT_PHRASES = [
+  [/\b(cheapest|least expensive|lowest[- ]priced|lowest price)\b/i, 'price', 'asc'],
+  [/\b(most expensive|priciest|highest[- ]priced|highest price)\b/i, 'price', 'desc'],
+  [/\b(newest|most recent|latest|freshest)\b/i, 'DaysOnMarket', 'asc'],
+  [/\b(longest on (the )?market|stalest)\b/i, 'DaysOnMarket', 'desc'],
+  [/\b(biggest|largest)\b/i, 'sqft', 'desc'],
+  [/\b(smallest)\b/i, 'sqft', 'asc'],
+];
+
+const AGGREGATE_WORDS = {
+  average: 'avg',
+  avg: 'avg',
+  mean: 'avg',
+  median: 'median',
+  minimum: 'min',
+  min: 'min',
+  maximum: 'max',
+  max: 'max',
+  total: 'sum',
+  sum: 'sum',
+};
+
+const GROUP_WORDS = [
+  ['zip code', 'PostalCode'],
+  ['zipcode', 'PostalCode'],
+  ['postal code', 'PostalCode'],
+  ['zip', 'PostalCode'],
+  ['city', 'City'],
+  ['property type', 'PropertyType'],
+  ['property subtype', 'PropertySubType'],
+  ['type', 'PropertySubType'],
+  ['beds', 'BedroomsTotal'],
+  ['bedrooms', 'BedroomsTotal'],
+];
+
+const CHANGE_WORDS =
+  /\b(what'?s new|anything new|what (has )?changed|changes? since|new (listings )?(since|today|this)|price changes?|status changes?|went (pending|active|off market)|removed listings|came off (the )?market)\b/i;
+const SINCE_WORDS =
+  /\b(this morning|this afternoon|today|yesterday|this week|(?:last|past) \d+\s*(?:hours?|days?|weeks?)|\d+\s*(?:hours?|days?|weeks?) ago|(?:last|latest|previous) (?:load|reload|update|import))\b/i;
+
+const CMA_WORDS =
+  /\b(cma|comps|comparables?|comparable (?:listings|sales|homes|properties)|market analysis|what(?: is|'s) (?:it|this|that|#\s*\d+) worth|how (?:should|would) (?:i|we) price)\b/i;
+const EXPORT_WORDS =
+  /\b(export|download|spreadsheet|excel|xlsx|csv|flyer|brochure|printable|print (?:out|this|it)|pdf)\b/i;
+// asking-price movement from the MLS price columns; "price changes since
+// yesterday" (between data loads) stays with CHANGE_WORDS
+const PRICE_CHANGE_WORDS =
+  /\b(price (?:drops?|cuts?|reductions?|decreases?|increases?|history)|reduced|(?:come|came|gone|went) (?:down|up)|dropped (?:the |its |their )?price|biggest (?:drops?|reductions?|cuts?))\b/i;
+// "what would #8 cost me per month", "payment on this one", "PITI"
+const MONTHLY_COST_WORDS =
+  /\b(cost (?:me )?(?:per|a|each) month|per month|a month|monthly (?:cost|payment)|(?:mortgage|house|monthly) payments?|payments?|piti|afford)\b/i;
+const COMPARE_WORDS = /\b(compare|comparison|side[- ]by[- ]side|vs\.?|versus|stack(?:s)? up)\b/i;
+// free-text search: explicit ("search for", "mentions") or features that
+// live in the remarks rather than a single column
+const SEARCH_WORDS =
+  /\b(search (?:for|the remarks for|remarks for)|mention(?:s|ing)?|remarks (?:say|says|about|that say)|described as|keywords?)\b/i;
+const FEATURE_WORDS =
+  /\b(remodel(?:ed|ing)?|renovat(?:ed|ion)|updated|upgraded|adu|guest ?house|granny flat|casita|in-?law|views?|hardwood|fireplace|solar|granite|quartz|stainless|open floor ?plan|vaulted|fixer|turnkey|move-in ready|hot tub|jacuzzi|ev charg(?:er|ing)|gated|corner lot|cul-de-sac)\b/i;
+
+function escapeRegExp(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "900k" -> 900000, "1.2m" -> 1200000, "$750,000" -> 750000
+function parseMoney(str) {
+  const m = String(str)
+    .toLowerCase()
+    .replace(/[$,\s]/g, '')
+    .match(/^(\d+(?:\.\d+)?)(k|m|mil|million)?$/);
+  if (!m) return null;
+  const num = Number(m[1]);
+  if (m[2] === 'k') return Math.round(num * 1000);
+  if (m[2]) return Math.round(num * 1000000);
+  return num;
+}
+
+function detectFields(text) {
+  const lower = text.toLowerCase().replace(/\s*%/g, ' percent');
+  const fields = [];
+  let remaining = lower;
+  for (const [phrase, field] of FIELD_PHRASES) {
+    const re = new RegExp(`\\b${escapeRegExp(phrase)}\\b`);
+    if (re.test(remaining)) {
+      if (!fields.includes(field)) fields.push(field);
+      // don't let "price" also match inside "current price"
+      remaining = remaining.replace(re, ' ');
+    }
+  }
+  return fields;
+}
+
+function detectRoomFilter(text, words, column) {
+  const re = new RegExp(
+    `(?:(at least|min(?:imum)?|over|more than)\\s+)?(\\d+)\\s*(\\+|or more|plus)?\\s*(?:${words})\\b`,
+    'i'
+  );
+  const m = text.match(re);
+  if (!m) return null;
+  const value = Number(m[2]);
+  if (m[1] && /over|more than/i.test(m[1])) {
+    return { column, op: 'gt', value };
+  }
+  const op = m[1] || m[3] ? 'ge' : 'eq';
+  return { column, op, value };
+}
+
+function detectPriceFilters(text) {
+  const filters = [];
+  const money = '\\$?\\s*(\\d[\\d,]*(?:\\.\\d+)?\\s*(?:k|m|mil|million)?)\\b';
+
+  const between = text.match(
+    new RegExp(`between\\s+${money}\\s+(?:and|to|-)\\s+${money}`, 'i')
+  );
+  if (between) {
+    const lo = parseMoney(between[1]);
+    const hi = parseMoney(between[2]);
+    if (lo != null && hi != null) {
+      filters.push({ column: 'price', op: 'between', value: [Math.min(lo, hi), Math.max(lo, hi)] });
+      return filters;
+    }
+    if (lo != null) filters.push({ column: 'price', op: 'ge', value: lo });
+    if (hi != null) filters.push({ column: 'price', op: 'le', value: hi });
+    return filters;
+  }
+
+  const upper = text.match(
+    new RegExp(`(?:under|below|less than|max(?:imum)?|up to|<=?)\\s+${money}`, 'i')
+  );
+  const lower = text.match(
+    new RegExp(`(?:over|above|more than|at least|min(?:imum)?|>=?)\\s+${money}`, 'i')
+  );
+
+  // Only treat it as a price if it looks like one ("900k", "$750,000");
+  // "over 3 beds" is handled by the room filters.
+  const asPrice = (m) => {
+    if (!m) return null;
+    const raw = m[1];
+    const value = parseMoney(raw);
+    if (value == null) return null;
+    if (/[km]/i.test(raw) || /\$/.test(m[0]) || value >= 10000) return value;
+    return null;
+  };
+
+  const hi = asPrice(upper);
+  const lo = asPrice(lower);
+  if (lo != null) filters.push({ column: 'price', op: 'ge', value: lo });
+  if (hi != null) filters.push({ column: 'price', op: 'le', value: hi });
+  return filters;
+}
+
+const EXCLUDE_WORDS = /\b(?:not in|excluding|except(?: for| in)?|outside(?: of)?|but not(?: in)?)\s*$/i;
+
+/**
+ * Every city named in the text, longest first so "North Hollywood" wins over
+ * "Hollywood". Returns [{ city, exclude }] where exclude is set for
+ * "not in Pacoima", "excluding Arleta", ...
+ */
+function detectCities(text, cities) {
+  let lower = text.toLowerCase();
+  const found = [];
+  [...cities]
+    .sort((a, b) => b.length - a.length)
+    .forEach((city) => {
+      const re = new RegExp(`\\b${escapeRegExp(city.toLowerCase())}\\b`);
+      const m = lower.match(re);
+      if (!m) return;
+      // "North Hollywood" is used up, so "Hollywood" can't match inside it
+      lower = lower.slice(0, m.index) + ' '.repeat(m[0].length) + lower.slice(m.index + m[0].length);
+      const before = text.slice(0, m.index).replace(/\b(?:or|and|nor)\s*$|,\s*$/i, '');
+      found.push({ city, at: m.index, exclude: EXCLUDE_WORDS.test(before.trimEnd()) });
+    });
+  // a city listed right after an excluded one ("not in Pacoima or Arleta") is
+  // excluded too
+  found.sort((a, b) => a.at - b.at);
+  found.forEach((c, i) => {
+    const prev = found[i - 1];
+    if (!c.exclude && prev && prev.exclude) {
+      const gap = text.slice(prev.at + prev.city.length, c.at);
+      if (/^\s*(?:,|or|nor|and|,\s*or)\s*$/i.test(gap)) c.exclude = true;
+    }
+  });
+  return found.map(({ city, exclude }) => ({ city, exclude }));
+}
+
+// City filters: one city -> contains, several -> an "or" group, excluded
+// cities -> "not" filters.
+function cityFilters(found) {
+  const filters = [];
+  const cityFilter = (city) => ({ column: 'City', op: 'contains', value: city });
+  const included = found.filter((c) => !c.exclude).map((c) => cityFilter(c.city));
+  if (included.length === 1) filters.push(included[0]);
+  if (included.length > 1) filters.push({ or: included });
+  found.filter((c) => c.exclude).forEach((c) => filters.push({ not: cityFilter(c.city) }));
+  return filters;
+}
+
+// "zip 91340", "zips 91331, 91340 or 91342", "not in 91331"
+function zipFilters(text) {
+  const zips = [...new Set((text.match(/\b9\d{4}\b/g) || []))];
+  if (!zips.length) return [];
+  const exclude = EXCLUDE_WORDS.test(
+    text.slice(0, text.search(/\b9\d{4}\b/)).replace(/\b(?:zips?|zip codes?|postal codes?)\s*$/i, '').trimEnd()
+  );
+  if (zips.length === 1) {
+    return [{ column: 'PostalCode', op: exclude ? 'neq' : 'eq', value: zips[0] }];
+  }
+  return [{ column: 'PostalCode', op: exclude ? 'not_in' : 'in', value: zips }];
+}
+
+const RELATIVE_DATE_COLUMNS = [
+  [/\b(?:under contract|in escrow|went pending|contract)\b/i, 'ListingContractDate'],
+  [/\b(?:listed|new|on (?:the )?market|hit the market|came on)\b/i, 'OnMarketDate'],
+];
+const SPAN = '(\\d+|a|one)?\\s*(hours?|days?|weeks?|months?|years?)';
+
+// "listed in the last 7 days" -> OnMarketDate within_last "7 days";
+// "on the market more than 3 months" / "listed over 60 days ago" -> older_than
+function detectDateFilters(text) {
+  const entry = RELATIVE_DATE_COLUMNS.find(([re]) => re.test(text));
+  if (!entry) return [];
+  const column = entry[1];
+  const span = (m) => `${/^\d+$/.test(m[1] || '') ? m[1] : 1} ${m[2].replace(/s$/, '')}s`;
+
+  const recent = text.match(new RegExp(`\\b(?:in|within|during)?\\s*(?:the\\s+)?(?:last|past)\\s+${SPAN}\\b`, 'i'));
+  if (recent) return [{ column, op: 'within_last', value: span(recent) }];
+  const older =
+    text.match(new RegExp(`\\b(?:more than|over|longer than|older than)\\s+${SPAN}(?:\\s+ago)?\\b`, 'i'));
+  if (older) return [{ column, op: 'older_than', value: span(older) }];
+  return [];
+}
+
+/**
+ * "price drops over 5% in the last 30 days in 91331", "reduced by more than
+ * $25k", "price increases". Returns the price-change filters plus the text
+ * with those phrases taken out, so the usual price filters don't read the
+ * drop amount as a ListPrice.
+ */
+function detectPriceChangeFilters(text) {
+  const filters = [];
+  let rest = text;
+
+  const percent = rest.match(/\b(?:over|above|more than|at least|greater than|by)\s+(\d+(?:\.\d+)?)\s*(?:%|percent)/i);
+  if (percent) {
+    const op = /at least/i.test(percent[0]) ? 'ge' : 'gt';
+    filters.push({ column: 'PriceReductionPercent', op, value: Number(percent[1]) });
+    rest = rest.replace(percent[0], ' ');
+  }
+
+  const amount = rest.match(
+    /\b(?:drops?|cuts?|reductions?|reduced|down)\s+(?:of\s+|by\s+)?(over|more than|at least)\s+(\$?\s*\d[\d,]*(?:\.\d+)?\s*(?:k|m)?)\b/i
+  );
+  if (amount && parseMoney(amount[2]) != null) {
+    const op = /at least/i.test(amount[1]) ? 'ge' : 'gt';
+    filters.push({ column: 'PriceReduction', op, value: parseMoney(amount[2]) });
+    rest = rest.replace(amount[0], ' ');
+  }
+
+  if (/\b(?:price increases?|(?:gone|went|came) up|raised)\b/i.test(rest)) {
+    filters.push({ column: 'PriceReduction', op: 'lt', value: 0 });
+  }
+
+  const recent = rest.match(new RegExp(`\\b(?:in|within|during)?\\s*(?:the\\s+)?(?:last|past)\\s+${SPAN}\\b`, 'i'));
+  if (recent) {
+    const n = /^\d+$/.test(recent[1] || '') ? recent[1] : 1;
+    filters.push({
+      column: 'PriceChangeTimestamp',
+      op: 'within_last',
+      value: `${n} ${recent[2].replace(/s$/, '')}s`,
+    });
+    rest = rest.replace(recent[0], ' ');
+  }
+
+  return { filters, rest };
+}
+
+/**
+ * Loan terms: "with 10% down", "$150k down", "at 6.5%", "15-year". Returns
+ * the plan's financing (null when none were given) plus the text without
+ * them, so "10%" and "$150k" aren't read as other filters.
+ */
+function detectFinancing(text) {
+  const financing = {};
+  let rest = text;
+  const take = (re, fn) => {
+    const m = rest.match(re);
+    if (!m) return;
+    const value = fn(m);
+    if (value == null) return;
+    rest = rest.replace(m[0], ' ');
+    return value;
+  };
+
+  financing.downPercent = take(/\b(?:with\s+)?(\d+(?:\.\d+)?)\s*(?:%|percent)\s+down\b/i, (m) => Number(m[1]));
+  if (financing.downPercent == null) {
+    financing.downAmount = take(/(?:\bwith\s+)?(\$\s*\d[\d,]*(?:\.\d+)?\s*[km]?|\b\d[\d,]*(?:\.\d+)?\s*[km])\s+down\b/i, (m) =>
+      parseMoney(m[1])
+    );
+  }
+  financing.rate = take(
+    /(?:\b(?:at|@)\s*|@\s*)(\d+(?:\.\d+)?)\s*(?:%|percent)(?:\s+(?:interest|rate|apr))?|\b(\d+(?:\.\d+)?)\s*(?:%|percent)\s+(?:interest|rate|apr)\b/i,
+    (m) => Number(m[1] || m[2])
+  );
+  financing.termYears = take(
+    /\b(?:over\s+|for\s+)?(\d{2})[- ]?(?:years?|yrs?)(?:\s+(?:fixed|loan|mortgage|term))?\b/i,
+    (m) => Number(m[1])
+  );
+
+  Object.keys(financing).forEach((key) => financing[key] == null && delete financing[key]);
+  return { financing: Object.keys(financing).length ? financing : null, rest };
+}
+
+// "what can I afford at $5k/month", "under $4,000 a month" -> a MonthlyCost
+// ceiling, and the text without it so it isn't read as a ListPrice.
+function detectMonthlyBudget(text) {
+  const m =
+    text.match(
+      /(?:\b(?:under|below|less than|at most|up to|max(?:imum)?|of|at|for|with|around|about)\s+)?(\$?\s*\d[\d,]*(?:\.\d+)?\s*k?)\s*(?:\/\s*mo(?:nth)?\b|(?:a|per|each|every)\s+month\b|monthly\b)/i
+    ) || text.match(/\bmonthly (?:budget|payment)\s+(?:of|is|under|below|around|about)?\s*(\$?\s*\d[\d,]*(?:\.\d+)?\s*k?)/i);
+  if (!m) return null;
+  const value = parseMoney(m[1]);
+  if (value == null) return null;
+  return { filter: { column: 'MonthlyCost', op: 'le', value }, rest: text.replace(m[0], ' ') };
+}
+
+// What's left of the message once the structured parts (cities, prices,
+// rooms, zips) and command words are taken out: the words to rank on.
+function searchQueryText(text, cities) {
+  let q = text;
+  cities.forEach((c) => {
+    q = q.replace(new RegExp(`\\b${escapeRegExp(c)}\\b`, 'gi'), ' ');
+  });
+  q = q
+    .replace(new RegExp(SEARCH_WORDS.source, 'gi'), ' ')
+    .replace(new RegExp(LIST_WORDS.source, 'gi'), ' ')
+    .replace(/\$?\d[\d,]*(?:\.\d+)?\s*(?:k|m|mil|million)?\b\+?/gi, ' ')
+    .replace(
+      /\b(beds?|bedrooms?|baths?|bathrooms?|br|ba|bd|under|below|over|above|between|less than|more than|at least|up to|zip(?: code)?s?|in|near|or more|plus|cheapest|newest|biggest|largest|smallest|priciest|most expensive|sort(?:ed)? by \w+)\b/gi,
+      ' '
+    )
+    .replace(/[?!.,"]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return q;
+}
+
+// "compare #3, #7 and 13121 Chase St" -> [{ index: 3 }, { index: 7 }, { address: "13121 Chase St" }]
+function detectCompareTargets(text) {
+  const body = text
+    .replace(/^.*?\b(?:compare|comparison of|side[- ]by[- ]side(?: of)?)\b/i, '')
+    .replace(/\bstacks? up\b/gi, ' ')
+    .replace(/[?!.]+\s*$/, '');
+  const targets = [];
+  body
+    .split(/\s*(?:,|;|&|\band\b|\bvs\.?|\bversus\b|\bwith\b|\bto\b|\bagainst\b)\s*/i)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .forEach((part) => {
+      const ref = part.match(/^(?:#|(?:listing|number|no\.?)\s*#?)\s*(\d{1,4})$|^(\d{1,3})$/i);
+      if (ref) targets.push({ index: Number(ref[1] || ref[2]) });
+      else if (LAST_WORDS.test(part) || /^(?:the )?(?:last|current) (?:one|listing)$/i.test(part)) {
+        targets.push({ last: true });
+      } else if (ADDRESS_LIKE.test(part)) targets.push({ address: part });
+    });
+  return targets;
+}
+
+function detectSort(text) {
+  const sortedBy = text.match(
+    /\bsort(?:ed)?\s+by\s+(.+?)(?:\s+(asc(?:ending)?|desc(?:ending)?|low to high|high to low))?\s*$/i
+  );
+  if (sortedBy) {
+    const [field] = detectFields(sortedBy[1]);
+    if (field) {
+      const desc = /desc|high to low/i.test(sortedBy[2] || '');
+      return { orderBy: field, direction: desc ? 'desc' : 'asc' };
+    }
+  }
+  for (const [re, orderBy, direction] of SORT_PHRASES) {
+    if (re.test(text)) return { orderBy, direction };
+  }
+  return null;
+}
+
+function detectGroupBy(text) {
+  const m = text.match(/\b(?:by|per|for each|in each|grouped by)\s+([a-z ]+)/i);
+  if (!m) return null;
+  const words = m[1].toLowerCase();
+  const hit = GROUP_WORDS.find(([w]) => words.startsWith(w));
+  return hit ? hit[1] : null;
+}
+
+// "average price per sqft in 91331", "median DOM by city",
+// "how many listings per zip code"
+function detectAggregate(text) {
+  const groupBy = detectGroupBy(text);
+  const words = Object.keys(AGGREGATE_WORDS).join('|');
+  const m = text.match(new RegExp(`\\b(${words})\\b(?!\\s*(?:of\\s*)?\\$?\\d)\\s+(?:of\\s+)?(?:the\\s+)?(.+)`, 'i'));
+  if (m) {
+    // look for the measured column before any "by city" clause
+    const measured = m[2].split(/\b(?:by|for each|in each|grouped by)\b/i)[0];
+    const [column] = detectFields(measured);
+    if (column) {
+      return { op: AGGREGATE_WORDS[m[1].toLowerCase()], column, groupBy };
+    }
+  }
+  if (groupBy && /\b(how many|count|number of)\b/i.test(text)) {
+    return { op: 'count', column: null, groupBy };
+  }
+  return null;
+}
+
+// What a "near ..." phrase points at: a list index, the last listing,
+// raw coordinates, or an address string.
+function detectCenter(target) {
+  const t = target.trim().replace(/[?.!]+$/, '');
+  const index = t.match(/^(?:#|listing\s*#?|number\s*)\s*(\d{1,4})\b/i);
+  if (index) return { index: Number(index[1]) };
+  const coords = t.match(/^(-?\d{1,3}\.\d+)\s*,\s*(-?\d{1,3}\.\d+)/);
+  if (coords) return { lat: Number(coords[1]), lng: Number(coords[2]) };
+  if (/^(it|that one|this one|this (property|listing|home)|that (property|listing|home))\b/i.test(t)) {
+    return { last: true };
+  }
+  if (ADDRESS_LIKE.test(t)) return { address: t };
+  return null;
+}
+
+// "within 1 mile of #5", "within 2 km of 13121 Chase St", "near it".
+// Returns the geo filter plus the text with the geo clause removed so the
+// remaining filters (beds, price...) can be parsed from it.
+function detectGeo(text) {
+  const radius = text.match(
+    /\bwithin\s+(half a|a|an|one|\d+(?:\.\d+)?)\s*(miles?|mi|km|kilometers?|blocks?|feet|ft|meters?|m)\s+(?:of|from)\s+(.+)$/i
+  );
+  const near = text.match(/\b(?:near|close to|around|by)\s+(.+)$/i);
+  const m = radius || near;
+  if (!m) return null;
+
+  const center = detectCenter(radius ? m[3] : m[1]);
+  if (!center) return null;
+
+  let value = 1;
+  let unit = 'mi';
+  if (radius) {
+    const amount = m[1].toLowerCase();
+    value = amount === 'half a' ? 0.5 : /^(a|an|one)$/.test(amount) ? 1 : Number(amount);
+    unit = m[2].toLowerCase();
+  }
+
+  return {
+    filter: { op: 'within_radius', center, radius: value, unit },
+    rest: text.slice(0, m.index).trim(),
+  };
+}
+
+// "what's new since this morning?", "any price changes today?"
+function detectChanges(text) {
+  if (!CHANGE_WORDS.test(text)) return null;
+  const since = text.match(SINCE_WORDS);
+  const types = [];
+  if (/\bnew\b/i.test(text)) types.push('new');
+  if (/\b(removed|off (the )?market|gone)\b/i.test(text)) types.push('removed');
+  if (/\b(status|pending|went active|sold|withdrawn|expired)\b/i.test(text)) types.push('status');
+  if (/\bprice\b/i.test(text)) types.push('price');
+  // "what's new" on its own means everything
+  const everything = /\b(what'?s new|anything new|what (has )?changed)\b/i.test(text);
+  return {
+    since: since ? since[1].toLowerCase() : null,
+    changeTypes: everything || !types.length ? null : types,
+  };
+}
+
+// "save this search as Arleta buyers", "run saved search Arleta buyers",
+// "rename saved search X to Y", "delete saved search X", "my saved searches"
+function detectSavedSearch(text) {
+  const name = (s) => (s ? s.trim().replace(/^["'“]|["'”]$/g, '').trim() : null);
+  let m = text.match(/^\s*save (?:this|that|the|my)?\s*(?:search|query|criteria)(?:\s+(?:as|called|named)\s+(.+?))?\s*[.!]?$/i);
+  if (m) return { action: 'save', name: name(m[1]) };
+  if (/\b(?:list|show|see|what are)\b.*\bsaved searches\b|^\s*(?:my )?saved searches\s*\??$/i.test(text)) {
+    return { action: 'list' };
+  }
+  m = text.match(/^\s*rename (?:the |my )?(?:saved )?search\s+(.+?)\s+to\s+(.+?)\s*[.!]?$/i);
+  if (m) return { action: 'rename', name: name(m[1]), newName: name(m[2]) };
+  m = text.match(/^\s*(?:delete|remove) (?:the |my )?(?:saved )?search\s+(.+?)\s*[.!]?$/i);
+  if (m) return { action: 'delete', name: name(m[1]) };
+  m = text.match(/^\s*(?:re)?run (?:the |my )?(?:saved )?search\s+(.+?)\s*[.!?]?$/i);
+  if (m) return { action: 'run', name: name(m[1]) };
+  return null;
+}
+
+// "export this to excel", "flyer for #4", "download the list as csv"
+function detectExport(text) {
+  if (!EXPORT_WORDS.test(text)) return null;
+  let format = 'csv';
+  if (/\b(flyer|brochure|printable|print|pdf)\b/i.test(text)) format = 'flyer';
+  else if (/\b(excel|xlsx|spreadsheet|workbook)\b/i.test(text)) format = 'xlsx';
+
+  const index = text.match(/#\s*(\d{1,4})\b|\b(?:listing|number)\s*#?\s*(\d{1,4})\b/i);
+  if (index) return { format, targetType: 'index', index: Number(index[1] || index[2]) };
+  if (/\b(list|results|all|these|them)\b/i.test(text)) return { format, targetType: 'list' };
+  if (/\b(this (listing|property|home|house|one)|that (listing|property|home|house|one)|it)\b/i.test(text)) {
+    return { format, targetType: 'last' };
+  }
+  return { format, targetType: null };
+}
+
+// "more", "next 10", "back", "page 3", "show 21-40": the whole message is
+// a move through the last list.
+function detectPaging(text) {
+  const t = text.replace(/[\s.!?]+$/, '');
+  let m = t.match(PAGE_NEXT);
+  if (m) return { move: 'next', number: null, from: null, to: null, size: m[1] || m[2] ? Number(m[1] || m[2]) : null };
+  m = t.match(PAGE_PREVIOUS);
+  if (m) return { move: 'previous', number: null, from: null, to: null, size: m[1] ? Number(m[1]) : null };
+  m = t.match(PAGE_NUMBER);
+  if (m && Number(m[1]) >= 1) return { move: 'page', number: Number(m[1]), from: null, to: null, size: null };
+  m = t.match(PAGE_RANGE);
+  if (m && Number(m[1]) >= 1 && Number(m[2]) >= Number(m[1])) {
+    return { move: 'range', number: null, from: Number(m[1]), to: Number(m[2]), size: null };
+  }
+  return null;
+}
+
+// Real column names typed as-is ("ShowingInstructions", "yearbuilt").
+function detectColumns(text, columns) {
+  if (!columns.length) return [];
+  const byLower = new Map(columns.map((c) => [c.toLowerCase(), c]));
+  const hits = [];
+  (text.match(/[A-Za-z][A-Za-z0-9_]{3,}/g) || []).forEach((word) => {
+    const col = byLower.get(word.toLowerCase());
+    if (col && !hits.includes(col)) hits.push(col);
+  });
+  return hits;
+}
+
+// "where PoolFeatures contains spa", "StandardStatus is Pending"
+function detectColumnFilters(text, columns) {
+  const filters = [];
+  const re = /\b([A-Za-z][A-Za-z0-9_]{3,})\s+(contains|includes|has|is not|is|equals|=|!=)\s+"?([^",]+?)"?(?=\s+(?:and|with|in|under|over)\b|[,?.!]|$)/gi;
+  let m;
+  while ((m = re.exec(text))) {
+    const col = columns.find((c) => c.toLowerCase() === m[1].toLowerCase());
+    if (!col) continue;
+    const verb = m[2].toLowerCase();
+    const op = ['contains', 'includes', 'has'].includes(verb)
+      ? 'contains'
+      : ['is not', '!='].includes(verb)
+        ? 'neq'
+        : 'eq';
+    filters.push({ column: col, op, value: m[3].trim() });
+  }
+  return filters;
+}
+
+function createRulePlanner({ getCities = () => [], getColumns = () => [] } = {}) {
+  function planText(userText) {
+    let text = String(userText || '').trim();
+    const plan = {
+      intent: 'unknown',
+      filters: [],
+      fields: null,
+      targetType: null,
+      index: null,
+      limit: null,
+      countOnly: null,
+      orderBy: null,
+      direction: null,
+      aggregate: null,
+      since: null,
+      changeTypes: null,
+      format: null,
+      savedSearch: null,
+      query: null,
+      targets: null,
+      financing: null,
+      page: null,
+    };
+
+    if (!text) return plan;
+
+    if (SMALL_TALK.test(text)) {
+      plan.intent = 'small_talk';
+      return plan;
+    }
+
+    if (FIELDS_QUESTION.test(text)) {
+      plan.intent = 'fields';
+      return plan;
+    }
+
+    const page = detectPaging(text);
+    if (page) {
+      plan.intent = 'page';
+      plan.page = page;
+      return plan;
+    }
+
+    const savedSearch = detectSavedSearch(text);
+    if (savedSearch) {
+      plan.intent = 'saved_search';
+      plan.savedSearch = savedSearch;
+      return plan;
+    }
+
+    // bare "11" or "#11"
+    const bare = text.match(/^#?\s*(\d{1,4})\s*[.?!]?$/);
+    if (bare) {
+      plan.intent = 'details';
+      plan.targetType = 'index';
+      plan.index = Number(bare[1]);
+      return plan;
+    }
+
+    // a monthly budget is a list filter; otherwise it's one listing's cost
+    let monthlyBudget = null;
+    if (MONTHLY_COST_WORDS.test(text) && !/\b(?:hoa|association)\b/i.test(text) && !detectAggregate(text)) {
+      const { financing, rest } = detectFinancing(text);
+      plan.financing = financing;
+      const budget = detectMonthlyBudget(rest);
+      if (budget) {
+        monthlyBudget = budget.filter;
+        text = budget.rest;
+      } else {
+        plan.intent = 'monthly_cost';
+        const ref = rest.match(/#\s*(\d{1,4})\b|\b(?:listing|number)\s*#?\s*(\d{1,4})\b/i);
+        if (ref) {
+          plan.targetType = 'index';
+          plan.index = Number(ref[1] || ref[2]);
+        } else {
+          plan.targetType = !LAST_WORDS.test(rest) && ADDRESS_LIKE.test(rest) ? 'address' : 'last';
+        }
+        return plan;
+      }
+    }
+
+    if (PRICE_CHANGE_WORDS.test(text) && !detectAggregate(text)) {
+      plan.intent = 'price_change';
+      // "how much has #6 come down?" is about one listing
+      const ref = text.match(/#\s*(\d{1,4})\b|\b(?:listing|number)\s*#?\s*(\d{1,4})\b/i);
+      if (ref) {
+        plan.targetType = 'index';
+        plan.index = Number(ref[1] || ref[2]);
+        return plan;
+      }
+      if (LAST_WORDS.test(text)) {
+        plan.targetType = 'last';
+        return plan;
+      }
+      const { filters, rest } = detectPriceChangeFilters(text);
+      if (!filters.length && ADDRESS_LIKE.test(rest) && !/\b9\d{4}\b/.test(rest)) {
+        plan.targetType = 'address';
+        return plan;
+      }
+      filters.push(...cityFilters(detectCities(rest, getCities())));
+      filters.push(...zipFilters(rest));
+      const beds = detectRoomFilter(rest, 'beds?|bedrooms?|br|bd', 'beds');
+      if (beds) filters.push(beds);
+      filters.push(...detectPriceFilters(rest));
+      plan.filters = filters;
+      // "biggest price cuts" is the default order, not a sqft sort
+      const biggest = /\b(?:biggest|largest|steepest)\s+(?:price\s+)?(?:drops?|cuts?|reductions?)\b/i.test(rest);
+      const sort = biggest ? null : detectSort(rest);
+      if (sort) {
+        plan.orderBy = sort.orderBy;
+        plan.direction = sort.direction;
+      }
+      const limit = rest.match(/\b(?:top|first|only)\s+(\d{1,3})\b/i);
+      if (limit) plan.limit = Number(limit[1]);
+      if (/\bhow many\b|\bcount\b|\bnumber of\b/i.test(rest)) plan.countOnly = true;
+      return plan;
+    }
+
+    const changes = detectChanges(text);
+    if (changes) {
+      plan.intent = 'changes';
+      plan.since = changes.since;
+      plan.changeTypes = changes.changeTypes;
+      return plan;
+    }
+
+    if (COMPARE_WORDS.test(text)) {
+      const targets = detectCompareTargets(text);
+      if (targets.length) {
+        plan.intent = 'compare';
+        plan.targets = targets;
+        return plan;
+      }
+    }
+
+    if (CMA_WORDS.test(text)) {
+      plan.intent = 'cma';
+      const count = text.match(/\b(\d{1,2})\s+(?:comps|comparables)\b/i);
+      if (count) plan.limit = Number(count[1]);
+      const rest = count ? text.replace(count[0], ' ') : text;
+      const ref = rest.match(/#\s*(\d{1,4})\b|\b(?:listing|number)\s*#?\s*(\d{1,4})\b/i);
+      if (ref) {
+        plan.targetType = 'index';
+        plan.index = Number(ref[1] || ref[2]);
+      } else {
+        plan.targetType = ADDRESS_LIKE.test(rest) ? 'address' : 'last';
+      }
+      return plan;
+    }
+
+    const exportRequest = detectExport(text);
+    if (exportRequest) {
+      plan.intent = 'export';
+      plan.format = exportRequest.format;
+      plan.targetType = exportRequest.targetType;
+      plan.index = exportRequest.index ?? null;
+      const exportFields = detectFields(text);
+      plan.fields = exportFields.length ? ['Address', ...exportFields] : null;
+      return plan;
+    }
+
+    const geo = detectGeo(text);
+    if (geo) text = geo.rest;
+
+    const columns = getColumns();
+    const columnFilters = detectColumnFilters(text, columns);
+    const filteredColumns = columnFilters.map((f) => f.column);
+    const fields = [
+      ...detectFields(text),
+      ...detectColumns(text, columns).filter((c) => !filteredColumns.includes(c)),
+    ];
+    const wantsProfile = PROFILE_WORDS.test(text);
+
+    // "#12", "listing 12", "number 12" (but "9600 Van Nuys Blvd #206" is a unit)
+    const indexRef = geo ? null : text.match(/(?:#|\b(?:listing|number|no\.?)\s*#?)\s*(\d{1,4})\b/i);
+    if (indexRef && !ADDRESS_LIKE.test(text.slice(0, indexRef.index))) {
+      plan.intent = 'details';
+      plan.targetType = 'index';
+      plan.index = Number(indexRef[1]);
+      plan.fields = wantsProfile || !fields.length ? null : fields;
+      return plan;
+    }
+
+    const aggregate = detectAggregate(text);
+    const sort = aggregate ? null : detectSort(text);
+    const isList =
+      LIST_WORDS.test(text) ||
+      Boolean(sort) ||
+      Boolean(aggregate) ||
+      Boolean(geo) ||
+      Boolean(monthlyBudget);
+    const zip = text.match(/\b(9\d{4})\b/);
+
+    // a street address ("13121 Chase St") that isn't just a zip or a price
+    const addressText = text.replace(/\$?\d[\d,]*(?:\.\d+)?\s*[km]\b/gi, ' ');
+    const address = addressText.match(ADDRESS_LIKE);
+    const looksLikeAddress =
+      address &&
+      !/^\d+\s+(beds?|baths?|bedrooms?|bathrooms?|br|ba|bd|or|plus|listings?|homes?|days?)\b/i.test(
+        address[0]
+      ) &&
+      !(zip && address[0].startsWith(zip[1]));
+
+    if ((looksLikeAddress && !isList) || (LISTING_ID_LIKE.test(text) && !aggregate)) {
+      plan.intent = 'details';
+      plan.targetType = 'address';
+      plan.fields = wantsProfile || !fields.length ? null : fields;
+      return plan;
+    }
+
+    if (!isList && LAST_WORDS.test(text) && (fields.length || wantsProfile)) {
+      plan.intent = 'details';
+      plan.targetType = 'last';
+      plan.fields = wantsProfile || !fields.length ? null : fields;
+      return plan;
+    }
+
+    const filters = geo ? [geo.filter, ...columnFilters] : [...columnFilters];
+    filters.push(...cityFilters(detectCities(text, getCities())));
+    filters.push(...zipFilters(text));
+    filters.push(...detectDateFilters(text));
+
+    const beds = detectRoomFilter(text, 'beds?|bedrooms?|br|bd', 'beds');
+    if (beds) filters.push(beds);
+    const baths = detectRoomFilter(text, 'baths?|bathrooms?|ba', 'baths');
+    if (baths) filters.push(baths);
+
+    filters.push(...detectPriceFilters(text));
+    if (monthlyBudget) filters.push(monthlyBudget);
+
+    if (/\bpool\b/i.test(text) && !/\bno pool\b/i.test(text)) {
+      filters.push({ column: 'PoolFeatures', op: 'exists', value: null });
+      filters.push({ column: 'PoolFeatures', op: 'neq', value: 'None' });
+    }
+
+    const wantsSearch = !aggregate && (SEARCH_WORDS.test(text) || FEATURE_WORDS.test(text));
+    const searchText = wantsSearch ? searchQueryText(text, getCities()) : '';
+    if (searchText) {
+      plan.intent = 'search';
+      plan.query = searchText;
+      plan.filters = filters;
+      if (sort) {
+        plan.orderBy = sort.orderBy;
+        plan.direction = sort.direction;
+      }
+      if (/\bhow many\b|\bcount\b|\bnumber of\b/i.test(text)) plan.countOnly = true;
+      return plan;
+    }
+
+    if (!isList && !filters.length) return plan;
+
+    plan.filters = filters;
+
+    if (aggregate) {
+      plan.intent = 'aggregate';
+      plan.aggregate = aggregate;
+      return plan;
+    }
+
+    plan.intent = 'list';
+    if (sort) {
+      plan.orderBy = sort.orderBy;
+      plan.direction = sort.direction;
+    } else if (geo) {
+      plan.orderBy = 'Distance';
+      plan.direction = 'asc';
+    }
+
+    const limit = text.match(
+      /\b(?:top|first|only|cheapest|newest|biggest|largest|smallest|priciest|most expensive)\s+(\d{1,3})\b(?!\s*(?:\+|beds?|bedrooms?|baths?|bathrooms?|br|ba|bd)\b)/i
+    );
+    if (limit) plan.limit = Number(limit[1]);
+
+    if (/\bhow many\b|\bcount\b|\bnumber of\b/i.test(text)) {
+      plan.countOnly = true;
+    }
+
+    // filter columns aren't output fields unless they were asked for
+    const outFields = fields.filter((f) => f !== 'zip' || !zip);
+    if (geo) outFields.push('Distance');
+    if (monthlyBudget && !outFields.includes('MonthlyCost')) outFields.push('price', 'MonthlyCost');
+    plan.fields = outFields.length ? ['Address', ...outFields] : ['Address'];
+    return plan;
+  }
+
+  return {
+    name: 'rules',
+    async plan(history, userText) {
+      return planText(userText);
+    },
+    planText,
+  };
+}
+
+// -------------------- FACTORY --------------------
+// Falls back to the rule planner when the remote planner can't be reached,
+// so the bot keeps answering with no network.
+function withFallback(primary, fallback) {
+  return {
+    name: `${primary.name} → ${fallback.name}`,
+    async plan(history, userText) {
+      try {
+        return await primary.plan(history, userText);
+      } catch (err) {
+        if (!(err instanceof PlannerError) || !err.cause) throw err;
+        console.warn(
+          `⚠️ ${primary.name} unavailable (${err.message}); using ${fallback.name}`
+        );
+        return fallback.plan(history, userText);
+      }
+    },
+    async repair(history, userText, plan, errors) {
+      if (!primary.repair) return null;
+      try {
+        return await primary.repair(history, userText, plan, errors);
+      } catch (err) {
+        if (!(err instanceof PlannerError) || !err.cause) throw err;
+        return null; // unreachable now; the caller reports the errors
+      }
+    },
+  };
+}
+
+/**
+ * type: "openai" | "rules" | "auto" (default). "auto" uses the
+ * OpenAI-compatible planner when an API key or base URL is configured and
+ * the rule planner otherwise.
+ */
+function createPlanner({
+  type = 'auto',
+  baseUrl,
+  apiKey,
+  model,
+  systemPrompt,
+  jsonMode,
+  fallback = true,
+  getCities,
+  getColumns,
+} = {}) {
+  const rules = createRulePlanner({ getCities, getColumns });
+  const useRemote =
+    type === 'openai' || (type === 'auto' && Boolean(apiKey || baseUrl));
+
+  if (type !== 'auto' && type !== 'openai' && type !== 'rules') {
+    throw new Error(`Unknown planner type: ${type}`);
+  }
+  if (!useRemote) return rules;
+
+  const remote = createOpenAICompatiblePlanner({
+    baseUrl,
+    apiKey,
+    model,
+    systemPrompt,
+    jsonMode,
+  });
+  return fallback ? withFallback(remote, rules) : remote;
+}
+
+module.exports = {
+  PlannerError,
+  createOpenAICompatiblePlanner,
+  createRulePlanner,
+  createPlanner,
+  parseMoney,
+};
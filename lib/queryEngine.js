@@ -0,0 +1,188 @@
+// lib/queryEngine.js
+//
+// Typed, column-oriented view over the loaded MLS rows. Values are parsed
+// once per column (lazily, on first use) instead of on every query, and the
+// high-traffic columns get indexes so filters only touch candidate rows.
+
+const { parseValue, parseDate, parseNumber } = require('./schema');
+
+const DEFAULT_INDEX_COLUMNS = [
+  'PostalCode',
+  'City',
+  'ListPrice',
+  'BedroomsTotal',
+  'BathroomsTotalInteger',
+  'PropertyType',
+  'PropertySubType',
+  'StandardStatus',
+];
+
+const RANGE_TYPES = ['number', 'currency', 'date'];
+
+function keyOf(value) {
+  return String(value).trim().toLowerCase();
+}
+
+// first position in sorted entries whose value is >= target (or > target)
+function lowerBound(entries, target, strict) {
+  let lo = 0;
+  let hi = entries.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    const v = entries[mid].value;
+    if (strict ? v <= target : v < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Parses a filter's target into the column's type, so "2025-10-01" compares
+ * against dates and "$900,000" against currency.
+ */
+function coerceTarget(type, value) {
+  if (value == null) return null;
+  if (type === 'date') return parseDate(value);
+  if (type === 'number' || type === 'currency') {
+    return typeof value === 'number' ? value : parseNumber(value);
+  }
+  return value;
+}
+
+function createQueryEngine(rows, schema, { indexColumns = DEFAULT_INDEX_COLUMNS } = {}) {
+  const positions = new Map(rows.map((row, i) => [row, i]));
+  const typedColumns = new Map(); // column -> typed value per row position
+  const indexes = new Map(); // column -> { kind: 'hash', map } | { kind: 'range', entries }
+
+  function typeOf(column) {
+    return schema.columns[column] ? schema.columns[column].type : 'string';
+  }
+
+  function column(name) {
+    if (!typedColumns.has(name)) {
+      const type = typeOf(name);
+      typedColumns.set(name, rows.map((row) => parseValue(type, row[name])));
+    }
+    return typedColumns.get(name);
+  }
+
+  function typedValue(row, name) {
+    const pos = positions.get(row);
+    if (pos === undefined) return parseValue(typeOf(name), row[name]);
+    return column(name)[pos];
+  }
+
+  function buildIndex(name) {
+    const type = typeOf(name);
+    const values = column(name);
+
+    if (RANGE_TYPES.includes(type)) {
+      const entries = [];
+      values.forEach((value, pos) => {
+        if (value != null) entries.push({ value, pos });
+      });
+      entries.sort((a, b) => a.value - b.value);
+      return { kind: 'range', entries };
+    }
+
+    const map = new Map();
+    values.forEach((value, pos) => {
+      const keys = Array.isArray(value) ? value : value == null ? [] : [value];
+      keys.forEach((k) => {
+        const key = keyOf(k);
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(pos);
+      });
+    });
+    return { kind: 'hash', map };
+  }
+
+  indexColumns
+    .filter((name) => schema.columns[name])
+    .forEach((name) => indexes.set(name, buildIndex(name)));
+
+  /**
+   * Candidate row positions for one filter using an index, or null when the
+   * column isn't indexed or the op can't use it (the caller then scans).
+   * Candidates are a superset; the caller still runs the full filter.
+   */
+  function lookup(name, op, value) {
+    const index = indexes.get(name);
+    if (!index || value == null) return null;
+
+    if (index.kind === 'hash') {
+      if (op === 'eq') return index.map.get(keyOf(value)) || [];
+      if (op === 'in' && Array.isArray(value)) {
+        return value.flatMap((v) => index.map.get(keyOf(v)) || []);
+      }
+      if (op === 'contains') {
+        // few distinct keys (cities, zips), so scanning keys is cheap
+        const needle = keyOf(value);
+        const hits = [];
+        index.map.forEach((list, key) => {
+          if (key.includes(needle)) hits.push(...list);
+        });
+        return hits;
+      }
+      return null;
+    }
+
+    // date "eq" means the same calendar day, which a point lookup can't answer
+    if (typeOf(name) === 'date' && (op === 'eq' || op === 'in')) return null;
+    if (op === 'in' && Array.isArray(value)) {
+      const lists = value.map((v) => lookup(name, 'eq', v));
+      return lists.includes(null) ? null : lists.flat();
+    }
+    if (op === 'between' && Array.isArray(value)) {
+      // either end may be open: [600000, null]
+      const [lo, hi] = value;
+      const above = lo == null ? null : lookup(name, 'ge', lo);
+      const below = hi == null ? null : lookup(name, 'le', hi);
+      if (!above || !below) return above || below;
+      const keep = new Set(below);
+      return above.filter((pos) => keep.has(pos));
+    }
+    const target = coerceTarget(typeOf(name), value);
+    if (target == null || Number.isNaN(target)) return null;
+    const { entries } = index;
+    let from = 0;
+    let to = entries.length;
+    switch (op) {
+      case 'eq':
+        from = lowerBound(entries, target, false);
+        to = lowerBound(entries, target, true);
+        break;
+      case 'gt':
+        from = lowerBound(entries, target, true);
+        break;
+      case 'ge':
+        from = lowerBound(entries, target, false);
+        break;
+      case 'lt':
+        to = lowerBound(entries, target, false);
+        break;
+      case 'le':
+        to = lowerBound(entries, target, true);
+        break;
+      default:
+        return null;
+    }
+    return entries.slice(from, to).map((e) => e.pos);
+  }
+
+  return {
+    schema,
+    size: rows.length,
+    typeOf,
+    typedValue,
+    lookup,
+    positionOf: (row) => positions.get(row),
+    indexedColumns: () => [...indexes.keys()],
+  };
+}
+
+module.exports = {
+  DEFAULT_INDEX_COLUMNS,
+  createQueryEngine,
+  coerceTarget,
+};
@@ -0,0 +1,155 @@
+// lib/savedSearches.js
+//
+// Named, persistent list queries ("3+ beds in Arleta under 800k"). Each
+// search remembers which listings matched last time, so a data reload can
+// report what newly matches and what dropped out. A search belongs to the
+// client (owner) and audience that saved it, and every lookup below takes
+// that scope: one buyer's criteria are nobody else's business, and agent
+// searches may filter on columns the public can't see.
+//
+// Stored as JSON: { searches: [{ id, name, query, audience, owner, createdAt,
+//   updatedAt, matches: [{ listingId, address, price }], lastRun, alerts }] }
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_ALERTS = 20; // per search, newest last
+
+function sameName(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * previous / current: [{ listingId, address, price }]
+ * Returns { added, removed } keyed on listingId.
+ */
+function diffMatches(previous, current) {
+  const before = new Set(previous.map((m) => m.listingId));
+  const after = new Set(current.map((m) => m.listingId));
+  return {
+    added: current.filter((m) => !before.has(m.listingId)),
+    removed: previous.filter((m) => !after.has(m.listingId)),
+  };
+}
+
+function createSavedSearchStore({ file, maxAlerts = MAX_ALERTS } = {}) {
+  let searches = [];
+
+  if (file && fs.existsSync(file)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      searches = Array.isArray(saved.searches) ? saved.searches : [];
+    } catch (err) {
+      console.error('❌ Error loading saved searches:', err.message);
+    }
+  }
+
+  function flush() {
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ searches }, null, 2));
+    } catch (err) {
+      console.error('❌ Error writing saved searches:', err.message);
+    }
+  }
+
+  // scope: { owner, audience }; null means every search (reloads re-run
+  // them all)
+  function visible(scope) {
+    if (!scope) return searches;
+    return searches.filter((s) => s.owner === scope.owner && s.audience === scope.audience);
+  }
+
+  // by id, or by name (case-insensitive), among the scope's searches
+  function find(idOrName, scope = null) {
+    if (idOrName == null || idOrName === '') return null;
+    const own = visible(scope);
+    return own.find((s) => s.id === idOrName) || own.find((s) => sameName(s.name, idOrName)) || null;
+  }
+
+  function nameTaken(name, scope, exceptId) {
+    return visible(scope).some((s) => s.id !== exceptId && sameName(s.name, name));
+  }
+
+  return {
+    find,
+
+    list(scope = null) {
+      return visible(scope);
+    },
+
+    // Returns the new search, or { error } when the name is taken.
+    create({ name, query, audience, owner, matches = [] }) {
+      const scope = { owner, audience };
+      const clean = String(name || '').trim() || `Search ${visible(scope).length + 1}`;
+      if (nameTaken(clean, scope)) return { error: `There is already a saved search called "${clean}".` };
+      const now = new Date().toISOString();
+      const search = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name: clean,
+        query,
+        audience,
+        owner,
+        createdAt: now,
+        updatedAt: now,
+        matches,
+        lastRun: null,
+        alerts: [],
+      };
+      searches.push(search);
+      flush();
+      return search;
+    },
+
+    rename(idOrName, newName, scope = null) {
+      const search = find(idOrName, scope);
+      if (!search) return { error: `I couldn't find a saved search called "${idOrName}".` };
+      const clean = String(newName || '').trim();
+      if (!clean) return { error: 'The new name is empty.' };
+      if (nameTaken(clean, { owner: search.owner, audience: search.audience }, search.id)) {
+        return { error: `There is already a saved search called "${clean}".` };
+      }
+      search.name = clean;
+      search.updatedAt = new Date().toISOString();
+      flush();
+      return search;
+    },
+
+    remove(idOrName, scope = null) {
+      const search = find(idOrName, scope);
+      if (!search) return { error: `I couldn't find a saved search called "${idOrName}".` };
+      searches = searches.filter((s) => s !== search);
+      flush();
+      return search;
+    },
+
+    /**
+     * Stores the matches from a re-run after a reload and keeps an alert
+     * when anything was added or removed. Returns { added, removed }.
+     */
+    recordRun(search, matches, meta = {}) {
+      const diff = diffMatches(search.matches || [], matches);
+      search.matches = matches;
+      search.lastRun = {
+        at: new Date().toISOString(),
+        total: matches.length,
+        ...meta,
+        added: diff.added,
+        removed: diff.removed,
+      };
+      if (diff.added.length || diff.removed.length) {
+        search.alerts = [...(search.alerts || []), search.lastRun].slice(-maxAlerts);
+      }
+      return diff;
+    },
+
+    flush,
+  };
+}
+
+module.exports = {
+  diffMatches,
+  createSavedSearchStore,
+};
@@ -0,0 +1,158 @@
+// lib/schema.js
+//
+// Infers a type for every MLS column from its name and values, and parses
+// raw CSV strings into typed values:
+//   number   -> Number           currency -> Number (dollars)
+//   date     -> epoch ms         boolean  -> true / false  (the ...YN columns)
+//   list     -> ['a', 'b']       string   -> String
+
+// Identifiers that look numeric but must never be treated as numbers.
+const STRING_HINTS = /(PostalCode|Zip|Phone|Fax|ListingId|MlsId|ParcelNumber|StateLicense|KeyNumeric|Key$|Id$|ID$|Dir(Prefix|Suffix)$|URL|Email|StreetNumber$|UnitNumber|TaxBlock|TaxLot|TaxTract|AdNumber)/;
+const CURRENCY_HINTS = /(Price|Amount|Fee\d?$|Income|Expense|Rent|Assessments$|Value$|Compensation$|Deposit)/;
+const DATE_HINTS = /(Date|Timestamp)$/;
+const BOOLEAN_HINTS = /YN$/;
+const LIST_HINTS = /(Features|Appliances|Amenities|Cooling|Heating|View|Flooring|ListingTerms|Utilities|Sewer|Fencing|Roof|Construction|Materials|Includes|Style|Levels|Disclosures|Possession|Electric|Gas|Water|Exclusions|Inclusions|Room|Rooms)$/;
+
+const MAX_BAD_RATIO = 0.05; // exports carry the odd "#ERR"
+
+// "10/24/2025 12:00:00 AM", "10/24/2025", "2025-10-24", "2025-10-24T15:25:56Z"
+const US_DATE =
+  /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?)?$/;
+
+function isBlank(raw) {
+  return raw == null || String(raw).trim() === '';
+}
+
+function parseNumber(raw) {
+  if (isBlank(raw)) return null;
+  const cleaned = String(raw).trim().replace(/[$,\s]/g, '');
+  if (!/^-?\d*\.?\d+(e[+-]?\d+)?$/i.test(cleaned)) return null;
+  return Number(cleaned);
+}
+
+function parseDate(raw) {
+  if (isBlank(raw)) return null;
+  if (raw instanceof Date) return raw.getTime();
+  const text = String(raw).trim();
+
+  const us = text.match(US_DATE);
+  if (us) {
+    let hours = Number(us[4] || 0);
+    const ampm = (us[7] || '').toLowerCase();
+    if (ampm === 'pm' && hours < 12) hours += 12;
+    if (ampm === 'am' && hours === 12) hours = 0;
+    const d = new Date(
+      Number(us[3]),
+      Number(us[1]) - 1,
+      Number(us[2]),
+      hours,
+      Number(us[5] || 0),
+      Number(us[6] || 0)
+    );
+    return Number.isNaN(d.getTime()) ? null : d.getTime();
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    // date-only ISO strings are local dates, like the MLS ones
+    const d = /^\d{4}-\d{2}-\d{2}$/.test(text)
+      ? new Date(`${text}T00:00:00`)
+      : new Date(text);
+    return Number.isNaN(d.getTime()) ? null : d.getTime();
+  }
+  return null;
+}
+
+function parseBoolean(raw) {
+  if (isBlank(raw)) return null;
+  const text = String(raw).trim().toLowerCase();
+  if (['true', 'y', 'yes', '1'].includes(text)) return true;
+  if (['false', 'n', 'no', '0'].includes(text)) return false;
+  return null;
+}
+
+function parseList(raw) {
+  if (isBlank(raw)) return [];
+  return String(raw)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function parseValue(type, raw) {
+  switch (type) {
+    case 'number':
+    case 'currency':
+      return parseNumber(raw);
+    case 'date':
+      return parseDate(raw);
+    case 'boolean':
+      return parseBoolean(raw);
+    case 'list':
+      return parseList(raw);
+    default:
+      return isBlank(raw) ? null : String(raw);
+  }
+}
+
+function mostlyParses(values, parser) {
+  if (!values.length) return false;
+  const bad = values.filter((v) => parser(v) === null).length;
+  return bad / values.length <= MAX_BAD_RATIO;
+}
+
+function inferColumnType(name, values) {
+  const present = values.filter((v) => !isBlank(v));
+
+  if (STRING_HINTS.test(name)) return 'string';
+  if (BOOLEAN_HINTS.test(name)) return 'boolean';
+  if (DATE_HINTS.test(name)) return 'date';
+  if (LIST_HINTS.test(name)) return 'list';
+
+  if (!present.length) {
+    // nothing to look at: fall back on the name alone
+    return CURRENCY_HINTS.test(name) ? 'currency' : 'string';
+  }
+
+  if (mostlyParses(present, parseNumber)) {
+    const money = CURRENCY_HINTS.test(name) || present.some((v) => /^\s*\$/.test(v));
+    return money ? 'currency' : 'number';
+  }
+  // Y/N alone could be street directions; insist on spelled-out words
+  if (mostlyParses(present, parseBoolean) && present.some((v) => /^(true|false|yes|no)$/i.test(v.trim()))) {
+    return 'boolean';
+  }
+  if (mostlyParses(present, parseDate)) return 'date';
+
+  // free-text remarks contain commas too; lists are short, repeated tokens
+  const withCommas = present.filter((v) => v.includes(', ')).length;
+  const avgLength = present.reduce((n, v) => n + v.length, 0) / present.length;
+  if (withCommas / present.length >= 0.2 && avgLength < 120) return 'list';
+
+  return 'string';
+}
+
+/**
+ * Returns { columns: { [name]: { type, filled } }, duplicates }.
+ * `filled` is how many rows have a non-blank value.
+ */
+function inferSchema(rows, columnNames, duplicates = []) {
+  const columns = {};
+  columnNames.forEach((name) => {
+    const values = rows.map((row) => row[name]);
+    columns[name] = {
+      type: inferColumnType(name, values),
+      filled: values.filter((v) => !isBlank(v)).length,
+    };
+  });
+  return { columns, duplicates };
+}
+
+module.exports = {
+  parseNumber,
+  parseDate,
+  parseBoolean,
+  parseList,
+  parseValue,
+  inferColumnType,
+  inferSchema,
+};
@@ -0,0 +1,130 @@
+// lib/sessions.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MS = 2 * 60 * 60 * 1000; // 2 hours idle
+
+// Conversation state kept per chat session. Everything in here must be
+// plain JSON so the file-backed store can persist it.
+function createSessionData() {
+  return {
+    lastList: [],       // [{ listingId, rowIndex, displayAddress }], the whole match set
+    lastListing: null,  // { listingId, rowIndex, displayAddress }
+    listPosition: null, // 1-based position of lastListing within lastList
+    lastListFields: [], // fields the last list showed, reused by exports
+    listView: null,     // which page of lastList is showing and how to draw it
+    lastQuery: null,    // the last list query, for "save this search"
+  };
+}
+
+function newSessionId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// -------------------- MEMORY STORE --------------------
+function createMemoryStore({ ttlMs = DEFAULT_TTL_MS } = {}) {
+  const entries = new Map(); // id -> { data, expiresAt }
+
+  function isExpired(entry) {
+    return !entry || entry.expiresAt <= Date.now();
+  }
+
+  return {
+    get(id) {
+      const entry = entries.get(id);
+      if (isExpired(entry)) {
+        entries.delete(id);
+        return null;
+      }
+      return entry.data;
+    },
+    set(id, data) {
+      entries.set(id, { data, expiresAt: Date.now() + ttlMs });
+    },
+    destroy(id) {
+      entries.delete(id);
+    },
+    prune() {
+      for (const [id, entry] of entries) {
+        if (isExpired(entry)) entries.delete(id);
+      }
+    },
+    entries,
+  };
+}
+
+// -------------------- FILE STORE --------------------
+// Same behaviour as the memory store, but every write is flushed to a JSON
+// file so sessions survive a server restart.
+function createFileStore({ file, ttlMs = DEFAULT_TTL_MS } = {}) {
+  if (!file) throw new Error('File session store needs a file path');
+
+  const store = createMemoryStore({ ttlMs });
+
+  try {
+    if (fs.existsSync(file)) {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      Object.entries(saved).forEach(([id, entry]) => {
+        store.entries.set(id, entry);
+      });
+      store.prune();
+    }
+  } catch (err) {
+    console.error('❌ Error loading session file:', err.message);
+  }
+
+  function flush() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(Object.fromEntries(store.entries)));
+    } catch (err) {
+      console.error('❌ Error writing session file:', err.message);
+    }
+  }
+
+  return {
+    ...store,
+    set(id, data) {
+      store.set(id, data);
+      flush();
+    },
+    destroy(id) {
+      store.destroy(id);
+      flush();
+    },
+    prune() {
+      store.prune();
+      flush();
+    },
+  };
+}
+
+// -------------------- FACTORY --------------------
+function createSessionStore({ type = 'memory', file, ttlMs } = {}) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore({ ttlMs });
+    case 'file':
+      return createFileStore({ file, ttlMs });
+    default:
+      throw new Error(`Unknown session store type: ${type}`);
+  }
+}
+
+// Looks up the caller's session, or starts a fresh one when the id is
+// missing or has expired.
+function loadSession(store, id) {
+  const data = id ? store.get(id) : null;
+  if (data) return { id, data };
+  return { id: newSessionId(), data: createSessionData() };
+}
+
+module.exports = {
+  DEFAULT_TTL_MS,
+  createSessionData,
+  createMemoryStore,
+  createFileStore,
+  createSessionStore,
+  loadSession,
+};
@@ -0,0 +1,113 @@
+// lib/shareLinks.js
+//
+// Tokens for the client-facing listing pages (/listing/:listingId?share=...).
+// Each one is tied to a single listing and expires; an agent can turn one off
+// early, which is the point of handing out a token instead of the bare URL.
+//
+// Stored as JSON: { links: [{ token, listingId, createdAt, expiresAt,
+//   revokedAt }] }. Links are dropped a week after they stop working.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TTL_MS = 14 * DAY_MS;
+const KEEP_DEAD_MS = 7 * DAY_MS;
+
+function createShareLinkStore({ file, ttlMs = DEFAULT_TTL_MS } = {}) {
+  let links = [];
+
+  if (file && fs.existsSync(file)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      links = Array.isArray(saved.links) ? saved.links : [];
+    } catch (err) {
+      console.error('❌ Error loading share links:', err.message);
+    }
+  }
+
+  function deadSince(link) {
+    return link.revokedAt ? Date.parse(link.revokedAt) : Date.parse(link.expiresAt);
+  }
+
+  function isLive(link, now = Date.now()) {
+    return !link.revokedAt && Date.parse(link.expiresAt) > now;
+  }
+
+  function flush() {
+    const now = Date.now();
+    links = links.filter((l) => isLive(l, now) || now - deadSince(l) < KEEP_DEAD_MS);
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ links }, null, 2));
+    } catch (err) {
+      console.error('❌ Error writing share links:', err.message);
+    }
+  }
+
+  function find(token) {
+    return links.find((l) => l.token === token) || null;
+  }
+
+  return {
+    ttlMs,
+
+    // Newest first; `listingId` narrows to one listing.
+    list({ listingId = null } = {}) {
+      return links
+        .filter((l) => !listingId || l.listingId === listingId)
+        .map((l) => ({ ...l, live: isLive(l) }))
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    },
+
+    /**
+     * A live link for the listing. One that still has at least half its
+     * lifetime left is handed out again rather than minting another, unless
+     * `fresh` asks for a new one (e.g. a custom lifetime).
+     */
+    create({ listingId, ttlMs: lifetime = ttlMs, fresh = false }) {
+      const now = Date.now();
+      if (!fresh) {
+        const reusable = links.find(
+          (l) => l.listingId === listingId && isLive(l, now) && Date.parse(l.expiresAt) - now >= lifetime / 2
+        );
+        if (reusable) return reusable;
+      }
+      const link = {
+        token: crypto.randomBytes(12).toString('hex'),
+        listingId,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + lifetime).toISOString(),
+        revokedAt: null,
+      };
+      links.push(link);
+      flush();
+      return link;
+    },
+
+    // { link } when `token` opens `listingId`, else { error } saying why not.
+    check(token, listingId) {
+      const link = find(token);
+      if (!link || link.listingId !== listingId) return { error: 'unknown' };
+      if (link.revokedAt) return { error: 'revoked' };
+      if (Date.parse(link.expiresAt) <= Date.now()) return { error: 'expired' };
+      return { link };
+    },
+
+    revoke(token) {
+      const link = find(token);
+      if (!link) return { error: 'Share link not found.' };
+      if (!link.revokedAt) {
+        link.revokedAt = new Date().toISOString();
+        flush();
+      }
+      return link;
+    },
+  };
+}
+
+module.exports = {
+  createShareLinkStore,
+};
@@ -0,0 +1,345 @@
+// lib/textSearch.js
+//
+// Local full-text relevance search over listing remarks and feature columns.
+// BM25 scoring summed across columns (each with its own weight), a light
+// suffix-stripping stemmer, and synonym rings so "ADU", "guest house" and
+// "granny flat" all index as the same term. Everything is in memory; no
+// network or embedding service involved.
+
+const DEFAULT_SEARCH_COLUMNS = [
+  'PublicRemarks',
+  'View',
+  'PoolFeatures',
+  'SpaFeatures',
+  'Appliances',
+  'InteriorFeatures',
+  'ExteriorFeatures',
+  'PatioAndPorchFeatures',
+  'LotFeatures',
+  'CommunityFeatures',
+  'AssociationAmenities',
+  'ParkingFeatures',
+  'Flooring',
+  'FireplaceFeatures',
+  'Heating',
+  'Cooling',
+  'LaundryFeatures',
+  'SecurityFeatures',
+  'AccessibilityFeatures',
+  'WindowFeatures',
+  'DoorFeatures',
+  'ArchitecturalStyle',
+  'Utilities',
+];
+
+// Remarks are long and chatty; a hit in a feature column is a stronger signal.
+const DEFAULT_COLUMN_WEIGHTS = { PublicRemarks: 1 };
+const FEATURE_COLUMN_WEIGHT = 1.5;
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(
+  (
+    'a an and are as at be but by for from has have in into is it its of on or ' +
+    'that the this to with your you our all any some very just none other see ' +
+    'yes no n'
+  ).split(' ')
+);
+
+// Dropped from queries only: "homes with a view" is about the view.
+// (Stemmed once stem() is defined, below.)
+const QUERY_NOISE_WORDS = (
+  'home house listing property show find search look me i we want need like ' +
+  'give list which where mention mentions mentioning say says described keyword ' +
+  'keywords great nice good'
+).split(' ');
+
+// canonical term -> variants (words or phrases). Variants go through the
+// same stemmer, so "remodeled" and "remodeling" only need "remodel".
+const SYNONYMS = {
+  adu: [
+    'accessory dwelling unit',
+    'accessory dwelling',
+    'guest house',
+    'guesthouse',
+    'granny flat',
+    'in law unit',
+    'in law suite',
+    'inlaw',
+    'mother in law',
+    'back house',
+    'casita',
+    'jadu',
+    'junior adu',
+    'second unit',
+    'detached unit',
+  ],
+  remodel: ['renovate', 'renovation', 'rehab', 'upgrade', 'update', 'modernize', 'redone', 'redo'],
+  view: ['vista', 'panoramic'],
+  spa: ['hot tub', 'jacuzzi', 'whirlpool'],
+  ac: ['a c', 'air conditioning', 'central air', 'air conditioner'],
+  bbq: ['barbecue', 'barbeque', 'built in bbq', 'outdoor kitchen'],
+  yard: ['backyard', 'back yard', 'front yard'],
+  hardwood: ['wood floor', 'wood flooring', 'hardwood floor'],
+  stainless: ['stainless steel'],
+  ev: ['ev charger', 'electric vehicle', 'ev charging'],
+  solar: ['solar panel', 'solar power'],
+  garage: ['carport'],
+};
+
+// -------------------- ANALYSIS --------------------
+function stem(word) {
+  let w = word;
+  if (w.length <= 3 || /^\d/.test(w)) return w;
+  if (w.endsWith('ies') && w.length > 4) return w.slice(0, -3) + 'y';
+  if (w.endsWith('sses')) return w.slice(0, -2);
+  if (/(?:ss|us|is)$/.test(w)) return w;
+  if (w.endsWith('ation') && w.length > 7) w = w.slice(0, -5) + 'ate';
+  else if (w.endsWith('ing') && w.length > 5) w = w.slice(0, -3);
+  else if (w.endsWith('ed') && w.length > 4) w = w.slice(0, -2);
+  else if (w.endsWith('ly') && w.length > 4) w = w.slice(0, -2);
+  else if (/(?:ch|sh|x|z)es$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith('s')) w = w.slice(0, -1);
+  // swimming -> swimm -> swim; but keep "pool", "wall", "glass"
+  if (/([^aeiouslz])\1$/.test(w)) w = w.slice(0, -1);
+  // "update"/"updated" and "renovate"/"renovated" land on the same stem
+  if (w.endsWith('e') && w.length > 4) w = w.slice(0, -1);
+  return w;
+}
+
+const QUERY_NOISE = new Set(QUERY_NOISE_WORDS.map(stem));
+
+// [{ word, start, end }] for every word in the text
+function wordsWithOffsets(text) {
+  const out = [];
+  const re = /[a-z0-9]+/gi;
+  let m;
+  while ((m = re.exec(text))) {
+    out.push({ word: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+function buildSynonymTable(synonyms) {
+  const single = new Map(); // stem -> canonical
+  const phrases = []; // { stems: [...], term }, longest first
+  Object.entries(synonyms).forEach(([canonical, variants]) => {
+    const term = stem(canonical);
+    [canonical, ...variants].forEach((variant) => {
+      const stems = variant.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).map(stem);
+      if (stems.length === 1) single.set(stems[0], term);
+      else if (stems.length > 1) phrases.push({ stems, term });
+    });
+  });
+  phrases.sort((a, b) => b.stems.length - a.stems.length);
+  return { single, phrases };
+}
+
+/**
+ * Text -> [{ term, start, end, stop }]. Synonym phrases collapse into one
+ * token spanning the whole phrase; stopwords stay in the list (flagged) so
+ * snippets keep their spacing.
+ */
+function analyzeWithOffsets(text, table) {
+  const words = wordsWithOffsets(String(text || ''));
+  const stems = words.map((w) => stem(w.word));
+  const tokens = [];
+  for (let i = 0; i < words.length; i++) {
+    const phrase = table.phrases.find(
+      (p) => p.stems.every((s, k) => stems[i + k] === s)
+    );
+    if (phrase) {
+      const last = words[i + phrase.stems.length - 1];
+      tokens.push({ term: phrase.term, start: words[i].start, end: last.end, stop: false });
+      i += phrase.stems.length - 1;
+      continue;
+    }
+    const term = table.single.get(stems[i]) || stems[i];
+    tokens.push({
+      term,
+      start: words[i].start,
+      end: words[i].end,
+      stop: STOPWORDS.has(words[i].word) || STOPWORDS.has(term),
+    });
+  }
+  return tokens;
+}
+
+// -------------------- INDEX --------------------
+/**
+ * rows: the loaded MLS rows (positions match the query engine's).
+ * columns: which columns to index; missing ones are skipped.
+ * Returns { search, snippet, analyzeQuery, columns, size }.
+ */
+function createTextIndex(rows, columns = DEFAULT_SEARCH_COLUMNS, { weights = {}, synonyms = SYNONYMS } = {}) {
+  const table = buildSynonymTable(synonyms);
+  const indexed = columns.filter((c) => rows.some((row) => row[c] != null && String(row[c]).trim() !== ''));
+  const weightOf = (c) => weights[c] ?? DEFAULT_COLUMN_WEIGHTS[c] ?? FEATURE_COLUMN_WEIGHT;
+
+  // column -> { postings: term -> Map(pos -> tf), lengths: Int32Array, avg }
+  const fields = new Map();
+  const docFreq = new Map(); // term -> number of rows containing it in any column
+
+  indexed.forEach((column) => {
+    const postings = new Map();
+    const lengths = new Int32Array(rows.length);
+    let total = 0;
+    rows.forEach((row, pos) => {
+      const tokens = analyzeWithOffsets(row[column], table).filter((t) => !t.stop);
+      lengths[pos] = tokens.length;
+      total += tokens.length;
+      tokens.forEach(({ term }) => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        docs.set(pos, (docs.get(pos) || 0) + 1);
+      });
+    });
+    fields.set(column, { postings, lengths, avg: total / Math.max(1, rows.length) || 1 });
+  });
+
+  const seen = new Map(); // term -> Set(pos)
+  fields.forEach(({ postings }) => {
+    postings.forEach((docs, term) => {
+      if (!seen.has(term)) seen.set(term, new Set());
+      const set = seen.get(term);
+      docs.forEach((_, pos) => set.add(pos));
+    });
+  });
+  seen.forEach((set, term) => docFreq.set(term, set.size));
+
+  function idf(term) {
+    const df = docFreq.get(term) || 0;
+    return Math.log(1 + (rows.length - df + 0.5) / (df + 0.5));
+  }
+
+  // unique query terms, in order, minus stopwords and filler
+  function analyzeQuery(query) {
+    const terms = analyzeWithOffsets(query, table)
+      .filter((t) => !t.stop && !QUERY_NOISE.has(t.term))
+      .map((t) => t.term);
+    return [...new Set(terms)];
+  }
+
+  /**
+   * Ranks rows for a free-text query.
+   * options:
+   *   candidates -> Set of row positions to consider (e.g. after filters)
+   *   columns    -> only score these columns (hidden ones are left out)
+   *   limit      -> max hits (default all)
+   *   minMatch   -> share of the query terms a row must contain (default half)
+   * Returns { terms, hits: [{ pos, score, matched: [term] }] }, best first.
+   */
+  function search(query, { candidates = null, columns: only = null, limit = null, minMatch = 0.5 } = {}) {
+    const terms = analyzeQuery(query);
+    const scores = new Map(); // pos -> { score, matched: Set }
+    terms.forEach((term) => {
+      const weightIdf = idf(term);
+      fields.forEach(({ postings, lengths, avg }, column) => {
+        if (only && !only.includes(column)) return;
+        const docs = postings.get(term);
+        if (!docs) return;
+        const weight = weightOf(column);
+        docs.forEach((tf, pos) => {
+          if (candidates && !candidates.has(pos)) return;
+          const norm = tf + K1 * (1 - B + (B * lengths[pos]) / avg);
+          const s = (weight * weightIdf * tf * (K1 + 1)) / norm;
+          if (!scores.has(pos)) scores.set(pos, { score: 0, matched: new Set() });
+          const entry = scores.get(pos);
+          entry.score += s;
+          entry.matched.add(term);
+        });
+      });
+    });
+    const needed = Math.max(1, Math.ceil(terms.length * minMatch));
+    const hits = [...scores.entries()]
+      .map(([pos, { score, matched }]) => ({ pos, score, matched: [...matched] }))
+      .filter((h) => h.matched.length >= needed)
+      // rows matching more of the query terms first, then by score
+      .sort((a, b) => b.matched.length - a.matched.length || b.score - a.score || a.pos - b.pos);
+    return { terms, hits: limit ? hits.slice(0, limit) : hits };
+  }
+
+  /**
+   * The best matching passage for a row: the column with the most query
+   * terms (ties go to the heavier column), trimmed to about `maxWords` words
+   * around the densest run of matches.
+   * Returns { field, text, marks: [[start, end]] } or null.
+   */
+  function snippet(row, terms, { columns: only = null, maxWords = 24 } = {}) {
+    const wanted = new Set(terms);
+    let best = null;
+    indexed.forEach((column) => {
+      if (only && !only.includes(column)) return;
+      const text = row[column] == null ? '' : String(row[column]);
+      if (!text.trim()) return;
+      const tokens = analyzeWithOffsets(text, table);
+      const hitCount = new Set(tokens.filter((t) => wanted.has(t.term)).map((t) => t.term)).size;
+      if (!hitCount) return;
+      const rank = hitCount * 10 + weightOf(column);
+      if (!best || rank > best.rank) best = { rank, column, text, tokens };
+    });
+    if (!best) return null;
+
+    const { column, text, tokens } = best;
+    let from = 0;
+    let to = tokens.length;
+    if (tokens.length > maxWords) {
+      let bestCount = -1;
+      for (let i = 0; i + maxWords <= tokens.length; i++) {
+        const window = tokens.slice(i, i + maxWords);
+        const count = new Set(window.filter((t) => wanted.has(t.term)).map((t) => t.term)).size;
+        if (count > bestCount) {
+          bestCount = count;
+          from = i;
+        }
+      }
+      // start a couple of words before the first match for context
+      const first = tokens.slice(from, from + maxWords).findIndex((t) => wanted.has(t.term));
+      from = Math.max(0, Math.min(from + first - 3, tokens.length - maxWords));
+      to = from + maxWords;
+    }
+
+    const start = from === 0 ? 0 : tokens[from].start;
+    const end = to >= tokens.length ? text.length : tokens[to - 1].end;
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const marks = tokens
+      .slice(from, to)
+      .filter((t) => wanted.has(t.term))
+      .map((t) => [t.start - start + prefix.length, t.end - start + prefix.length]);
+    return {
+      field: column,
+      text: prefix + text.slice(start, end) + suffix,
+      marks,
+    };
+  }
+
+  return {
+    columns: indexed,
+    size: rows.length,
+    search,
+    snippet,
+    analyzeQuery,
+  };
+}
+
+// "…a **remodeled** **kitchen** and…" for plain-text replies
+function markSnippet(snip, open = '**', close = '**') {
+  if (!snip) return '';
+  let out = '';
+  let at = 0;
+  snip.marks.forEach(([s, e]) => {
+    out += snip.text.slice(at, s) + open + snip.text.slice(s, e) + close;
+    at = e;
+  });
+  return out + snip.text.slice(at);
+}
+
+module.exports = {
+  DEFAULT_SEARCH_COLUMNS,
+  SYNONYMS,
+  stem,
+  createTextIndex,
+  markSnippet,
+};
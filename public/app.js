@@ -3,50 +3,376 @@
 const chatEl = document.getElementById('chat');
 const formEl = document.getElementById('chat-form');
 const inputEl = document.getElementById('user-input');
+const mapPanelEl = document.getElementById('map-panel');
+const mapToggleEl = document.getElementById('map-toggle');
+const sidebarEl = document.getElementById('sidebar');
+const sidebarToggleEl = document.getElementById('sidebar-toggle');
+const agentToggleEl = document.getElementById('agent-toggle');
 
-let messageHistory = [
-  {
-    role: 'system',
-    content: 'You are a helpful assistant running in a local UI similar to ChatGPT.',
-  },
-];
+// Server-issued session id: keeps "#5" pointing at this tab's own last list
+let sessionId = sessionStorage.getItem('sessionId');
+// Server-side conversation this tab is writing to (survives a refresh)
+let conversationId = sessionStorage.getItem('conversationId');
+
+const SYSTEM_MESSAGE = {
+  role: 'system',
+  content: 'You are a helpful assistant running in a local UI similar to ChatGPT.',
+};
+
+let messageHistory = [SYSTEM_MESSAGE];
+
+// ----------------------------------------------------
+// Map panel (plots the latest listing results)
+// ----------------------------------------------------
+const mapPanel = createMapPanel(mapPanelEl, {
+  onSelect: (index) => sendMessage('details for #' + index),
+  onBox: (bbox) => sendMessage('Only listings inside the box I drew', { refine: { bbox } }),
+});
+
+// ----------------------------------------------------
+// Conversation sidebar (saved chats)
+// ----------------------------------------------------
+const sidebar = createConversationSidebar(sidebarEl, {
+  onResume: (id) => resumeConversation(id),
+  onNew: () => startNewChat(),
+});
+
+sidebarToggleEl.addEventListener('click', () => {
+  sidebarEl.hidden = !sidebarEl.hidden;
+  sidebarToggleEl.classList.toggle('active', !sidebarEl.hidden);
+  if (!sidebarEl.hidden) sidebar.refresh();
+});
+
+function setConversation(id) {
+  conversationId = id;
+  if (id) sessionStorage.setItem('conversationId', id);
+  else sessionStorage.removeItem('conversationId');
+  sidebar.setActive(id);
+}
+
+function setSession(id) {
+  sessionId = id;
+  if (id) sessionStorage.setItem('sessionId', id);
+  else sessionStorage.removeItem('sessionId');
+}
+
+function startNewChat() {
+  chatEl.innerHTML = '';
+  messageHistory = [SYSTEM_MESSAGE];
+  // a new session too, so "#5" doesn't point into the old chat's list
+  setSession(null);
+  setConversation(null);
+  mapPanel.show({ rows: [] });
+}
+
+// Replays a saved chat and continues it in a session that has its list
+// context back.
+async function resumeConversation(id) {
+  try {
+    const res = await fetch(`/api/conversations/${id}/resume`, { method: 'POST' });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Could not open that chat.');
+
+    chatEl.innerHTML = '';
+    messageHistory = [SYSTEM_MESSAGE];
+    let lastListings = null;
+    data.conversation.messages.forEach((m) => {
+      addMessage(m.role, m.content, m.results, m.download);
+      messageHistory.push({ role: m.role, content: m.content });
+      if (m.results && m.results.type === 'listings') lastListings = m.results;
+    });
+    mapPanel.show(lastListings || { rows: [] });
+
+    setSession(data.sessionId);
+    setConversation(data.conversation.id);
+  } catch (err) {
+    console.error(err);
+    // gone (deleted elsewhere) or not ours: start clean
+    if (id === conversationId) startNewChat();
+  }
+}
+
+mapToggleEl.addEventListener('click', () => {
+  mapPanelEl.hidden = !mapPanelEl.hidden;
+  mapToggleEl.classList.toggle('active', !mapPanelEl.hidden);
+  if (!mapPanelEl.hidden) mapPanel.refresh();
+});
+
+// ----------------------------------------------------
+// Agent sign-in (the server keeps it in an HttpOnly cookie)
+// ----------------------------------------------------
+function showAudience(state) {
+  const agent = state.audience === 'agent';
+  agentToggleEl.hidden = !state.signInAvailable && !agent;
+  agentToggleEl.textContent = agent ? 'Agent ✓' : 'Agent sign-in';
+  agentToggleEl.classList.toggle('active', agent);
+}
+
+async function loadAudience() {
+  try {
+    const res = await fetch('/api/agent-session');
+    showAudience(await res.json());
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+agentToggleEl.addEventListener('click', async () => {
+  const signedIn = agentToggleEl.classList.contains('active');
+  let res;
+  if (signedIn) {
+    if (!confirm('Sign out of the agent view?')) return;
+    res = await fetch('/api/agent-session', { method: 'DELETE' });
+  } else {
+    const token = prompt('Agent token:');
+    if (!token) return;
+    res = await fetch('/api/agent-session', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token }),
+    });
+  }
+  const data = await res.json();
+  if (!res.ok) {
+    alert(data.error || 'Could not sign in.');
+    return;
+  }
+  // chats and saved searches are kept per audience, so start over in the new one
+  startNewChat();
+  sidebar.refresh();
+  loadAudience();
+});
 
 // ----------------------------------------------------
 // Add message to UI
 // ----------------------------------------------------
-function addMessage(role, text) {
+function addMessage(role, text, results, download) {
   const row = document.createElement('div');
   row.className = `message-row ${role === 'user' ? 'user' : 'assistant'}`;
 
   const bubble = document.createElement('div');
   bubble.className = 'message-bubble';
-  bubble.textContent = text;
+
+  const table = results && results.rows.length > 1 ? renderResults(results) : null;
+  if (table) {
+    // the table replaces the wall of "#1 ... #100" lines; keep the heading
+    const heading = document.createElement('div');
+    heading.textContent = text.split('\n')[0];
+    bubble.classList.add('has-results');
+    bubble.appendChild(heading);
+    bubble.appendChild(table);
+  } else {
+    bubble.textContent = text;
+  }
+
+  if (download) {
+    const link = document.createElement('a');
+    link.className = 'download-link';
+    link.href = download.url;
+    link.textContent =
+      download.format === 'flyer' ? 'Open flyer' : `Download ${download.filename}`;
+    if (download.format === 'flyer') link.target = '_blank';
+    else link.download = download.filename;
+    bubble.appendChild(document.createElement('br'));
+    bubble.appendChild(link);
+  }
 
   row.appendChild(bubble);
   chatEl.appendChild(row);
   chatEl.scrollTop = chatEl.scrollHeight;
 }
 
+// ----------------------------------------------------
+// Results table (sortable, clickable rows, column picker)
+// ----------------------------------------------------
+function formatCell(value, type) {
+  if (value == null || value === '') return '';
+  switch (type) {
+    case 'currency':
+      return '$' + Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 });
+    case 'number':
+      return Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 });
+    case 'date':
+      return new Date(value).toLocaleDateString();
+    case 'boolean':
+      return value ? 'Yes' : 'No';
+    case 'snippet':
+      return value.text;
+    default:
+      return String(value);
+  }
+}
+
+// search snippet { field, text, marks: [[start, end]] } with the matched
+// words wrapped in <mark>
+function renderSnippet(cell, snippet) {
+  if (!snippet) return;
+  let at = 0;
+  snippet.marks.forEach(([start, end]) => {
+    cell.appendChild(document.createTextNode(snippet.text.slice(at, start)));
+    const mark = document.createElement('mark');
+    mark.textContent = snippet.text.slice(start, end);
+    cell.appendChild(mark);
+    at = end;
+  });
+  cell.appendChild(document.createTextNode(snippet.text.slice(at)));
+  cell.title = snippet.field;
+  cell.className = 'snippet';
+}
+
+function compareValues(a, b) {
+  if (a == null || a === '') return b == null || b === '' ? 0 : 1;
+  if (b == null || b === '') return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+function renderResults(results) {
+  const wrap = document.createElement('div');
+  wrap.className = 'results';
+
+  const visible = new Set(results.columns.filter((c) => !c.hidden).map((c) => c.field));
+  let sortField = null;
+  let sortDir = 1;
+
+  // show/hide columns
+  const picker = document.createElement('details');
+  picker.className = 'column-picker';
+  const summary = document.createElement('summary');
+  summary.textContent = 'Columns';
+  picker.appendChild(summary);
+  results.columns.forEach((col) => {
+    const label = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = visible.has(col.field);
+    box.addEventListener('change', () => {
+      if (box.checked) visible.add(col.field);
+      else visible.delete(col.field);
+      draw();
+    });
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(' ' + col.label));
+    picker.appendChild(label);
+  });
+
+  const meta = document.createElement('div');
+  meta.className = 'results-meta';
+  meta.textContent =
+    results.total > results.rows.length
+      ? results.offset
+        ? `Showing ${results.offset + 1}–${results.offset + results.rows.length} of ${results.total}`
+        : `Showing ${results.rows.length} of ${results.total}`
+      : `${results.total} result${results.total === 1 ? '' : 's'}`;
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'results-toolbar';
+  toolbar.appendChild(meta);
+  toolbar.appendChild(picker);
+
+  const scroller = document.createElement('div');
+  scroller.className = 'results-scroll';
+  const table = document.createElement('table');
+  table.className = 'results-table';
+  scroller.appendChild(table);
+
+  function draw() {
+    const cols = results.columns.filter((c) => visible.has(c.field));
+    table.innerHTML = '';
+
+    const thead = table.createTHead();
+    const headRow = thead.insertRow();
+    if (results.type === 'listings') {
+      const th = document.createElement('th');
+      th.textContent = '#';
+      headRow.appendChild(th);
+    }
+    cols.forEach((col) => {
+      const th = document.createElement('th');
+      const arrow = sortField === col.field ? (sortDir === 1 ? ' ▲' : ' ▼') : '';
+      th.textContent = col.label + arrow;
+      // a comparison's rows are fields, so there is nothing to sort
+      if (results.type !== 'compare') {
+        th.title = 'Sort by ' + col.label;
+        th.addEventListener('click', () => {
+          sortDir = sortField === col.field ? -sortDir : 1;
+          sortField = col.field;
+          draw();
+        });
+      }
+      headRow.appendChild(th);
+    });
+
+    const rows = [...results.rows];
+    if (sortField) {
+      rows.sort((a, b) => {
+        const av = a.values[sortField];
+        const bv = b.values[sortField];
+        // blanks stay at the bottom either way
+        if (av == null || av === '' || bv == null || bv === '') {
+          return compareValues(av, bv);
+        }
+        return compareValues(av, bv) * sortDir;
+      });
+    }
+
+    const tbody = table.createTBody();
+    rows.forEach((r) => {
+      const tr = tbody.insertRow();
+      if (results.type === 'listings') {
+        tr.insertCell().textContent = r.index != null ? '#' + r.index : '';
+      }
+      cols.forEach((col) => {
+        const td = tr.insertCell();
+        if (col.type === 'snippet') {
+          renderSnippet(td, r.values[col.field]);
+          return;
+        }
+        td.textContent = formatCell(r.values[col.field], col.type);
+        if (col.type === 'currency' || col.type === 'number') td.className = 'num';
+      });
+      if (r.differs) tr.classList.add('differs');
+      if (r.index != null) {
+        tr.classList.add('clickable');
+        tr.title = 'Show details for #' + r.index;
+        tr.addEventListener('click', () => sendMessage('details for #' + r.index));
+      }
+    });
+  }
+
+  draw();
+  wrap.appendChild(toolbar);
+  wrap.appendChild(scroller);
+  return wrap;
+}
+
 // ----------------------------------------------------
 // Submit / Send message
 // ----------------------------------------------------
-formEl.addEventListener('submit', async (e) => {
+formEl.addEventListener('submit', (e) => {
   e.preventDefault();
   const text = inputEl.value.trim();
   if (!text) return;
 
+  // Clear input
+  inputEl.value = '';
+  resizeTextarea();
+
+  sendMessage(text);
+});
+
+// extra: fields merged into the request body (e.g. a map box refinement)
+async function sendMessage(text, extra) {
+  const submitButton = formEl.querySelector('button[type="submit"]');
+  if (submitButton.disabled) return; // still waiting on the last answer
+
   // Add user message visually
   addMessage('user', text);
 
   // Add to chat history
   messageHistory.push({ role: 'user', content: text });
 
-  // Clear input
-  inputEl.value = '';
-  resizeTextarea();
-
   // Disable UI while waiting
-  const submitButton = formEl.querySelector('button[type="submit"]');
   submitButton.disabled = true;
   submitButton.textContent = 'Thinking...';
 
@@ -54,15 +380,22 @@ formEl.addEventListener('submit', async (e) => {
     const res = await fetch('/api/chat', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ messages: messageHistory }),
+      body: JSON.stringify({ sessionId, conversationId, messages: messageHistory, ...extra }),
     });
 
     const data = await res.json();
 
+    if (data.sessionId && data.sessionId !== sessionId) setSession(data.sessionId);
+    if (data.conversationId) {
+      if (data.conversationId !== conversationId) setConversation(data.conversationId);
+      else sidebar.refresh();
+    }
+
     if (data.error) {
       addMessage('assistant', `Error: ${data.error}`);
     } else {
-      addMessage('assistant', data.reply);
+      addMessage('assistant', data.reply, data.results, data.download);
+      if (data.results && data.results.type === 'listings') mapPanel.show(data.results);
       messageHistory.push({ role: 'assistant', content: data.reply });
     }
   } catch (err) {
@@ -72,7 +405,7 @@ formEl.addEventListener('submit', async (e) => {
     submitButton.disabled = false;
     submitButton.textContent = 'Send';
   }
-});
+}
 
 // ----------------------------------------------------
 // Auto-resize textarea
@@ -95,3 +428,9 @@ inputEl.addEventListener('keydown', (e) => {
   }
   // Shift+Enter = regular newline
 });
+
+// ----------------------------------------------------
+// Restore the open chat after a refresh
+// ----------------------------------------------------
+loadAudience();
+if (conversationId) resumeConversation(conversationId);
@@ -0,0 +1,147 @@
+// public/conversations.js
+//
+// Sidebar of saved conversations (stored server-side): search them, resume
+// one, rename or delete it, or start a new chat. The list is reloaded after
+// every answer so the current chat moves to the top.
+
+/**
+ * container: an empty element to draw into.
+ * onResume(id): a conversation was picked.
+ * onNew(): "New chat" was clicked, or the open conversation was deleted.
+ */
+function createConversationSidebar(container, { onResume, onNew }) {
+  container.innerHTML = '';
+  let activeId = null;
+  let searchTimer = null;
+
+  const head = document.createElement('div');
+  head.className = 'sidebar-head';
+  const newButton = document.createElement('button');
+  newButton.type = 'button';
+  newButton.className = 'new-chat';
+  newButton.textContent = '+ New chat';
+  newButton.addEventListener('click', () => onNew());
+  head.appendChild(newButton);
+
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.className = 'sidebar-search';
+  search.placeholder = 'Search chats...';
+  search.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(refresh, 200);
+  });
+
+  const list = document.createElement('ul');
+  list.className = 'conversation-list';
+
+  container.appendChild(head);
+  container.appendChild(search);
+  container.appendChild(list);
+
+  function formatWhen(iso) {
+    const d = new Date(iso);
+    const sameDay = d.toDateString() === new Date().toDateString();
+    return sameDay
+      ? d.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+      : d.toLocaleDateString();
+  }
+
+  async function request(method, url, body) {
+    const res = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed');
+    return data;
+  }
+
+  async function rename(convo) {
+    const title = window.prompt('Rename chat', convo.title);
+    if (!title || !title.trim() || title === convo.title) return;
+    try {
+      await request('PATCH', '/api/conversations/' + convo.id, { title });
+    } catch (err) {
+      window.alert(err.message);
+    }
+    refresh();
+  }
+
+  async function remove(convo) {
+    if (!window.confirm(`Delete "${convo.title}"?`)) return;
+    try {
+      await request('DELETE', '/api/conversations/' + convo.id);
+    } catch (err) {
+      window.alert(err.message);
+    }
+    if (convo.id === activeId) onNew();
+    refresh();
+  }
+
+  function render(conversations) {
+    list.innerHTML = '';
+    if (!conversations.length) {
+      const empty = document.createElement('li');
+      empty.className = 'conversation-empty';
+      empty.textContent = search.value.trim() ? 'No chats match.' : 'No saved chats yet.';
+      list.appendChild(empty);
+      return;
+    }
+    conversations.forEach((convo) => {
+      const item = document.createElement('li');
+      item.className = 'conversation-item' + (convo.id === activeId ? ' active' : '');
+      item.title = convo.preview;
+
+      const title = document.createElement('div');
+      title.className = 'conversation-title';
+      title.textContent = convo.title;
+      const meta = document.createElement('div');
+      meta.className = 'conversation-meta';
+      meta.textContent = `${formatWhen(convo.updatedAt)} · ${convo.messageCount} messages`;
+
+      const actions = document.createElement('div');
+      actions.className = 'conversation-actions';
+      const action = (label, hint, fn) => {
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.textContent = label;
+        b.title = hint;
+        b.addEventListener('click', (e) => {
+          e.stopPropagation();
+          fn(convo);
+        });
+        actions.appendChild(b);
+      };
+      action('✎', 'Rename', rename);
+      action('×', 'Delete', remove);
+
+      item.appendChild(title);
+      item.appendChild(meta);
+      item.appendChild(actions);
+      item.addEventListener('click', () => onResume(convo.id));
+      list.appendChild(item);
+    });
+  }
+
+  async function refresh() {
+    const q = search.value.trim();
+    try {
+      const data = await request('GET', '/api/conversations' + (q ? '?q=' + encodeURIComponent(q) : ''));
+      render(data.conversations);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  refresh();
+
+  return {
+    refresh,
+    setActive(id) {
+      activeId = id;
+      refresh();
+    },
+  };
+}
@@ -0,0 +1,366 @@
+// public/map.js
+//
+// Offline map panel: plots the current listing results from their
+// Latitude/Longitude as an SVG scatter, with no tiles and no network. Pins
+// are colored by price band. Click a pin for a popup, drag to pan, use the
+// wheel or +/- to zoom, and "Draw box" to filter the list to an area.
+
+const MAP_SVG_NS = 'http://www.w3.org/2000/svg';
+const PRICE_BAND_COLORS = ['#22c55e', '#eab308', '#f97316', '#ef4444'];
+const NO_PRICE_COLOR = '#6b7280';
+const GRID_STEPS = [0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5];
+
+function svgEl(name, attrs = {}) {
+  const el = document.createElementNS(MAP_SVG_NS, name);
+  Object.keys(attrs).forEach((k) => el.setAttribute(k, attrs[k]));
+  return el;
+}
+
+function shortMoney(n) {
+  if (n >= 1000000) return '$' + (n / 1000000).toFixed(n >= 10000000 ? 0 : 2) + 'M';
+  return '$' + Math.round(n / 1000) + 'k';
+}
+
+// quartile cut points of the prices on the map
+function priceBandCuts(prices) {
+  const sorted = prices.filter((n) => typeof n === 'number').sort((a, b) => a - b);
+  if (!sorted.length) return [];
+  const q = (p) => sorted[Math.floor((sorted.length - 1) * p)];
+  return [q(0.25), q(0.5), q(0.75)];
+}
+
+function priceBandOf(price, cuts) {
+  if (typeof price !== 'number' || !cuts.length) return -1;
+  let band = 0;
+  while (band < cuts.length && price > cuts[band]) band++;
+  return band;
+}
+
+/**
+ * container: an empty element to draw into.
+ * onSelect(index): a pin's "Show details" was clicked.
+ * onBox({ north, south, east, west }): a box was drawn.
+ */
+function createMapPanel(container, { onSelect, onBox }) {
+  container.innerHTML = '';
+
+  const svg = svgEl('svg', { class: 'map-svg' });
+  const toolbar = document.createElement('div');
+  toolbar.className = 'map-toolbar';
+  const legend = document.createElement('div');
+  legend.className = 'map-legend';
+  const popup = document.createElement('div');
+  popup.className = 'map-popup';
+  popup.hidden = true;
+  const empty = document.createElement('div');
+  empty.className = 'map-empty';
+  empty.textContent = 'Run a search to see its listings on the map.';
+
+  const button = (label, title, onClick) => {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.textContent = label;
+    b.title = title;
+    b.addEventListener('click', onClick);
+    toolbar.appendChild(b);
+    return b;
+  };
+
+  let points = []; // [{ x, y, lat, lng, price, band, row }]
+  let cuts = [];
+  let cosLat = 1;
+  let view = { x0: 0, y0: 0, k: 1 };
+  let drawMode = false;
+  let drag = null; // { mode: 'pan' | 'box', sx, sy, x0, y0 }
+
+  button('+', 'Zoom in', () => zoomAt(1.5));
+  button('−', 'Zoom out', () => zoomAt(1 / 1.5));
+  button('Reset', 'Fit all pins', () => {
+    fit();
+    draw();
+  });
+  const boxButton = button('Draw box', 'Drag a box to filter the list to that area', () => {
+    setDrawMode(!drawMode);
+  });
+
+  container.appendChild(svg);
+  container.appendChild(toolbar);
+  container.appendChild(legend);
+  container.appendChild(popup);
+  container.appendChild(empty);
+
+  // equirectangular, squeezed by cos(latitude) so a mile is a mile both ways
+  function project(lat, lng) {
+    return { x: lng * cosLat, y: -lat };
+  }
+  function unproject(x, y) {
+    return { lat: -y, lng: x / cosLat };
+  }
+  function toScreen(x, y) {
+    return { sx: (x - view.x0) * view.k, sy: (y - view.y0) * view.k };
+  }
+  function fromScreen(sx, sy) {
+    return { x: sx / view.k + view.x0, y: sy / view.k + view.y0 };
+  }
+  function size() {
+    const rect = svg.getBoundingClientRect();
+    return { w: rect.width || 600, h: rect.height || 320 };
+  }
+  function localPoint(e) {
+    const rect = svg.getBoundingClientRect();
+    return { sx: e.clientX - rect.left, sy: e.clientY - rect.top };
+  }
+
+  function setDrawMode(on) {
+    drawMode = on;
+    boxButton.classList.toggle('active', on);
+    container.classList.toggle('drawing', on);
+  }
+
+  function fit() {
+    const { w, h } = size();
+    if (!points.length) {
+      view = { x0: 0, y0: 0, k: 1 };
+      return;
+    }
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const minY = Math.min(...ys);
+    const maxY = Math.max(...ys);
+    // a single pin (or a tight cluster) still gets some surroundings
+    const spanX = Math.max(maxX - minX, 0.005) * 1.15;
+    const spanY = Math.max(maxY - minY, 0.005) * 1.15;
+    const k = Math.min(w / spanX, h / spanY);
+    view = {
+      k,
+      x0: (minX + maxX) / 2 - w / 2 / k,
+      y0: (minY + maxY) / 2 - h / 2 / k,
+    };
+  }
+
+  function drawGrid(w, h) {
+    const topLeft = unproject(view.x0, view.y0);
+    const bottomRight = unproject(view.x0 + w / view.k, view.y0 + h / view.k);
+    const latSpan = topLeft.lat - bottomRight.lat;
+    const step = GRID_STEPS.find((s) => latSpan / s <= 8) || GRID_STEPS[GRID_STEPS.length - 1];
+    const digits = Math.max(0, -Math.floor(Math.log10(step)));
+    const grid = svgEl('g', { class: 'map-grid' });
+
+    for (let lat = Math.ceil(bottomRight.lat / step) * step; lat <= topLeft.lat; lat += step) {
+      const { sy } = toScreen(0, project(lat, 0).y);
+      grid.appendChild(svgEl('line', { x1: 0, x2: w, y1: sy, y2: sy }));
+      const label = svgEl('text', { x: w - 4, y: sy - 3, 'text-anchor': 'end' });
+      label.textContent = lat.toFixed(digits);
+      grid.appendChild(label);
+    }
+    for (let lng = Math.ceil(topLeft.lng / step) * step; lng <= bottomRight.lng; lng += step) {
+      const { sx } = toScreen(project(0, lng).x, 0);
+      grid.appendChild(svgEl('line', { x1: sx, x2: sx, y1: 0, y2: h }));
+      const label = svgEl('text', { x: sx + 3, y: h - 4 });
+      label.textContent = lng.toFixed(digits);
+      grid.appendChild(label);
+    }
+    svg.appendChild(grid);
+  }
+
+  function draw() {
+    const { w, h } = size();
+    svg.innerHTML = '';
+    svg.setAttribute('viewBox', `0 0 ${w} ${h}`);
+    if (!points.length) return;
+    drawGrid(w, h);
+
+    // cheaper pins first so the top band stays visible where they overlap
+    [...points]
+      .sort((a, b) => a.band - b.band)
+      .forEach((p) => {
+        const { sx, sy } = toScreen(p.x, p.y);
+        if (sx < -10 || sy < -10 || sx > w + 10 || sy > h + 10) return;
+        const pin = svgEl('circle', {
+          cx: sx,
+          cy: sy,
+          r: 6,
+          class: 'map-pin',
+          fill: p.band < 0 ? NO_PRICE_COLOR : PRICE_BAND_COLORS[p.band],
+        });
+        pin.dataset.pin = '1';
+        const title = svgEl('title');
+        title.textContent = p.row.values.Address || '';
+        pin.appendChild(title);
+        pin.addEventListener('click', (e) => {
+          e.stopPropagation();
+          openPopup(p, sx, sy);
+        });
+        svg.appendChild(pin);
+      });
+
+    if (drag && drag.mode === 'box' && drag.cur) {
+      svg.appendChild(
+        svgEl('rect', {
+          class: 'map-box',
+          x: Math.min(drag.sx, drag.cur.sx),
+          y: Math.min(drag.sy, drag.cur.sy),
+          width: Math.abs(drag.cur.sx - drag.sx),
+          height: Math.abs(drag.cur.sy - drag.sy),
+        })
+      );
+    }
+  }
+
+  function openPopup(p, sx, sy) {
+    const v = p.row.values;
+    popup.innerHTML = '';
+    const title = document.createElement('strong');
+    title.textContent = (p.row.index != null ? `#${p.row.index} ` : '') + (v.Address || '');
+    popup.appendChild(title);
+
+    const facts = [
+      typeof p.price === 'number' ? '$' + p.price.toLocaleString() : null,
+      v.BedroomsTotal != null ? `${v.BedroomsTotal} bd` : null,
+      v.BathroomsTotalInteger != null ? `${v.BathroomsTotalInteger} ba` : null,
+      v.LivingArea != null ? `${Number(v.LivingArea).toLocaleString()} sq ft` : null,
+    ].filter(Boolean);
+    if (facts.length) {
+      const line = document.createElement('div');
+      line.textContent = facts.join(' · ');
+      popup.appendChild(line);
+    }
+
+    if (p.row.index != null) {
+      const details = document.createElement('button');
+      details.type = 'button';
+      details.textContent = 'Show details';
+      details.addEventListener('click', () => {
+        popup.hidden = true;
+        onSelect(p.row.index);
+      });
+      popup.appendChild(details);
+    }
+
+    const { w } = size();
+    popup.style.left = Math.min(sx + 10, w - 220) + 'px';
+    popup.style.top = Math.max(sy - 10, 40) + 'px';
+    popup.hidden = false;
+  }
+
+  function zoomAt(factor, sx, sy) {
+    const { w, h } = size();
+    const cx = sx ?? w / 2;
+    const cy = sy ?? h / 2;
+    const anchor = fromScreen(cx, cy);
+    view.k *= factor;
+    view.x0 = anchor.x - cx / view.k;
+    view.y0 = anchor.y - cy / view.k;
+    popup.hidden = true;
+    draw();
+  }
+
+  function renderLegend(mapped, total) {
+    legend.innerHTML = '';
+    const count = document.createElement('div');
+    count.textContent =
+      mapped === total ? `${mapped} listings` : `${mapped} of ${total} listings have coordinates`;
+    legend.appendChild(count);
+    if (!cuts.length) return;
+    const ranges = [
+      `≤ ${shortMoney(cuts[0])}`,
+      `${shortMoney(cuts[0])}–${shortMoney(cuts[1])}`,
+      `${shortMoney(cuts[1])}–${shortMoney(cuts[2])}`,
+      `> ${shortMoney(cuts[2])}`,
+    ];
+    ranges.forEach((label, i) => {
+      const item = document.createElement('div');
+      const swatch = document.createElement('span');
+      swatch.className = 'map-swatch';
+      swatch.style.background = PRICE_BAND_COLORS[i];
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(label));
+      legend.appendChild(item);
+    });
+  }
+
+  // ---- pan / box drawing ----
+  svg.addEventListener('pointerdown', (e) => {
+    if (e.target.dataset && e.target.dataset.pin) return;
+    const { sx, sy } = localPoint(e);
+    popup.hidden = true;
+    drag = { mode: drawMode ? 'box' : 'pan', sx, sy, x0: view.x0, y0: view.y0 };
+    svg.setPointerCapture(e.pointerId);
+  });
+
+  svg.addEventListener('pointermove', (e) => {
+    if (!drag) return;
+    const cur = localPoint(e);
+    if (drag.mode === 'pan') {
+      view.x0 = drag.x0 - (cur.sx - drag.sx) / view.k;
+      view.y0 = drag.y0 - (cur.sy - drag.sy) / view.k;
+    } else {
+      drag.cur = cur;
+    }
+    draw();
+  });
+
+  svg.addEventListener('pointerup', () => {
+    const done = drag;
+    drag = null;
+    if (!done || done.mode !== 'box' || !done.cur) return;
+    draw();
+    if (Math.abs(done.cur.sx - done.sx) < 5 || Math.abs(done.cur.sy - done.sy) < 5) return;
+    const a = fromScreen(done.sx, done.sy);
+    const b = fromScreen(done.cur.sx, done.cur.sy);
+    const p1 = unproject(a.x, a.y);
+    const p2 = unproject(b.x, b.y);
+    setDrawMode(false);
+    onBox({
+      north: Math.max(p1.lat, p2.lat),
+      south: Math.min(p1.lat, p2.lat),
+      east: Math.max(p1.lng, p2.lng),
+      west: Math.min(p1.lng, p2.lng),
+    });
+  });
+
+  svg.addEventListener(
+    'wheel',
+    (e) => {
+      e.preventDefault();
+      const { sx, sy } = localPoint(e);
+      zoomAt(e.deltaY < 0 ? 1.25 : 0.8, sx, sy);
+    },
+    { passive: false }
+  );
+
+  return {
+    // results: the listings payload from /api/chat
+    show(results) {
+      const rows = (results && results.rows) || [];
+      const located = rows.filter((r) => r.point);
+      cosLat = located.length
+        ? Math.cos(
+            ((located.reduce((n, r) => n + r.point.lat, 0) / located.length) * Math.PI) / 180
+          )
+        : 1;
+      cuts = priceBandCuts(located.map((r) => r.values.ListPrice));
+      points = located.map((r) => {
+        const { x, y } = project(r.point.lat, r.point.lng);
+        const price = typeof r.values.ListPrice === 'number' ? r.values.ListPrice : null;
+        return { x, y, lat: r.point.lat, lng: r.point.lng, price, band: priceBandOf(price, cuts), row: r };
+      });
+      empty.hidden = points.length > 0;
+      empty.textContent = rows.length
+        ? 'None of these listings have coordinates.'
+        : 'No listings matched, so there is nothing to map.';
+      popup.hidden = true;
+      renderLegend(points.length, rows.length);
+      fit();
+      draw();
+    },
+
+    // call after the panel becomes visible or changes size
+    refresh() {
+      fit();
+      draw();
+    },
+  };
+}
@@ -2,53 +2,358 @@
 require('dotenv').config();
 const express = require('express');
 const fs = require('fs');
-const { parse } = require('csv-parse/sync');
+const crypto = require('crypto');
+const path = require('path');
+const { createSessionStore, createSessionData, loadSession } = require('./lib/sessions');
+const { createPlanner, PlannerError } = require('./lib/planners');
+const {
+  toMiles,
+  rowCoords,
+  distanceFromRow,
+  normalizeBoundingBox,
+  inBoundingBox,
+} = require('./lib/geo');
+const { loadMlsDirectory, safeCsvName } = require('./lib/loader');
+const { inferSchema, parseBoolean } = require('./lib/schema');
+const { AUDIENCES, createFieldPolicy } = require('./lib/fieldPolicy');
+const {
+  createQueryEngine,
+  coerceTarget,
+  DEFAULT_INDEX_COLUMNS,
+} = require('./lib/queryEngine');
+const { createChangeLog, mergeReports, parseSince } = require('./lib/changes');
+const { toCsv, toXlsx, renderFlyer, renderListingPage, renderNoticePage } = require('./lib/exporters');
+const { createShareLinkStore } = require('./lib/shareLinks');
+const { createSavedSearchStore } = require('./lib/savedSearches');
+const { createConversationStore } = require('./lib/conversations');
+const { createAuditLog } = require('./lib/auditLog');
+const { createTextIndex, markSnippet, DEFAULT_SEARCH_COLUMNS } = require('./lib/textSearch');
+const { createAddressIndex } = require('./lib/addressResolver');
+const { validatePlan, FILTER_OPS } = require('./lib/planValidation');
+const { GEO_OPS, parseListingsQuery, buildOpenApiDocument } = require('./lib/listingsApi');
+const { createFieldDictionary } = require('./lib/fieldDictionary');
+const {
+  groupKind,
+  groupChildren,
+  filterLeaves,
+  mapFilterLeaves,
+  listValue,
+  rangeValue,
+  parseRelativeSpan,
+  relativeCutoff,
+} = require('./lib/filters');
 
 const app = express();
-const PORT = 3000;
+const PORT = Number(process.env.PORT) || 3000;
 
 // -------------------- LOAD MLS CSV --------------------
+// Every *.csv in MLS_DATA_DIR is merged (deduped by ListingId). Drop a fresh
+// export in the folder, POST it to /api/admin/upload, or hit
+// /api/admin/reload — no restart needed.
+const MLS_DATA_DIR = process.env.MLS_DATA_DIR || './data';
+
 let mlsRows = [];
 let mlsColumns = [];
+let mlsById = new Map(); // ListingId -> row
+let mlsSchema = { columns: {}, duplicates: [] };
+let mlsEngine = null;
+let mlsText = null; // full-text index over remarks and feature columns
+let mlsAddresses = null; // street address, ListingId and ParcelNumber lookup
+let mlsLoadedAt = null;
+let mlsFileTimes = new Map(); // file name -> mtimeMs as of the last load
+
+// Columns that get an index; MLS_INDEX_COLUMNS=PostalCode,City,... overrides.
+const MLS_INDEX_COLUMNS = process.env.MLS_INDEX_COLUMNS
+  ? process.env.MLS_INDEX_COLUMNS.split(',').map((c) => c.trim()).filter(Boolean)
+  : DEFAULT_INDEX_COLUMNS;
+
+// Columns the "search" intent ranks on; MLS_SEARCH_COLUMNS=PublicRemarks,View,... overrides.
+const MLS_SEARCH_COLUMNS = process.env.MLS_SEARCH_COLUMNS
+  ? process.env.MLS_SEARCH_COLUMNS.split(',').map((c) => c.trim()).filter(Boolean)
+  : DEFAULT_SEARCH_COLUMNS;
+
+const changeLog = createChangeLog({
+  file: process.env.CHANGE_LOG_FILE || './data/changes.json',
+});
 
-try {
-  const raw = fs.readFileSync('./data/Active Listings.csv', 'utf8');
+function reloadMls(reason) {
+  let result;
+  try {
+    result = loadMlsDirectory(MLS_DATA_DIR);
+  } catch (err) {
+    console.error('❌ Error loading CSV:', err.message);
+    return { error: err.message };
+  }
 
-  const fixedRaw = raw.startsWith('Full-4')
-    ? raw.split('\n').slice(1).join('\n')
-    : raw;
+  if (!result.rows.length) {
+    console.warn('⚠️ CSV loaded but has 0 data rows');
+    if (mlsRows.length) {
+      // keep serving the previous data rather than going blank
+      return { error: 'No rows found in the data directory; kept the previous load.' };
+    }
+  }
 
-  const records = parse(fixedRaw, {
-    bom: true,
-    columns: true,
-    skip_empty_lines: true,
-    relax_column_count: true,
-    relax_quotes: true,
-    trim: true,
+  mlsRows = result.rows;
+  mlsColumns = result.columns;
+  mlsById = new Map(
+    mlsRows
+      .filter((row) => row.ListingId)
+      .map((row) => [String(row.ListingId).trim(), row])
+  );
+  mlsSchema = inferSchema(mlsRows, mlsColumns, result.duplicateColumns);
+  mlsEngine = createQueryEngine(mlsRows, mlsSchema, {
+    indexColumns: MLS_INDEX_COLUMNS,
   });
-
-  if (!records.length) {
-    console.warn('⚠️ CSV loaded but has 0 data rows');
+  mlsText = createTextIndex(mlsRows, MLS_SEARCH_COLUMNS);
+  mlsAddresses = createAddressIndex(mlsRows);
+  mlsLoadedAt = new Date();
+  mlsFileTimes = new Map(result.files.map((f) => [f.name, f.mtimeMs]));
+
+  if (result.duplicateColumns.length) {
+    console.warn(
+      '⚠️ Duplicate CSV headers (first non-blank value kept): ' +
+        result.duplicateColumns
+          .map((d) => `${d.column} x${d.copies}${d.conflicts ? ` (${d.conflicts} conflicting rows)` : ''}`)
+          .join(', ')
+    );
   }
 
-  mlsRows = records;
-  mlsColumns = Object.keys(records[0] || {});
+  const report = changeLog.record(
+    mlsRows,
+    (row) => ({
+      address: formatAddress(row),
+      status: row.StandardStatus || row.MlsStatus || '',
+      price: row.ListPrice || '',
+    }),
+    { reason, files: result.files.map((f) => f.name) }
+  );
+  changeLog.recordPrices(
+    result.versions.map((v) => ({
+      listingId: v.listingId,
+      at: new Date(v.mtimeMs).toISOString(),
+      price: v.row.ListPrice,
+    }))
+  );
 
   console.log(
-    `✅ Loaded MLS file with ${mlsRows.length} rows and ${mlsColumns.length} columns`
+    `✅ Loaded ${result.files.length} MLS file(s) with ${mlsRows.length} rows and ${mlsColumns.length} columns` +
+      (result.duplicates ? ` (${result.duplicates} duplicate ListingIds merged)` : '')
   );
   console.log('First columns:', mlsColumns.slice(0, 20).join(', ') + '...');
-} catch (err) {
-  console.error('❌ Error loading CSV:', err.message);
+  if (!report.baseline) {
+    console.log(
+      `🔄 Changes: ${report.newListings.length} new, ${report.removedListings.length} removed, ` +
+        `${report.statusChanges.length} status, ${report.priceChanges.length} price`
+    );
+  }
+  // saved searches are set up further down and catch up once they load
+  if (reason !== 'startup') rerunSavedSearches(reason);
+  return { report, files: result.files };
+}
+
+reloadMls('startup');
+
+// Whether a CSV differs from what the last load read: new, rewritten since,
+// or gone.
+function changedSinceLoad(name) {
+  try {
+    return fs.statSync(path.join(MLS_DATA_DIR, name)).mtimeMs !== mlsFileTimes.get(name);
+  } catch {
+    return mlsFileTimes.has(name);
+  }
+}
+
+// Reload when a CSV in the data folder changes. Exports are often written in
+// several chunks, so wait for the writes to settle first. Files some other
+// path already loaded (an upload, a manual reload) are skipped.
+if (process.env.MLS_WATCH !== 'false') {
+  let reloadTimer = null;
+  const touched = new Set();
+  try {
+    fs.watch(MLS_DATA_DIR, (event, name) => {
+      if (!name || !name.toLowerCase().endsWith('.csv')) return;
+      touched.add(name);
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        const changed = [...touched].filter(changedSinceLoad);
+        touched.clear();
+        if (changed.length) reloadMls(`file change: ${changed.join(', ')}`);
+      }, 2000);
+    });
+  } catch (err) {
+    console.warn('⚠️ Could not watch data folder:', err.message);
+  }
 }
 
 // -------------------- EXPRESS SETUP --------------------
 app.use(express.json());
 app.use(express.static('public'));
 
-// -------------------- IN-MEMORY STATE --------------------
-let lastList = [];      // [{ rowIndex, displayAddress }]
-let lastListing = null; // { rowIndex, displayAddress }
+// -------------------- CLIENTS --------------------
+// Conversations and saved searches belong to the browser (or API client)
+// that made them, known by a random id in the rgpt_client cookie handed out
+// on first use.
+const CLIENT_COOKIE = 'rgpt_client';
+const CLIENT_COOKIE_MAX_AGE = 365 * 24 * 60 * 60; // seconds
+
+function readCookie(req, name) {
+  const pair = String(req.get('cookie') || '')
+    .split(';')
+    .map((p) => p.trim())
+    .find((p) => p.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+app.use(['/api/chat', '/api/conversations', '/api/saved-searches'], (req, res, next) => {
+  const id = readCookie(req, CLIENT_COOKIE);
+  if (id && /^[a-f0-9]{32}$/.test(id)) {
+    req.clientId = id;
+  } else {
+    req.clientId = crypto.randomBytes(16).toString('hex');
+    res.append(
+      'Set-Cookie',
+      `${CLIENT_COOKIE}=${req.clientId}; Path=/; Max-Age=${CLIENT_COOKIE_MAX_AGE}; HttpOnly; SameSite=Lax`
+    );
+  }
+  next();
+});
+
+// -------------------- SESSIONS --------------------
+// Each chat keeps its own last list / last listing so "#5" always means the
+// caller's #5. SESSION_STORE=file persists them to SESSION_FILE.
+const sessions = createSessionStore({
+  type: process.env.SESSION_STORE || 'memory',
+  file: process.env.SESSION_FILE || './data/sessions.json',
+  ttlMs: Number(process.env.SESSION_TTL_MINUTES || 120) * 60 * 1000,
+});
+
+setInterval(() => sessions.prune(), 10 * 60 * 1000).unref();
+
+// -------------------- FIELD POLICY --------------------
+// "agent" sees every column; "public" never gets private remarks, showing
+// instructions or agent-only contacts. Callers are public unless they send
+// a matching x-agent-token header (AGENT_TOKEN) or have signed in with it
+// from the web UI (the rgpt_agent cookie); DEFAULT_AUDIENCE=agent opens
+// everything up, for a local install nobody else can reach.
+const fieldPolicy = createFieldPolicy({ file: process.env.FIELD_POLICY_FILE });
+const DEFAULT_AUDIENCE = AUDIENCES.includes(process.env.DEFAULT_AUDIENCE) ? process.env.DEFAULT_AUDIENCE : 'public';
+if (!process.env.AGENT_TOKEN && !process.env.DEFAULT_AUDIENCE) {
+  console.warn(
+    '⚠️ Neither AGENT_TOKEN nor DEFAULT_AUDIENCE is set: every caller gets the public view. ' +
+      'Set AGENT_TOKEN (and sign in with it, or send it as x-agent-token) to see agent-only fields.'
+  );
+} else if (DEFAULT_AUDIENCE === 'agent') {
+  console.warn('⚠️ DEFAULT_AUDIENCE=agent: every caller sees private remarks and showing instructions.');
+}
+
+// Computed from the price columns; see PRICE CHANGES.
+const PRICE_CHANGE_FIELDS = ['PriceReduction', 'PriceReductionPercent', 'DaysSincePriceChange'];
+// PITI + HOA under context.financing; see MONTHLY COST.
+const VIRTUAL_FIELDS = ['Address', 'Distance', 'MonthlyCost', ...PRICE_CHANGE_FIELDS];
+
+// -------------------- FIELD DICTIONARY --------------------
+// Labels, synonyms, units and formats per column (fields.json); see
+// lib/fieldDictionary.js.
+const fieldDictionary = createFieldDictionary({
+  file: process.env.FIELD_DICTIONARY_FILE || path.join(__dirname, 'fields.json'),
+});
+
+// "what fields can I ask about?": the dictionary's fields this audience can
+// see and this data has, with the names that work for each.
+function formatFieldList(context) {
+  const lines = fieldDictionary
+    .entries()
+    .filter((e) => (VIRTUAL_FIELDS.includes(e.name) || mlsColumns.includes(e.name)) && isFieldVisible(context, e.name))
+    .map((e) => {
+      const names = e.synonyms.length ? ` — ${e.synonyms.map((n) => `"${n}"`).join(', ')}` : '';
+      return `• ${e.label} (${e.name})${names}`;
+    });
+  const others = visibleColumns(context).filter((c) => !fieldDictionary.get(c));
+  const tail = others.length
+    ? `Any of the other ${others.length} MLS columns works by its exact name too, e.g. "what's the ${others[0]} for #3?"`
+    : null;
+  return ['You can ask about these fields, by any of the names shown:', ...lines, tail].filter(Boolean).join('\n');
+}
+
+function resolveAudience(req) {
+  const token = process.env.AGENT_TOKEN;
+  let audience = DEFAULT_AUDIENCE;
+  if (token && (req.get('x-agent-token') === token || readCookie(req, AGENT_COOKIE) === agentCookieValue())) {
+    audience = 'agent';
+  }
+  // anyone may step down to the client view, e.g. an agent previewing it
+  if (req.body?.audience === 'public' || req.query?.audience === 'public') {
+    audience = 'public';
+  }
+  return audience;
+}
+
+// For endpoints that change or expose agent data.
+function requireAgent(req, res, next) {
+  if (resolveAudience(req) !== 'agent') {
+    return res.status(403).json({ error: 'Only agents can do that. Send your x-agent-token.' });
+  }
+  next();
+}
+
+// Web UI sign-in: POST the token once and get an HttpOnly cookie holding a
+// hash of it, so the token itself never sits in the browser. Changing
+// AGENT_TOKEN signs everyone out.
+const AGENT_COOKIE = 'rgpt_agent';
+const AGENT_COOKIE_MAX_AGE = 30 * 24 * 60 * 60; // seconds
+
+function agentCookieValue() {
+  return crypto.createHash('sha256').update(`rgpt-agent:${process.env.AGENT_TOKEN}`).digest('hex');
+}
+
+function sameSecret(a, b) {
+  const hash = (v) => crypto.createHash('sha256').update(String(v)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+app.get('/api/agent-session', (req, res) => {
+  res.json({ audience: resolveAudience(req), signInAvailable: Boolean(process.env.AGENT_TOKEN) });
+});
+
+app.post('/api/agent-session', (req, res) => {
+  const token = process.env.AGENT_TOKEN;
+  if (!token) return res.status(400).json({ error: 'Agent sign-in is off: AGENT_TOKEN is not set.' });
+  if (!sameSecret(req.body?.token || '', token)) return res.status(401).json({ error: 'That agent token is not right.' });
+  res.append(
+    'Set-Cookie',
+    `${AGENT_COOKIE}=${agentCookieValue()}; Path=/; Max-Age=${AGENT_COOKIE_MAX_AGE}; HttpOnly; SameSite=Strict`
+  );
+  res.json({ audience: 'agent' });
+});
+
+app.delete('/api/agent-session', (req, res) => {
+  res.append('Set-Cookie', `${AGENT_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Strict`);
+  res.json({ audience: DEFAULT_AUDIENCE });
+});
+
+function isFieldVisible(context, colName) {
+  if (VIRTUAL_FIELDS.includes(colName)) return true;
+  const audience = (context && context.audience) || DEFAULT_AUDIENCE;
+  return fieldPolicy.isAllowed(audience, colName);
+}
+
+// Columns a plan filters, sorts or groups on that this audience can't see.
+// Searching on them would leak their contents, so the query is refused.
+function hiddenColumnsInPlan(context, filters, sort, aggregate) {
+  const used = [
+    ...filterLeaves(filters).map((f) => f.column),
+    sort && sort.orderBy,
+    aggregate && aggregate.column,
+    aggregate && aggregate.groupBy,
+  ].filter(Boolean);
+
+  const hidden = new Set();
+  used.forEach((field) => {
+    const colName = getColumnNameFromUserField(field) || field;
+    if (!isFieldVisible(context, colName)) hidden.add(colName);
+  });
+  return [...hidden];
+}
 
 // -------------------- HELPERS --------------------
 function formatAddress(row) {
@@ -56,12 +361,14 @@ function formatAddress(row) {
   const dirPre = row.StreetDirPrefix || '';
   const name = row.StreetName || '';
   const suffix = row.StreetSuffix || '';
+  const dirSuffix = row.StreetDirSuffix || '';
   const city = row.City || '';
   const state = row.StateOrProvince || 'CA';
   const zip = row.PostalCode || '';
+  const unit = String(row.UnitNumber || '').trim().replace(/^#\s*/, '');
 
   const parts = [
-    [num, dirPre, name, suffix].filter(Boolean).join(' '),
+    [num, dirPre, name, suffix, dirSuffix, unit ? `Unit ${unit}` : ''].filter(Boolean).join(' '),
     city,
     state,
     zip,
@@ -70,40 +377,47 @@ function formatAddress(row) {
   return parts.join(', ');
 }
 
-function normalizeAddressLike(str) {
-  if (!str) return '';
-  return String(str)
-    .toLowerCase()
-    .replace(/[^\w\s]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
+/**
+ * The listing `text` points at: a ListingId, a ParcelNumber or a street
+ * address anywhere in it (see lib/addressResolver.js). Returns
+ * { row, displayAddress }; { choices: [row, ...] } when several listings fit
+ * equally well or the unit asked for isn't listed; or null.
+ */
 function findListingByAddressLike(text) {
-  if (!text) return null;
-  const textNorm = normalizeAddressLike(text);
-  let best = null;
-
-  mlsRows.forEach((row, i) => {
-    const addr = formatAddress(row);
-    const addrNorm = normalizeAddressLike(addr);
-    if (!addrNorm) return;
+  const found = text && mlsAddresses ? mlsAddresses.resolve(String(text)) : null;
+  if (!found) return null;
+  const rows = found.matches.map((m) => mlsRows[m.pos]);
+  if (rows.length > 1 || found.unitMismatch) return { choices: rows };
+  return { row: rows[0], displayAddress: formatAddress(rows[0]) };
+}
 
-    if (textNorm.includes(addrNorm) || addrNorm.includes(textNorm)) {
-      if (!best || addrNorm.length < best.addrNorm.length) {
-        best = { rowIndex: i, row, addr, addrNorm };
-      }
-    }
-  });
+// Several listings fit an address equally well (units in one building, the
+// same street in two cities): they become the list, so the answer can be
+// a number instead of a guess.
+function askWhichListing(session, rows) {
+  const shown = showList(session, rows, { fields: [] }, {});
+  if (rows.length === 1) {
+    return `I don't see that unit listed. Is it this one?\n${shown.reply}\nAsk again with "#1" if so.`;
+  }
+  return `Which one do you mean?\n${shown.reply}\nAsk again with its number (like "#2") or the unit.`;
+}
 
-  if (!best) return null;
+// Sessions outlive reloads, so they point at listings by ListingId; the row
+// index is only a fallback for rows exported without one.
+function listingRef(row, displayAddress) {
   return {
-    rowIndex: best.rowIndex,
-    row: best.row,
-    displayAddress: best.addr,
+    listingId: row.ListingId ? String(row.ListingId).trim() : null,
+    rowIndex: mlsEngine.positionOf(row) ?? -1,
+    displayAddress: displayAddress || formatAddress(row),
   };
 }
 
+function rowFromRef(ref) {
+  if (!ref) return null;
+  if (ref.listingId) return mlsById.get(ref.listingId) || null;
+  return mlsRows[ref.rowIndex] || null;
+}
+
 function getColumnNameFromUserField(userField) {
   if (!userField) return null;
   const f = String(userField).trim();
@@ -113,35 +427,10 @@ function getColumnNameFromUserField(userField) {
 
   const lower = f.toLowerCase();
 
-  // common friendly names
-  const synonyms = {
-    address: null, // handled specially
-    beds: 'BedroomsTotal',
-    bedrooms: 'BedroomsTotal',
-    baths: 'BathroomsTotalInteger',
-    bathrooms: 'BathroomsTotalInteger',
-    price: 'ListPrice',
-    'current price': 'CurrentPrice',
-    dom: 'DaysOnMarket',
-    'days on market': 'DaysOnMarket',
-    cdom: 'CumulativeDaysOnMarket',
-    'cumulative days on market': 'CumulativeDaysOnMarket',
-    zipcode: 'PostalCode',
-    'zip code': 'PostalCode',
-    'postal code': 'PostalCode',
-    zip: 'PostalCode',
-    sqft: 'LivingArea',
-    'square footage': 'LivingArea',
-    description: 'PublicRemarks',
-    remarks: 'PublicRemarks',
-    'loan terms': 'ListingTerms',
-    financing: 'ListingTerms',
-    'high school district': 'HighSchoolDistrict',
-    'year built': 'YearBuilt',
-  };
-
-  if (synonyms[lower] !== undefined) {
-    return synonyms[lower]; // may be null for "address"
+  // friendly names and virtual columns, from fields.json
+  const known = fieldDictionary.resolve(lower);
+  if (known !== undefined) {
+    return known === 'Address' ? null : known; // "address" is handled specially
   }
 
   // try case-insensitive match on actual columns
@@ -150,16 +439,35 @@ function getColumnNameFromUserField(userField) {
   );
   if (exactInsensitive) return exactInsensitive;
 
-  // fuzzy: find column that contains this phrase
-  const contains = mlsColumns.find((c) =>
+  // fuzzy: a column containing this phrase, but only when there's exactly
+  // one ("area" is in a dozen columns; picking the first is a guess)
+  const contains = mlsColumns.filter((c) =>
     c.toLowerCase().includes(lower)
   );
-  if (contains) return contains;
+  if (contains.length === 1) return contains[0];
 
   return null;
 }
 
-function getValue(row, userField) {
+// Virtual columns are computed per query; everything else is read straight
+// off the row. context.origin ({ lat, lng }) anchors "Distance".
+function columnValue(row, colName, context) {
+  if (colName === 'Distance') {
+    const miles = distanceFromRow(row, context && context.origin);
+    return miles == null ? '' : String(Math.round(miles * 100) / 100);
+  }
+  if (PRICE_CHANGE_FIELDS.includes(colName)) {
+    const value = priceChangeValue(row, colName, context);
+    return value == null ? '' : String(value);
+  }
+  if (colName === 'MonthlyCost') {
+    const cost = monthlyCost(row, context);
+    return cost ? String(cost.total) : '';
+  }
+  return row[colName];
+}
+
+function getValue(row, userField, context) {
   const colName = getColumnNameFromUserField(userField);
 
   if (colName === null) {
@@ -169,114 +477,546 @@ function getValue(row, userField) {
       return formatAddress(row);
     }
     // fallback: try raw field as column
+    if (!isFieldVisible(context, String(userField))) return '';
     if (row[userField] !== undefined) return row[userField];
     return '';
   }
 
-  if (colName === 'ListPrice' || colName === 'CurrentPrice' || colName === 'ClosePrice') {
-    const raw = row[colName];
-    if (!raw) return '';
-    const num = Number(raw);
-    if (Number.isNaN(num)) return raw;
-    return '$' + num.toLocaleString();
+  if (!isFieldVisible(context, colName)) return '';
+
+  // currency, units etc. come from the field dictionary
+  return fieldDictionary.format(colName, columnValue(row, colName, context) ?? '');
+}
+
+function applyGeoFilter(row, filter) {
+  if (filter.op === 'within_radius') {
+    const center = filter.resolvedCenter;
+    const miles = toMiles(filter.radius ?? 1, filter.unit);
+    if (!center || Number.isNaN(miles)) return false;
+    if (center.row === row) {
+      return false; // "homes near #5" shouldn't list #5 itself
+    }
+    const dist = distanceFromRow(row, center);
+    return dist != null && dist <= miles;
+  }
+  if (filter.op === 'within_bbox') {
+    return inBoundingBox(rowCoords(row), normalizeBoundingBox(filter.bbox));
+  }
+  return false;
+}
+
+function columnType(colName) {
+  if (colName === 'Distance') return 'number';
+  if (colName === 'PriceReduction' || colName === 'MonthlyCost') return 'currency';
+  if (PRICE_CHANGE_FIELDS.includes(colName)) return 'number';
+  return mlsEngine ? mlsEngine.typeOf(colName) : 'string';
+}
+
+// Parsed value for a column: numbers, epoch ms for dates, booleans, arrays
+// for list columns. null when blank or unparsable.
+function typedColumnValue(row, colName, context) {
+  if (colName === 'Distance') {
+    const miles = distanceFromRow(row, context && context.origin);
+    return miles == null ? null : miles;
+  }
+  if (PRICE_CHANGE_FIELDS.includes(colName)) return priceChangeValue(row, colName, context);
+  if (colName === 'MonthlyCost') {
+    const cost = monthlyCost(row, context);
+    return cost ? cost.total : null;
   }
+  return mlsEngine ? mlsEngine.typedValue(row, colName) : row[colName];
+}
+
+function sameDay(a, b) {
+  const da = new Date(a);
+  const db = new Date(b);
+  return (
+    da.getFullYear() === db.getFullYear() &&
+    da.getMonth() === db.getMonth() &&
+    da.getDate() === db.getDate()
+  );
+}
 
-  if (colName === 'BedroomsTotal' || colName === 'BathroomsTotalInteger' || colName === 'LivingArea') {
-    const raw = row[colName];
-    if (!raw) return '';
-    const num = Number(raw);
-    if (Number.isNaN(num)) return raw;
-    if (colName === 'LivingArea') return num.toLocaleString() + ' sq ft';
-    return String(num);
+function valuesEqual(type, typed, val, value) {
+  const target = coerceTarget(type, value);
+  if (type === 'date' && target != null) {
+    return typed != null && sameDay(typed, target);
   }
+  if ((type === 'number' || type === 'currency') && target != null) {
+    return typed === target;
+  }
+  if (type === 'boolean') {
+    const want = parseBoolean(value);
+    if (want != null) return typed === want;
+  }
+  const wanted = String(value).trim().toLowerCase();
+  if (type === 'list' && Array.isArray(typed)) {
+    if (typed.some((v) => v.toLowerCase() === wanted)) return true;
+  }
+  return val.trim().toLowerCase() === wanted;
+}
 
-  return row[colName] ?? '';
+// Start of "within_last"/"older_than" spans: relative to when the data was
+// loaded, so an old export still answers "listed in the last 7 days" sensibly.
+function relativeDateAnchor() {
+  return mlsLoadedAt ? mlsLoadedAt.getTime() : Date.now();
 }
 
-function applyFilter(row, filter) {
+function applyRelativeDate(typed, op, value) {
+  const span = parseRelativeSpan(value);
+  if (!span || typed == null) return false;
+  const anchor = relativeDateAnchor();
+  const cutoff = relativeCutoff(span, anchor);
+  if (op === 'within_last') return typed >= cutoff && typed <= anchor;
+  return typed < cutoff;
+}
+
+function applyFilter(row, filter, context) {
+  const kind = groupKind(filter);
+  if (kind === 'and') return groupChildren(filter).every((f) => applyFilter(row, f, context));
+  if (kind === 'or') return groupChildren(filter).some((f) => applyFilter(row, f, context));
+  if (kind === 'not') return !applyFilter(row, filter.not, context);
+
   const { column, op, value } = filter;
+  if (op === 'within_radius' || op === 'within_bbox') {
+    return applyGeoFilter(row, filter);
+  }
+
   const colName = getColumnNameFromUserField(column);
   if (!colName) return false;
 
-  const raw = row[colName];
+  const type = columnType(colName);
+  const raw = columnValue(row, colName, context);
   const val = raw == null ? '' : String(raw);
-  const numVal = Number(raw);
-  const numTarget = Number(value);
+  const typed = typedColumnValue(row, colName, context);
+
+  // numbers, currency and dates compare on their parsed values; anything
+  // else falls back to a plain numeric read of the raw text
+  const ordered = ['number', 'currency', 'date'].includes(type);
+  const numVal = ordered ? typed : Number(raw);
+  const numTarget = ordered ? coerceTarget(type, value) : Number(value);
+  const comparable =
+    numVal != null && numTarget != null && !Number.isNaN(numVal) && !Number.isNaN(numTarget);
 
   switch (op) {
     case 'eq':
-      return val.toLowerCase() === String(value).toLowerCase();
+      return valuesEqual(type, typed, val, value);
     case 'neq':
-      return val.toLowerCase() !== String(value).toLowerCase();
+      return !valuesEqual(type, typed, val, value);
     case 'contains':
       return val.toLowerCase().includes(String(value).toLowerCase());
     case 'not_contains':
       return !val.toLowerCase().includes(String(value).toLowerCase());
     case 'gt':
-      if (Number.isNaN(numVal) || Number.isNaN(numTarget)) return false;
-      return numVal > numTarget;
+      return comparable && numVal > numTarget;
     case 'ge':
-      if (Number.isNaN(numVal) || Number.isNaN(numTarget)) return false;
-      return numVal >= numTarget;
+      return comparable && numVal >= numTarget;
     case 'lt':
-      if (Number.isNaN(numVal) || Number.isNaN(numTarget)) return false;
-      return numVal < numTarget;
+      return comparable && numVal < numTarget;
     case 'le':
-      if (Number.isNaN(numVal) || Number.isNaN(numTarget)) return false;
-      return numVal <= numTarget;
+      return comparable && numVal <= numTarget;
     case 'exists':
       return val.trim() !== '';
     case 'not_exists':
       return val.trim() === '';
+    case 'in':
+      return listValue(value).some((v) => valuesEqual(type, typed, val, v));
+    case 'not_in':
+      return !listValue(value).some((v) => valuesEqual(type, typed, val, v));
+    case 'between': {
+      const range = rangeValue(value);
+      if (!range || numVal == null || Number.isNaN(numVal)) return false;
+      const [lo, hi] = range.map((v) =>
+        v == null ? null : ordered ? coerceTarget(type, v) : Number(v)
+      );
+      return (lo == null || numVal >= lo) && (hi == null || numVal <= hi);
+    }
+    case 'within_last':
+    case 'older_than':
+      return type === 'date' && applyRelativeDate(typed, op, value);
     default:
-      return true;
+      return false; // validatePlan rejects unknown ops before they get here
   }
 }
 
-function filterRows(filters) {
-  if (!filters || !filters.length) return mlsRows;
-  return mlsRows.filter((row) =>
-    filters.every((f) => applyFilter(row, f))
-  );
+// Index lookup for one filter: a Set of row positions, or null when the
+// filter can't use an index. An "or" group only narrows when every branch
+// can; a "not" group never does.
+function filterCandidates(filter) {
+  const kind = groupKind(filter);
+  if (kind === 'and') return indexedCandidates(groupChildren(filter));
+  if (kind === 'or') {
+    const union = new Set();
+    for (const f of groupChildren(filter)) {
+      const hits = filterCandidates(f);
+      if (!hits) return null;
+      hits.forEach((pos) => union.add(pos));
+    }
+    return union;
+  }
+  if (kind || !filter || !filter.column) return null;
+  const colName = getColumnNameFromUserField(filter.column);
+  if (!colName) return null;
+  let value = filter.value;
+  if (filter.op === 'in') value = listValue(value);
+  if (filter.op === 'between') value = rangeValue(value);
+  const hits = mlsEngine.lookup(colName, filter.op, value);
+  return hits ? new Set(hits) : null;
+}
+
+/**
+ * Row positions worth checking for these filters: the intersection of every
+ * indexed filter's candidates, or null when no filter can use an index.
+ */
+function indexedCandidates(filters) {
+  if (!mlsEngine) return null;
+  let candidates = null;
+  for (const f of filters) {
+    const set = filterCandidates(f);
+    if (!set) continue;
+    candidates = candidates
+      ? new Set([...candidates].filter((pos) => set.has(pos)))
+      : set;
+    if (!candidates.size) break;
+  }
+  return candidates;
+}
+
+function filterRows(filters, sort, context) {
+  let rows = mlsRows;
+  if (filters && filters.length) {
+    const candidates = indexedCandidates(filters);
+    const pool = candidates
+      ? [...candidates].sort((a, b) => a - b).map((pos) => mlsRows[pos])
+      : mlsRows;
+    rows = pool.filter((row) => filters.every((f) => applyFilter(row, f, context)));
+  }
+  if (sort && sort.orderBy) {
+    return sortRows(rows, sort.orderBy, sort.direction, context);
+  }
+  return rows;
+}
+
+// -------------------- GEO --------------------
+/**
+ * Turns a plan "center" into coordinates:
+ *   { lat, lng } | { index } | { address } | { last: true }
+ * Returns { lat, lng, row?, label } or { error }.
+ */
+function resolveGeoCenter(session, center) {
+  if (!center || typeof center !== 'object') {
+    return { error: 'I need a listing, address or coordinates to search around.' };
+  }
+
+  const lat = Number(center.lat ?? center.latitude);
+  const lng = Number(center.lng ?? center.lon ?? center.longitude);
+  if (center.lat != null && Number.isFinite(lat) && Number.isFinite(lng)) {
+    return { lat, lng, label: center.label || `${lat}, ${lng}` };
+  }
+
+  let row = null;
+  let label = '';
+  if (center.index != null) {
+    const item = session.lastList[Number(center.index) - 1];
+    if (!item) {
+      return { error: `I do not have a listing #${center.index} in the last list.` };
+    }
+    row = rowFromRef(item);
+    label = `#${center.index} ${item.displayAddress}`;
+  } else if (center.last) {
+    if (!session.lastListing) {
+      return { error: "I'm not sure which property you mean. Ask about a specific listing first." };
+    }
+    row = rowFromRef(session.lastListing);
+    label = session.lastListing.displayAddress;
+  } else if (center.address) {
+    const listing = findListingByAddressLike(center.address);
+    if (!listing) {
+      return { error: `I couldn't match "${center.address}" to any listing in the CSV.` };
+    }
+    if (listing.choices) return { error: askWhichListing(session, listing.choices) };
+    row = listing.row;
+    label = listing.displayAddress;
+  } else {
+    return { error: 'I need a listing, address or coordinates to search around.' };
+  }
+
+  if (!row) {
+    return { error: `${label} is no longer in the MLS data.` };
+  }
+  const point = rowCoords(row);
+  if (!point) {
+    return { error: `${label} has no latitude/longitude in the CSV.` };
+  }
+  return { ...point, row, label };
+}
+
+/**
+ * Resolves every radius filter's center in place and picks the origin that
+ * "Distance" is measured from: the plan's explicit origin, else the first
+ * radius center, else the middle of the first bounding box.
+ */
+function resolveGeo(session, filters, originSpec) {
+  const context = { origin: null };
+
+  for (const f of filterLeaves(filters)) {
+    if (f.op === 'within_radius') {
+      const center = resolveGeoCenter(session, f.center);
+      if (center.error) return { error: center.error };
+      f.resolvedCenter = center;
+      if (!context.origin) context.origin = center;
+    } else if (f.op === 'within_bbox') {
+      const bbox = normalizeBoundingBox(f.bbox);
+      if (!bbox) return { error: 'That bounding box is missing a north, south, east or west edge.' };
+      if (!context.origin) {
+        context.origin = {
+          lat: (bbox.north + bbox.south) / 2,
+          lng: (bbox.east + bbox.west) / 2,
+          label: 'the center of that area',
+        };
+      }
+    }
+  }
+
+  if (originSpec) {
+    const origin = resolveGeoCenter(session, originSpec);
+    if (origin.error) return { error: origin.error };
+    context.origin = origin;
+  }
+
+  return { context };
+}
+
+// -------------------- SORTING & AGGREGATION --------------------
+function numericValue(row, colName, context) {
+  if (['number', 'currency', 'date'].includes(columnType(colName))) {
+    const typed = typedColumnValue(row, colName, context);
+    return typed == null ? NaN : typed;
+  }
+  const raw = columnValue(row, colName, context);
+  if (raw == null || String(raw).trim() === '') return NaN;
+  return Number(String(raw).replace(/[$,]/g, ''));
+}
+
+// Numbers sort numerically, everything else alphabetically; blanks always
+// go last regardless of direction.
+function sortRows(rows, orderBy, direction, context) {
+  const colName = getColumnNameFromUserField(orderBy);
+  if (!colName) return rows;
+  const dir = String(direction || 'asc').toLowerCase() === 'desc' ? -1 : 1;
+
+  const keyed = rows.map((row) => {
+    const num = numericValue(row, colName, context);
+    const raw = columnValue(row, colName, context);
+    const str = raw == null ? '' : String(raw).trim();
+    return { row, num, str };
+  });
+  const numeric = keyed.every((k) => k.str === '' || !Number.isNaN(k.num));
+
+  keyed.sort((a, b) => {
+    if (a.str === '' || b.str === '') {
+      return (a.str === '') - (b.str === '');
+    }
+    const cmp = numeric
+      ? a.num - b.num
+      : a.str.localeCompare(b.str, undefined, { sensitivity: 'base' });
+    return cmp * dir;
+  });
+  return keyed.map((k) => k.row);
+}
+
+const AGGREGATE_OPS = ['count', 'min', 'max', 'avg', 'median', 'sum'];
+
+function computeAggregate(op, values) {
+  if (op === 'count') return values.length;
+  if (!values.length) return null;
+  switch (op) {
+    case 'min':
+      return Math.min(...values);
+    case 'max':
+      return Math.max(...values);
+    case 'sum':
+      return values.reduce((a, b) => a + b, 0);
+    case 'avg':
+      return values.reduce((a, b) => a + b, 0) / values.length;
+    case 'median': {
+      const sorted = [...values].sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2
+        ? sorted[mid]
+        : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * aggregate: { op, column, groupBy }
+ * Returns [{ key, value, count }] — one entry per group, or a single entry
+ * with key null when there is no groupBy.
+ */
+function aggregateRows(rows, aggregate, context) {
+  const op = String(aggregate.op || 'count').toLowerCase();
+  if (!AGGREGATE_OPS.includes(op)) {
+    return { error: `I can't compute "${aggregate.op}". Try count, min, max, avg, median or sum.` };
+  }
+
+  const colName = aggregate.column
+    ? getColumnNameFromUserField(aggregate.column)
+    : null;
+  if (op !== 'count' && !colName) {
+    return { error: `I couldn't find a column for "${aggregate.column}".` };
+  }
+
+  const groupCol = aggregate.groupBy
+    ? getColumnNameFromUserField(aggregate.groupBy)
+    : null;
+  if (aggregate.groupBy && !groupCol) {
+    return { error: `I couldn't find a column to group by for "${aggregate.groupBy}".` };
+  }
+
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = groupCol ? String(row[groupCol] ?? '').trim() || '(blank)' : null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  const results = [...groups.entries()].map(([key, groupRows]) => {
+    const values =
+      op === 'count' && !colName
+        ? groupRows
+        : groupRows
+            .map((row) => numericValue(row, colName, context))
+            .filter((n) => !Number.isNaN(n));
+    return { key, value: computeAggregate(op, values), count: values.length };
+  });
+
+  return { op, column: colName, groupBy: groupCol, results };
+}
+
+function formatAggregateValue(colName, value) {
+  if (value == null) return 'N/A';
+  const rounded = Math.round(value * 100) / 100;
+  return String(fieldDictionary.format(colName, rounded, { fallback: 'number' }));
+}
+
+function formatAggregate(agg, sort) {
+  if (agg.error) return agg.error;
+
+  const opLabel = {
+    count: 'Number of listings',
+    min: 'Minimum',
+    max: 'Maximum',
+    avg: 'Average',
+    median: 'Median',
+    sum: 'Total',
+  }[agg.op];
+  const title = agg.column && agg.op !== 'count'
+    ? `${opLabel} ${agg.column}`
+    : opLabel;
+
+  if (!agg.groupBy) {
+    const r = agg.results[0] || { value: agg.op === 'count' ? 0 : null, count: 0 };
+    const val = agg.op === 'count' ? String(r.value) : formatAggregateValue(agg.column, r.value);
+    const basis = agg.op === 'count' ? '' : ` (from ${r.count} listings with a value)`;
+    return `${title}: ${val}${basis}`;
+  }
+
+  const results = [...agg.results];
+  const dir = sort && String(sort.direction).toLowerCase() === 'asc' ? 1 : -1;
+  results.sort((a, b) => ((a.value ?? -Infinity) - (b.value ?? -Infinity)) * dir);
+
+  const lines = results.map((r) => {
+    const val = agg.op === 'count' ? String(r.value) : formatAggregateValue(agg.column, r.value);
+    const basis = agg.op === 'count' ? '' : ` (${r.count} listings)`;
+    return `• ${r.key}: ${val}${basis}`;
+  });
+  return `${title} by ${agg.groupBy}:\n` + lines.join('\n');
 }
 
-function ensureListingFromIndex(index) {
-  if (!lastList.length) {
+function ensureListingFromIndex(session, index) {
+  if (!session.lastList.length) {
     return { error: 'I do not have a recent list to pull index numbers from.' };
   }
-  const item = lastList[index - 1];
+  const item = session.lastList[index - 1];
   if (!item) {
-    return { error: `I do not have a listing #${index} in the last list.` };
+    return { error: `I do not have a listing #${index} in the last list (it goes up to #${session.lastList.length}).` };
+  }
+  const row = rowFromRef(item);
+  if (!row) {
+    return { error: `Listing #${index} (${item.displayAddress}) is no longer in the MLS data.` };
   }
-  const row = mlsRows[item.rowIndex];
   const displayAddress = item.displayAddress || formatAddress(row);
-  lastListing = { rowIndex: item.rowIndex, displayAddress, row };
+  session.lastListing = listingRef(row, displayAddress);
+  session.listPosition = index;
   return { row, displayAddress };
 }
 
-function formatDetails(row, fields) {
+/**
+ * The single listing a details-style question is about: "#11", a street
+ * address in the text, or the last listing discussed. Makes it the session's
+ * lastListing. Returns { row, displayAddress } or { error }.
+ */
+function resolveListingTarget(session, targetType, index, userText) {
+  if (targetType === 'index' && index != null) {
+    return ensureListingFromIndex(session, index);
+  }
+  if (targetType === 'address') {
+    const listing = findListingByAddressLike(userText);
+    if (!listing) {
+      return {
+        error:
+          "I couldn't match that address to any listing in the CSV. Try copying it as it appears in the list.",
+      };
+    }
+    if (listing.choices) return { error: askWhichListing(session, listing.choices) };
+    session.lastListing = listingRef(listing.row, listing.displayAddress);
+    session.listPosition = null;
+    return { row: listing.row, displayAddress: listing.displayAddress };
+  }
+  if (targetType === 'last') {
+    const { lastListing } = session;
+    if (!lastListing) {
+      return {
+        error:
+          "I'm not sure which property you mean. Ask about a specific listing first (for example, 'details for #11').",
+      };
+    }
+    const row = rowFromRef(lastListing);
+    if (!row) return { error: `${lastListing.displayAddress} is no longer in the MLS data.` };
+    return { row, displayAddress: lastListing.displayAddress };
+  }
+  return {
+    error:
+      "I couldn't tell which specific listing you meant. Try '#11' or a full address like '123 Main St, Burbank, CA'.",
+  };
+}
+
+// default summary for "full profile" / details without specific fields
+const DETAILS_SUMMARY_FIELDS = [
+  'Address',
+  'ListPrice',
+  'BedroomsTotal',
+  'BathroomsTotalInteger',
+  'LivingArea',
+  'DaysOnMarket',
+  'YearBuilt',
+  'HighSchoolDistrict',
+  'PropertyType',
+  'PublicRemarks',
+];
+
+function formatDetails(row, fields, context) {
   const addr = formatAddress(row);
   if (!fields || !fields.length) {
     // default summary
-    const summaryFields = [
-      'Address',
-      'ListPrice',
-      'BedroomsTotal',
-      'BathroomsTotalInteger',
-      'LivingArea',
-      'DaysOnMarket',
-      'YearBuilt',
-      'HighSchoolDistrict',
-      'PropertyType',
-      'PublicRemarks',
-    ];
-
     const parts = [`${addr}`];
-    summaryFields.forEach((f) => {
-      const val = getValue(row, f);
+    DETAILS_SUMMARY_FIELDS.forEach((f) => {
+      const val = getValue(row, f, context);
       if (val === '' || val == null) return;
-      const label = f === 'Address' ? 'Address' : f;
-      parts.push(`${label}: ${val}`);
+      parts.push(`${fieldDictionary.label(f)}: ${val}`);
     });
 
     return parts.join('\n');
@@ -284,188 +1024,2723 @@ function formatDetails(row, fields) {
 
   const lines = [`${addr}`];
   for (const f of fields) {
-    const val = getValue(row, f);
     const label = String(f);
+    const colName = getColumnNameFromUserField(f) || label;
+    if (!isFieldVisible(context, colName)) {
+      lines.push(`${label}: not available`);
+      continue;
+    }
+    const val = getValue(row, f, context);
     lines.push(`${label}: ${val || 'N/A'}`);
   }
 
   return lines.join('\n');
 }
 
-function formatList(rows, fields, limit) {
-  const limited = rows.slice(0, limit || 100);
-  lastList = limited.map((row) => ({
-    rowIndex: mlsRows.indexOf(row),
-    displayAddress: formatAddress(row),
-  }));
-
-  if (!limited.length) {
-    return 'There are 0 listings that match your criteria.';
+// Fields shown per list line: the requested ones plus the sort key, so the
+// ordering makes sense.
+function listFields(fields, sort) {
+  const showFields = (fields || []).length ? [...fields] : [];
+  if (sort && sort.orderBy) {
+    const sortCol = getColumnNameFromUserField(sort.orderBy);
+    const shown = showFields.some(
+      (f) => getColumnNameFromUserField(f) === sortCol
+    );
+    if (sortCol && !shown) showFields.push(sort.orderBy);
   }
+  return showFields;
+}
 
-  const showFields = (fields || []).length ? fields : [];
+// One page of a plain list; see PAGING for how pages are cut.
+function formatList(page, context) {
+  const { view, total } = page;
+  if (!total) return 'There are 0 listings that match your criteria.';
 
-  const lines = limited.map((row, i) => {
+  const lines = page.items.map(({ n, ref, row }) => {
+    if (!row) return missingListLine(n, ref);
     const addr = formatAddress(row);
-    if (!showFields.length) {
-      return `#${i + 1} ${addr}`;
+    if (!view.fields.length) {
+      return `#${n} ${addr}`;
     }
     const parts = [];
-    for (const f of showFields) {
+    for (const f of view.fields) {
       if (String(f).toLowerCase() === 'address') continue;
-      const val = getValue(row, f);
+      const val = getValue(row, f, context);
       if (val === '' || val == null) continue;
       parts.push(`${f}: ${val}`);
     }
     const extra = parts.length ? ' — ' + parts.join(' | ') : '';
-    return `#${i + 1} ${addr}${extra}`;
+    return `#${n} ${addr}${extra}`;
   });
 
-  return `Here are up to ${limited.length} matching listings:\n` + lines.join('\n');
+  return (
+    `${total} matching listing${total === 1 ? '' : 's'}${sortNote(view.sort)}${pagePosition(page)}:\n` +
+    lines.join('\n') +
+    pageFooter(page)
+  );
 }
 
-// -------------------- PLANNER PROMPT --------------------
-const plannerSystemPrompt = `
-You are the "planner" for Realtor GPT.
+// -------------------- STRUCTURED RESULTS --------------------
+// Sent alongside the text reply so the UI can render a table. Values are
+// typed (numbers, ISO dates) and hidden fields never appear.
+
+// Offered in the table's column picker even when the reply didn't show them.
+const TABLE_EXTRA_FIELDS = [
+  'ListPrice',
+  'BedroomsTotal',
+  'BathroomsTotalInteger',
+  'LivingArea',
+  'DaysOnMarket',
+  'City',
+  'PostalCode',
+];
+
+function tableValue(row, colName, context) {
+  if (colName === 'Address') return formatAddress(row);
+  const type = columnType(colName);
+  const typed = typedColumnValue(row, colName, context);
+  if (typed == null) return null;
+  if (colName === 'Distance') return Math.round(typed * 100) / 100;
+  if (type === 'date') return new Date(typed).toISOString();
+  if (type === 'list') return typed.length ? typed.join(', ') : null;
+  return typed;
+}
 
-You ONLY return a single JSON object. The Node server will query the MLS CSV.
+// [{ field, label, type, hidden }] for the visible, resolvable fields
+function tableColumns(fields, extraFields, context) {
+  const columns = [];
+  const seen = new Set();
+  const add = (f, hidden) => {
+    const lower = String(f).toLowerCase();
+    const colName = lower === 'address' ? 'Address' : getColumnNameFromUserField(f);
+    if (!colName || seen.has(colName) || !isFieldVisible(context, colName)) return;
+    seen.add(colName);
+    columns.push({
+      field: colName,
+      label: hidden ? fieldDictionary.label(colName) : String(f),
+      type: colName === 'Address' ? 'string' : columnType(colName),
+      hidden,
+    });
+  };
+  add('Address', false);
+  fields.forEach((f) => add(f, false));
+  extraFields.forEach((f) => add(f, true));
+  return columns;
+}
 
-### CSV NOTES
+function tableRow(row, columns, context, index) {
+  const values = {};
+  columns.forEach((c) => {
+    values[c.field] = tableValue(row, c.field, context);
+  });
+  // coordinates for the map panel, unless this audience can't see them
+  const mappable =
+    isFieldVisible(context, 'Latitude') && isFieldVisible(context, 'Longitude');
+  return {
+    index,
+    listingId: row.ListingId ? String(row.ListingId).trim() : null,
+    point: mappable ? rowCoords(row) : null,
+    values,
+  };
+}
 
-The CSV header includes many MLS-style columns, for example:
-- StreetNumber, StreetNumberNumeric, StreetDirPrefix, StreetName, StreetSuffix, City, StateOrProvince, PostalCode
-- BedroomsTotal, BathroomsTotalInteger, LivingArea, ListPrice, CurrentPrice
-- DaysOnMarket, CumulativeDaysOnMarket, OnMarketDate, OffMarketDate
-- YearBuilt, HighSchoolDistrict, PropertyType, PoolFeatures, GarageSpaces, ParkingTotal, LotSizeArea, LotSizeSquareFeet, etc.
-- PublicRemarks, PrivateRemarks, ListingTerms, HighSchoolDistrict
+function buildListResults(rows, fields, limit, sort, context) {
+  const limited = rows.slice(0, limit || 100);
+  const columns = tableColumns(listFields(fields, sort), TABLE_EXTRA_FIELDS, context);
+  return {
+    type: 'listings',
+    columns,
+    rows: limited.map((row, i) => tableRow(row, columns, context, i + 1)),
+    total: rows.length,
+  };
+}
 
-If the user mentions any REAL column name (e.g. "HighSchoolDistrict", "YearBuilt"), you must use it directly.
+function buildDetailsResults(row, fields, context, index) {
+  const wanted = fields && fields.length ? fields : DETAILS_SUMMARY_FIELDS;
+  const columns = tableColumns(wanted, [], context);
+  return {
+    type: 'details',
+    columns,
+    rows: [tableRow(row, columns, context, index || null)],
+    total: 1,
+  };
+}
 
-### FRIENDLY NAME → COLUMN
+function buildAggregateResults(agg) {
+  if (agg.error) return null;
+  const valueType = agg.op === 'count' ? 'number' : columnType(agg.column);
+  return {
+    type: 'aggregate',
+    columns: [
+      ...(agg.groupBy ? [{ field: 'group', label: agg.groupBy, type: 'string' }] : []),
+      {
+        field: 'value',
+        label: agg.op === 'count' ? 'count' : `${agg.op} ${agg.column}`,
+        type: valueType === 'date' ? 'number' : valueType,
+      },
+      ...(agg.op === 'count' ? [] : [{ field: 'count', label: 'listings', type: 'number' }]),
+    ],
+    rows: agg.results.map((r) => ({
+      index: null,
+      listingId: null,
+      values: { group: r.key, value: r.value, count: r.count },
+    })),
+    total: agg.results.length,
+  };
+}
 
-Map these friendly names:
+// -------------------- CMA (COMPARABLES) --------------------
+// "comps for #4": listings like the subject (same property type, similar
+// beds/baths, living area and age, nearby). When too few match, the
+// criteria widen step by step. Comps are active listings, so the numbers are
+// asking prices rather than closed sales.
+
+const CMA_MIN_COMPS = 3;
+const CMA_MAX_COMPS = 6;
+const CMA_STEPS = [
+  { radius: 1, sqftBand: 0.2, bedSpread: 1, bathSpread: 1, yearSpread: 15 },
+  { radius: 2, sqftBand: 0.25, bedSpread: 1, bathSpread: 1, yearSpread: 25 },
+  { radius: 5, sqftBand: 0.35, bedSpread: 1, bathSpread: 2, yearSpread: null },
+  { radius: 10, sqftBand: 0.5, bedSpread: 2, bathSpread: 2, yearSpread: null },
+];
+const CMA_FIELDS = ['Address', 'price', 'beds', 'baths', 'sqft', 'ppsf', 'YearBuilt', 'Distance'];
+
+function cmaSubject(row) {
+  const num = (col) => {
+    const n = numericValue(row, col);
+    return Number.isNaN(n) ? null : n;
+  };
+  return {
+    row,
+    propertyType: row.PropertyType || null,
+    subType: row.PropertySubType || null,
+    beds: num('BedroomsTotal'),
+    baths: num('BathroomsTotalInteger'),
+    sqft: num('LivingArea'),
+    year: num('YearBuilt'),
+    point: rowCoords(row),
+  };
+}
 
-- "beds", "bedrooms" -> "BedroomsTotal"
-- "baths", "bathrooms" -> "BathroomsTotalInteger"
-- "price" -> "ListPrice"
-- "current price" -> "CurrentPrice"
-- "DOM", "days on market" -> "DaysOnMarket"
-- "CDOM", "cumulative days on market" -> "CumulativeDaysOnMarket"
-- "zip", "zip code", "zipcode", "postal code" -> "PostalCode"
-- "year built" -> "YearBuilt"
-- "sqft", "square footage" -> "LivingArea"
-- "description", "remarks" -> "PublicRemarks"
-- "loan terms", "financing" -> "ListingTerms"
-- "high school district" -> "HighSchoolDistrict"
+function cmaFilters(subject, step) {
+  const filters = [{ column: 'ListPrice', op: 'gt', value: 0 }];
+  const range = (column, center, spread) => {
+    filters.push({ column, op: 'ge', value: center - spread });
+    filters.push({ column, op: 'le', value: center + spread });
+  };
+  if (subject.propertyType) filters.push({ column: 'PropertyType', op: 'eq', value: subject.propertyType });
+  if (subject.subType) filters.push({ column: 'PropertySubType', op: 'eq', value: subject.subType });
+  if (subject.beds != null) range('BedroomsTotal', subject.beds, step.bedSpread);
+  if (subject.baths != null) range('BathroomsTotalInteger', subject.baths, step.bathSpread);
+  range('LivingArea', subject.sqft, subject.sqft * step.sqftBand);
+  if (subject.year != null && step.yearSpread) range('YearBuilt', subject.year, step.yearSpread);
+  if (subject.point) {
+    filters.push({
+      op: 'within_radius',
+      radius: step.radius,
+      unit: 'mi',
+      resolvedCenter: { ...subject.point, row: subject.row },
+    });
+  }
+  return filters;
+}
 
-### OUTPUT JSON
+// lower is more similar; each term is roughly "fraction of the allowed spread"
+function cmaScore(subject, row, step, context) {
+  let score = 0;
+  const diff = (col, center, spread) => {
+    const n = numericValue(row, col, context);
+    if (center == null || Number.isNaN(n) || !spread) return 0;
+    return Math.abs(n - center) / spread;
+  };
+  score += diff('LivingArea', subject.sqft, subject.sqft * step.sqftBand);
+  score += diff('BedroomsTotal', subject.beds, step.bedSpread) * 0.5;
+  score += diff('BathroomsTotalInteger', subject.baths, step.bathSpread) * 0.5;
+  score += diff('YearBuilt', subject.year, step.yearSpread || 30) * 0.5;
+  if (subject.point) score += diff('Distance', 0, step.radius);
+  return score;
+}
 
-Return ONLY a JSON object with this structure:
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
 
-{
-  "intent": "list" | "details" | "small_talk" | "unknown",
+function roundTo(value, step) {
+  return Math.round(value / step) * step;
+}
 
-  "filters": [
-    {
-      "column": string,                  // column name or friendly name
-      "op": "eq" | "neq" | "gt" | "lt" | "ge" | "le" | "contains" | "not_contains" | "exists" | "not_exists",
-      "value": string | number | null
-    }
-  ],
+/**
+ * Picks comps for a subject row. Returns { subject, comps, step, stats }
+ * or { error }. stats: price-per-sqft figures and a suggested price range.
+ */
+function runCma(subjectRow, context, maxComps = CMA_MAX_COMPS) {
+  const subject = cmaSubject(subjectRow);
+  if (!subject.sqft) {
+    return { error: `${formatAddress(subjectRow)} has no living area in the CSV, so I can't size comps against it.` };
+  }
 
-  "fields": string[] | null,            // which fields/columns they want in the output
+  const cmaContext = { ...context, origin: subject.point };
+  const subjectId = subjectRow.ListingId ? String(subjectRow.ListingId).trim() : null;
+  let found = [];
+  let used = CMA_STEPS[0];
+  for (const step of CMA_STEPS) {
+    used = step;
+    found = filterRows(cmaFilters(subject, step), null, cmaContext).filter(
+      (row) =>
+        row !== subjectRow &&
+        !(subjectId && String(row.ListingId || '').trim() === subjectId)
+    );
+    if (found.length >= CMA_MIN_COMPS) break;
+  }
+  if (!found.length) {
+    return { error: `I couldn't find any comparable listings for ${formatAddress(subjectRow)}, even after widening the search.` };
+  }
 
-  "targetType": "index" | "address" | "last" | null,
-  "index": number | null,               // for "#34", "listing 34", etc.
+  const comps = found
+    .map((row) => ({ row, score: cmaScore(subject, row, used, cmaContext) }))
+    .sort((a, b) => a.score - b.score)
+    .slice(0, maxComps)
+    .map((c) => c.row);
+
+  const ppsf = comps
+    .map((row) => numericValue(row, 'ListPrice') / numericValue(row, 'LivingArea'))
+    .filter((n) => Number.isFinite(n) && n > 0)
+    .sort((a, b) => a - b);
+  const stats = ppsf.length
+    ? {
+        count: ppsf.length,
+        min: ppsf[0],
+        max: ppsf[ppsf.length - 1],
+        avg: computeAggregate('avg', ppsf),
+        median: computeAggregate('median', ppsf),
+        low: roundTo(percentile(ppsf, 0.25) * subject.sqft, 1000),
+        high: roundTo(percentile(ppsf, 0.75) * subject.sqft, 1000),
+        suggested: roundTo(computeAggregate('median', ppsf) * subject.sqft, 1000),
+      }
+    : null;
 
-  "limit": number | null,               // for lists: "top 10", "first 5"
-  "countOnly": boolean | null           // if they only want the number of matches
+  return { subject, comps, step: used, stats, context: cmaContext };
 }
 
-### RULES
-
+function describeCmaCriteria(subject, step) {
+  const parts = [];
+  const fmt = (n) => Math.round(n).toLocaleString();
+  if (subject.propertyType) {
+    parts.push(`same property type (${[subject.propertyType, subject.subType].filter(Boolean).join(' / ')})`);
+  }
+  if (subject.beds != null) {
+    parts.push(`${Math.max(0, subject.beds - step.bedSpread)}–${subject.beds + step.bedSpread} beds`);
+  }
+  if (subject.baths != null) {
+    parts.push(`${Math.max(0, subject.baths - step.bathSpread)}–${subject.baths + step.bathSpread} baths`);
+  }
+  parts.push(
+    `${fmt(subject.sqft * (1 - step.sqftBand))}–${fmt(subject.sqft * (1 + step.sqftBand))} sq ft (±${Math.round(step.sqftBand * 100)}%)`
+  );
+  if (subject.year != null && step.yearSpread) {
+    parts.push(`built ${subject.year - step.yearSpread}–${subject.year + step.yearSpread}`);
+  }
+  if (subject.point) parts.push(`within ${step.radius} mi`);
+  return parts.join(', ');
+}
+
+function formatCma(cma, displayAddress) {
+  const { subject, comps, step, stats, context } = cma;
+  const money = (n) => '$' + Math.round(n).toLocaleString();
+  const facts = [
+    subject.subType || subject.propertyType,
+    subject.beds != null && subject.baths != null ? `${subject.beds} bd / ${subject.baths} ba` : null,
+    `${subject.sqft.toLocaleString()} sq ft`,
+    subject.year != null ? `built ${subject.year}` : null,
+  ].filter(Boolean);
+
+  const lines = [`Comparable listings for ${displayAddress} (${facts.join(', ')}):`];
+  lines.push(`Chosen by: ${describeCmaCriteria(subject, step)}.`);
+  if (step !== CMA_STEPS[0]) {
+    lines.push(`(Widened the search to find at least ${CMA_MIN_COMPS} comps.)`);
+  }
+  if (!subject.point) {
+    lines.push('(The subject has no coordinates, so distance was not used.)');
+  }
+  lines.push('');
+
+  comps.forEach((row, i) => {
+    const sqft = numericValue(row, 'LivingArea');
+    const sizeDiff = Math.round(((sqft - subject.sqft) / subject.sqft) * 100);
+    const reasons = [
+      getValue(row, 'price', context),
+      `${getValue(row, 'beds', context) || '?'} bd / ${getValue(row, 'baths', context) || '?'} ba`,
+      `${getValue(row, 'sqft', context)} (${sizeDiff >= 0 ? '+' : ''}${sizeDiff}%)`,
+      row.YearBuilt ? `built ${row.YearBuilt}` : null,
+      subject.point ? getValue(row, 'Distance', context) : null,
+      `${money(numericValue(row, 'ListPrice') / sqft)}/sqft`,
+    ].filter(Boolean);
+    lines.push(`#${i + 1} ${formatAddress(row)} — ${reasons.join(' | ')}`);
+  });
+
+  if (stats) {
+    lines.push('');
+    lines.push(
+      `Price per sq ft across ${stats.count} comps: median ${money(stats.median)}, average ${money(stats.avg)}, range ${money(stats.min)}–${money(stats.max)}.`
+    );
+    lines.push(
+      `Suggested price range: ${money(stats.low)} – ${money(stats.high)} (about ${money(stats.suggested)} at the median $/sqft).`
+    );
+  }
+  lines.push('Note: comps are active listings (asking prices), not closed sales.');
+  return lines.join('\n');
+}
+
+// -------------------- COMPARE --------------------
+// "compare #3, #7 and 13121 Chase St": the details summary fields side by
+// side with differing rows flagged, then price per sqft, HOA and taxes with
+// deltas against the first listing.
+const COMPARE_FIELDS = DETAILS_SUMMARY_FIELDS.filter(
+  (f) => f !== 'Address' && f !== 'PublicRemarks'
+);
+const COMPARE_MAX = 6;
+
+// Used when TaxAnnualAmount is blank: California's 1% base levy plus typical
+// local assessments. PROPERTY_TAX_RATE=0.0125 overrides.
+const PROPERTY_TAX_RATE = Number(process.env.PROPERTY_TAX_RATE) || 0.012;
+
+const HOA_PER_MONTH = {
+  monthly: 1,
+  'bi-monthly': 1 / 2,
+  quarterly: 1 / 3,
+  'semi-annually': 1 / 6,
+  semiannually: 1 / 6,
+  annually: 1 / 12,
+  annual: 1 / 12,
+  yearly: 1 / 12,
+  weekly: 52 / 12,
+};
+
+function pricePerSqft(row, context) {
+  const price = numericValue(row, 'ListPrice', context);
+  const sqft = numericValue(row, 'LivingArea', context);
+  if (!isFieldVisible(context, 'ListPrice') || !(price > 0) || !(sqft > 0)) return null;
+  return Math.round(price / sqft);
+}
+
+// Both association fees, converted to a monthly amount. 0 when the listing
+// says there is no association, null when unknown.
+function monthlyHoa(row, context) {
+  if (!isFieldVisible(context, 'AssociationFee')) return null;
+  let total = null;
+  [
+    ['AssociationFee', 'AssociationFeeFrequency'],
+    ['AssociationFee2', 'AssociationFee2Frequency'],
+  ].forEach(([feeCol, freqCol]) => {
+    const fee = numericValue(row, feeCol, context);
+    if (Number.isNaN(fee)) return;
+    const freq = String(row[freqCol] || 'monthly').trim().toLowerCase();
+    total = (total || 0) + fee * (HOA_PER_MONTH[freq] ?? 1);
+  });
+  if (total == null && parseBoolean(row.AssociationYN) === false) return 0;
+  return total == null ? null : Math.round(total);
+}
+
+// { amount, estimated } per year: TaxAnnualAmount when the MLS has it,
+// otherwise list price x PROPERTY_TAX_RATE. null when neither is known.
+function annualTaxes(row, context) {
+  const reported = isFieldVisible(context, 'TaxAnnualAmount')
+    ? numericValue(row, 'TaxAnnualAmount', context)
+    : NaN;
+  if (reported > 0) return { amount: Math.round(reported), estimated: false };
+  const price = numericValue(row, 'ListPrice', context);
+  if (!isFieldVisible(context, 'ListPrice') || !(price > 0)) return null;
+  return { amount: Math.round(price * PROPERTY_TAX_RATE), estimated: true };
+}
+
+const COMPARE_METRICS = [
+  { label: 'Price per sqft', value: (row, context) => pricePerSqft(row, context) },
+  { label: 'HOA per month', value: (row, context) => monthlyHoa(row, context) },
+  {
+    label: 'Taxes per year',
+    value: (row, context) => {
+      const taxes = annualTaxes(row, context);
+      return taxes ? taxes.amount : null;
+    },
+    estimated: (row, context) => {
+      const taxes = annualTaxes(row, context);
+      return !!(taxes && taxes.estimated);
+    },
+  },
+];
+
+/**
+ * One compare target: { index } | { address } | { last: true }.
+ * Returns { row, label } or { name, error } naming what couldn't be found.
+ */
+function resolveCompareTarget(session, target) {
+  if (target && target.index != null) {
+    const name = `#${target.index}`;
+    const item = session.lastList[Number(target.index) - 1];
+    if (!item) return { name, error: 'there is no such number in the last list' };
+    const row = rowFromRef(item);
+    if (!row) return { name, error: `${item.displayAddress} is no longer in the MLS data` };
+    return { row, label: `#${target.index} ${item.displayAddress.split(',')[0]}` };
+  }
+  if (target && target.last) {
+    const name = 'the last listing';
+    if (!session.lastListing) return { name, error: "we haven't looked at one yet" };
+    const row = rowFromRef(session.lastListing);
+    if (!row) return { name, error: `${session.lastListing.displayAddress} is no longer in the MLS data` };
+    return { row, label: session.lastListing.displayAddress.split(',')[0] };
+  }
+  if (target && target.address) {
+    const listing = findListingByAddressLike(String(target.address));
+    if (!listing) return { name: String(target.address), error: 'no listing matches that address' };
+    if (listing.choices) {
+      const units = listing.choices.map((row) => formatAddress(row).split(',').slice(0, 2).join(','));
+      return { name: String(target.address), error: `it could be ${units.join(' or ')}; add the unit or city` };
+    }
+    return { row: listing.row, label: listing.displayAddress.split(',')[0] };
+  }
+  return { name: JSON.stringify(target), error: 'I need a #number, an address or "it"' };
+}
+
+function signedMoney(delta) {
+  return `${delta > 0 ? '+' : '−'}${formatMoney(Math.abs(delta))}`;
+}
+
+/**
+ * Returns { listings: [{ row, label }], missing: [{ name, error }],
+ *   rows: [{ label, values: [string], differs }] }
+ */
+function runCompare(session, targets, context) {
+  const listings = [];
+  const missing = [];
+  (targets || []).forEach((target) => {
+    const found = resolveCompareTarget(session, target);
+    if (found.error) missing.push(found);
+    else if (!listings.some((l) => l.row === found.row)) listings.push(found);
+  });
+  const shown = listings.slice(0, COMPARE_MAX);
+
+  const rows = [];
+  COMPARE_FIELDS.forEach((f) => {
+    if (!isFieldVisible(context, getColumnNameFromUserField(f) || f)) return;
+    const values = shown.map((l) => String(getValue(l.row, f, context) || '—'));
+    if (values.every((v) => v === '—')) return;
+    rows.push({ label: f, values, differs: new Set(values).size > 1 });
+  });
+
+  COMPARE_METRICS.forEach((metric) => {
+    const nums = shown.map((l) => metric.value(l.row, context));
+    if (nums.every((n) => n == null)) return;
+    const base = nums[0];
+    const values = nums.map((n, i) => {
+      if (n == null) return '—';
+      const est = metric.estimated && metric.estimated(shown[i].row, context) ? ' (est.)' : '';
+      if (i === 0 || base == null) return `${formatMoney(n)}${est}`;
+      if (n === base) return `${formatMoney(n)}${est} (same)`;
+      const pct = base ? `, ${n > base ? '+' : '−'}${Math.abs(((n - base) / base) * 100).toFixed(1)}%` : '';
+      return `${formatMoney(n)}${est} (${signedMoney(n - base)}${pct})`;
+    });
+    rows.push({ label: metric.label, values, differs: new Set(nums).size > 1, metric: true });
+  });
+
+  return { listings: shown, dropped: listings.length - shown.length, missing, rows };
+}
+
+function formatCompare(cmp) {
+  const lines = [];
+  if (cmp.listings.length < 2) {
+    lines.push(
+      cmp.listings.length
+        ? `I can only compare ${cmp.listings[0].label} with another listing — which one?`
+        : 'I need at least two listings to compare, like "compare #3 and #7".'
+    );
+  } else {
+    lines.push(`Comparing ${cmp.listings.length} listings side by side:`);
+    lines.push(`Listings: ${cmp.listings.map((l) => l.label).join(' | ')}`);
+    cmp.rows.forEach((r) => {
+      lines.push(`${r.differs ? '▸' : '•'} ${r.label}: ${r.values.join(' | ')}`);
+    });
+    lines.push(`▸ = values differ. Deltas are against ${cmp.listings[0].label}.`);
+    if (cmp.dropped) lines.push(`(Only the first ${COMPARE_MAX} listings are compared.)`);
+  }
+  if (cmp.missing.length) {
+    lines.push(
+      "I couldn't find: " + cmp.missing.map((m) => `${m.name} (${m.error})`).join('; ') + '.'
+    );
+  }
+  return lines.join('\n');
+}
+
+function buildCompareResults(cmp) {
+  if (cmp.listings.length < 2) return null;
+  return {
+    type: 'compare',
+    columns: [
+      { field: 'field', label: '', type: 'string', hidden: false },
+      ...cmp.listings.map((l, i) => ({ field: `l${i}`, label: l.label, type: 'string', hidden: false })),
+    ],
+    rows: cmp.rows.map((r) => {
+      const values = { field: r.label };
+      r.values.forEach((v, i) => {
+        values[`l${i}`] = v;
+      });
+      return { index: null, listingId: null, values, differs: r.differs };
+    }),
+    total: cmp.listings.length,
+  };
+}
+
+// -------------------- PRICE CHANGES --------------------
+// "price drops over 5% in the last 30 days in 91331", "how much has #6 come
+// down?". The derived fields compare ListPrice with OriginalListPrice
+// (PreviousListPrice when there is no original):
+//   PriceReduction         dollars off; negative when the price went up
+//   PriceReductionPercent  that as a % of the original, one decimal
+//   DaysSincePriceChange   PriceChangeTimestamp to the data load
+// On top of the MLS columns, the change log keeps the prices each data load
+// actually saw (changeLog.priceHistory).
+const PRICE_LIST_FIELDS = ['price', 'OriginalListPrice', 'PriceReduction', 'PriceReductionPercent', 'DaysSincePriceChange'];
+const PRICE_DETAIL_FIELDS = [
+  'ListPrice',
+  'OriginalListPrice',
+  'PreviousListPrice',
+  'PriceReduction',
+  'PriceReductionPercent',
+  'PriceChangeTimestamp',
+  'DaysSincePriceChange',
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function priceOf(row, colName) {
+  const n = typedColumnValue(row, colName);
+  return typeof n === 'number' && n > 0 ? n : null;
+}
+
+function formatDay(value) {
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+// When the asking price last changed, in epoch ms: the MLS timestamp, else
+// the last change a data load saw.
+function lastPriceChangeAt(row) {
+  const stamp = typedColumnValue(row, 'PriceChangeTimestamp');
+  if (stamp != null) return stamp;
+  const seen = row.ListingId ? changeLog.priceHistory(row.ListingId) : [];
+  return seen.length > 1 ? new Date(seen[seen.length - 1].at).getTime() : null;
+}
+
+function priceChangeValue(row, colName, context) {
+  if (!isFieldVisible(context, 'ListPrice')) return null;
+  if (colName === 'DaysSincePriceChange') {
+    const at = lastPriceChangeAt(row);
+    return at == null ? null : Math.max(0, Math.floor((relativeDateAnchor() - at) / DAY_MS));
+  }
+  const current = priceOf(row, 'ListPrice');
+  const original = priceOf(row, 'OriginalListPrice') ?? priceOf(row, 'PreviousListPrice');
+  if (current == null || original == null) return null;
+  const reduction = original - current;
+  if (colName === 'PriceReduction') return reduction;
+  return Math.round((reduction / original) * 1000) / 10;
+}
+
+// Biggest drop first; biggest rise first when the filters ask for increases.
+function defaultPriceSort(filters) {
+  const rises = filterLeaves(filters).some(
+    (f) =>
+      ['PriceReduction', 'PriceReductionPercent'].includes(getColumnNameFromUserField(f.column)) &&
+      ['lt', 'le'].includes(f.op) &&
+      Number(f.value) <= 0
+  );
+  return { orderBy: 'PriceReductionPercent', direction: rises ? 'asc' : 'desc' };
+}
+
+// Drops only, unless the plan already filters on the reduction itself
+// ("price increases" -> PriceReduction < 0).
+function priceChangeFilters(filters) {
+  const explicit = filterLeaves(filters).some((f) =>
+    ['PriceReduction', 'PriceReductionPercent'].includes(getColumnNameFromUserField(f.column))
+  );
+  return explicit ? filters : [...filters, { column: 'PriceReduction', op: 'gt', value: 0 }];
+}
+
+function formatPriceChanges(page, context) {
+  const { view, total } = page;
+  if (!total) return 'No listings have a price change that matches.';
+
+  const lines = page.items.map(({ n, ref, row }) => {
+    if (!row) return missingListLine(n, ref);
+    const reduction = priceChangeValue(row, 'PriceReduction', context);
+    const pct = priceChangeValue(row, 'PriceReductionPercent', context);
+    const current = priceOf(row, 'ListPrice');
+    const changedAt = lastPriceChangeAt(row);
+    const move =
+      reduction == null
+        ? formatMoney(current)
+        : `${formatMoney(current + reduction)} → ${formatMoney(current)} (${signedMoney(-reduction)}, ${pct > 0 ? '−' : '+'}${Math.abs(pct)}%)`;
+    const when = changedAt != null ? ` · last changed ${formatDay(changedAt)}` : '';
+    return `#${n} ${formatAddress(row)} — ${move}${when}`;
+  });
+
+  return (
+    `${total} listing${total === 1 ? '' : 's'} with a price change${sortNote(view.sort)}${pagePosition(page)}:\n` +
+    lines.join('\n') +
+    pageFooter(page)
+  );
+}
+
+function formatPriceHistory(row, displayAddress, context) {
+  if (!isFieldVisible(context, 'ListPrice')) {
+    return `Sorry, I can't share price details for ${displayAddress}.`;
+  }
+  const current = priceOf(row, 'ListPrice');
+  const original = priceOf(row, 'OriginalListPrice');
+  const previous = priceOf(row, 'PreviousListPrice');
+  const listedOn = typedColumnValue(row, 'OnMarketDate');
+  const changedAt = typedColumnValue(row, 'PriceChangeTimestamp');
+  const reduction = priceChangeValue(row, 'PriceReduction', context);
+  const pct = priceChangeValue(row, 'PriceReductionPercent', context);
+  const days = priceChangeValue(row, 'DaysSincePriceChange', context);
+
+  const lines = [`Price history for ${displayAddress}:`];
+  if (original != null) {
+    lines.push(`• Listed at ${formatMoney(original)}${listedOn != null ? ` on ${formatDay(listedOn)}` : ''}.`);
+  }
+  if (previous != null && current != null && previous !== current) {
+    lines.push(
+      `• Last change: ${formatMoney(previous)} → ${formatMoney(current)}` +
+        `${changedAt != null ? ` on ${formatDay(changedAt)}` : ''}.`
+    );
+  }
+  if (reduction == null) {
+    lines.push(`• Now ${formatMoney(current)}; there's no original list price to compare it with.`);
+  } else if (reduction > 0) {
+    lines.push(`• Down ${formatMoney(reduction)} (${pct}%) from the original list price, now ${formatMoney(current)}.`);
+  } else if (reduction < 0) {
+    lines.push(`• Up ${formatMoney(-reduction)} (${-pct}%) from the original list price, now ${formatMoney(current)}.`);
+  } else {
+    lines.push(`• Still at the original list price of ${formatMoney(current)}.`);
+  }
+  if (days != null) lines.push(`• ${days} day${days === 1 ? '' : 's'} since the last price change.`);
+
+  const seen = row.ListingId ? changeLog.priceHistory(row.ListingId) : [];
+  if (seen.length > 1) {
+    lines.push('', 'Prices seen across data loads:');
+    seen.forEach((p, i) => {
+      const prior = i ? Number(seen[i - 1].price) : null;
+      const delta = prior ? ` (${signedMoney(Number(p.price) - prior)})` : '';
+      lines.push(`• ${formatDay(p.at)}: ${formatMoney(p.price)}${delta}`);
+    });
+  } else if (seen.length === 1) {
+    lines.push('', `Every data load so far has seen it at ${formatMoney(seen[0].price)}.`);
+  }
+  return lines.join('\n');
+}
+
+// -------------------- MONTHLY COST --------------------
+// "what would #8 cost me per month?": principal & interest, property tax,
+// insurance and HOA (PITI + HOA). Taxes and HOA come from annualTaxes and
+// monthlyHoa above. The default assumptions are set with MORTGAGE_DOWN_PERCENT,
+// MORTGAGE_RATE, MORTGAGE_TERM_YEARS and HOME_INSURANCE_RATE, and a plan's
+// "financing" can change them for one question ("with 10% down at 6.5%").
+// The same total is the virtual MonthlyCost column, so "what can I afford at
+// $5k/month" is an ordinary list filter.
+
+// Rates may be written as 6.5 or 0.065.
+function asRate(value) {
+  const n = Number(value);
+  if (value == null || value === '' || Number.isNaN(n) || n < 0) return null;
+  return n > 1 ? n / 100 : n;
+}
+
+const DEFAULT_FINANCING = {
+  downPercent: asRate(process.env.MORTGAGE_DOWN_PERCENT) ?? 0.2,
+  downAmount: null,
+  rate: asRate(process.env.MORTGAGE_RATE) ?? 0.0675,
+  termYears: Number(process.env.MORTGAGE_TERM_YEARS) || 30,
+  insuranceRate: asRate(process.env.HOME_INSURANCE_RATE) ?? 0.0035, // of price, per year
+};
+
+// The defaults with a plan's "financing" laid over them.
+function financingTerms(financing) {
+  const terms = { ...DEFAULT_FINANCING };
+  if (!financing || typeof financing !== 'object') return terms;
+  const downAmount = Number(financing.downAmount);
+  if (downAmount > 0) terms.downAmount = downAmount;
+  else if (asRate(financing.downPercent) != null) terms.downPercent = asRate(financing.downPercent);
+  if (asRate(financing.rate) != null) terms.rate = asRate(financing.rate);
+  if (Number(financing.termYears) > 0) terms.termYears = Number(financing.termYears);
+  if (asRate(financing.insuranceRate) != null) terms.insuranceRate = asRate(financing.insuranceRate);
+  return terms;
+}
+
+function monthlyPayment(loan, rate, termYears) {
+  const months = termYears * 12;
+  if (loan <= 0) return 0;
+  if (!rate) return loan / months;
+  const r = rate / 12;
+  return (loan * r) / (1 - Math.pow(1 + r, -months));
+}
+
+/**
+ * PITI + HOA for one listing under context.financing (else the defaults).
+ * Returns { price, down, loan, terms, principalInterest, taxes, taxesEstimated,
+ * insurance, hoa, hoaKnown, total } in whole dollars, or null without a price.
+ */
+function monthlyCost(row, context) {
+  if (!isFieldVisible(context, 'ListPrice')) return null;
+  const price = numericValue(row, 'ListPrice', context);
+  if (!(price > 0)) return null;
+  const terms = (context && context.financing) || DEFAULT_FINANCING;
+
+  const down = Math.min(price, terms.downAmount != null ? terms.downAmount : price * terms.downPercent);
+  const loan = price - down;
+  const principalInterest = Math.round(monthlyPayment(loan, terms.rate, terms.termYears));
+  const taxes = annualTaxes(row, context);
+  const taxesMonthly = taxes ? Math.round(taxes.amount / 12) : 0;
+  const insurance = Math.round((price * terms.insuranceRate) / 12);
+  const hoa = monthlyHoa(row, context);
+
+  return {
+    price,
+    down: Math.round(down),
+    loan: Math.round(loan),
+    terms,
+    principalInterest,
+    taxes: taxesMonthly,
+    taxesEstimated: !taxes || taxes.estimated,
+    insurance,
+    hoa: hoa || 0,
+    hoaKnown: hoa != null,
+    total: principalInterest + taxesMonthly + insurance + (hoa || 0),
+  };
+}
+
+function percentLabel(rate) {
+  return `${Math.round(rate * 10000) / 100}%`;
+}
+
+function formatMonthlyCost(row, displayAddress, context) {
+  const cost = monthlyCost(row, context);
+  if (!cost) return `Sorry, I don't have a list price for ${displayAddress}, so I can't estimate a payment.`;
+  const { terms } = cost;
+  const downLabel =
+    terms.downAmount != null
+      ? `${formatMoney(cost.down)} down`
+      : `${percentLabel(terms.downPercent)} down (${formatMoney(cost.down)})`;
+  return [
+    `Estimated monthly cost for ${displayAddress} at ${formatMoney(cost.price)}:`,
+    `• Principal & interest: ${formatMoney(cost.principalInterest)} (${formatMoney(cost.loan)} loan, ${terms.termYears} years at ${percentLabel(terms.rate)})`,
+    `• Property tax: ${formatMoney(cost.taxes)}${cost.taxesEstimated ? ` (estimated at ${percentLabel(PROPERTY_TAX_RATE)} of price per year)` : ' (TaxAnnualAmount / 12)'}`,
+    `• Insurance: ${formatMoney(cost.insurance)} (${percentLabel(terms.insuranceRate)} of price per year)`,
+    `• HOA: ${formatMoney(cost.hoa)}${cost.hoaKnown ? '' : ' (no HOA fee listed)'}`,
+    `Total: ${formatMoney(cost.total)} per month with ${downLabel}.`,
+    'Estimates only. Ask with different terms, e.g. "with 10% down at 6.25% for 15 years".',
+  ].join('\n');
+}
+
+function buildMonthlyCostResults(row, context, index) {
+  const cost = monthlyCost(row, context);
+  if (!cost) return null;
+  const lines = [
+    ['Principal & interest', cost.principalInterest],
+    ['Property tax', cost.taxes],
+    ['Insurance', cost.insurance],
+    ['HOA', cost.hoa],
+    ['Total', cost.total],
+  ];
+  return {
+    type: 'details',
+    columns: [
+      { field: 'item', label: formatAddress(row), type: 'string', hidden: false },
+      { field: 'monthly', label: 'Per month', type: 'currency', hidden: false },
+    ],
+    rows: lines.map(([item, monthly]) => ({
+      index: index || null,
+      listingId: row.ListingId || null,
+      values: { item, monthly },
+    })),
+    total: 1,
+  };
+}
+
+// -------------------- FULL-TEXT SEARCH --------------------
+// "remodeled kitchen with ADU potential and a view": BM25 ranking over the
+// remarks and feature columns (lib/textSearch.js), optionally narrowed by
+// ordinary filters first. Columns the audience can't see are not searched.
+const SEARCH_FIELDS = ['Address', 'price', 'beds', 'baths', 'sqft'];
+
+function searchableColumns(context) {
+  return mlsText ? mlsText.columns.filter((c) => isFieldVisible(context, c)) : [];
+}
+
+/**
+ * Ranks `rows` against free text.
+ * Returns { terms, hits: [{ row, score, matched, snippet }] } or { error }.
+ */
+function textSearchRows(query, rows, context) {
+  if (!mlsText) return { error: 'The search index is not ready yet.' };
+  const columns = searchableColumns(context);
+  const candidates = new Set(rows.map((row) => mlsEngine.positionOf(row)));
+  const { terms, hits } = mlsText.search(query || '', { candidates, columns });
+  if (!terms.length) {
+    return { error: 'What should I search for? Give me a few words, like "remodeled kitchen" or "ADU".' };
+  }
+  return {
+    terms,
+    hits: hits.map((h) => {
+      const row = mlsRows[h.pos];
+      return {
+        row,
+        score: h.score,
+        matched: h.matched,
+        snippet: mlsText.snippet(row, terms, { columns }),
+      };
+    }),
+  };
+}
+
+// Relevance order, unless the user asked for a sort ("cheapest with an ADU").
+function orderSearchHits(hits, sort, context) {
+  if (!sort || !sort.orderBy) return hits;
+  const byRow = new Map(hits.map((h) => [h.row, h]));
+  return sortRows(hits.map((h) => h.row), sort.orderBy, sort.direction, context).map((row) =>
+    byRow.get(row)
+  );
+}
+
+function formatSearch(page, context) {
+  const { view, total } = page;
+  if (!total) {
+    return `No listings mention anything like "${view.query}".`;
+  }
+
+  const columns = searchableColumns(context);
+  const lines = page.items.map(({ n, ref, row }) => {
+    if (!row) return missingListLine(n, ref);
+    const parts = [];
+    for (const f of view.fields) {
+      if (String(f).toLowerCase() === 'address') continue;
+      const val = getValue(row, f, context);
+      if (val !== '' && val != null) parts.push(`${f}: ${val}`);
+    }
+    const extra = parts.length ? ' — ' + parts.join(' | ') : '';
+    const snippet = mlsText ? mlsText.snippet(row, view.terms, { columns }) : null;
+    const snip = snippet ? `\n    ${snippet.field}: ${markSnippet(snippet)}` : '';
+    return `#${n} ${formatAddress(row)}${extra}${snip}`;
+  });
+
+  const order = view.sort && view.sort.orderBy ? ` sorted by ${view.sort.orderBy}` : ' by relevance';
+  return (
+    `${total} listing${total === 1 ? '' : 's'} matching "${view.query}"${order}${pagePosition(page)}:\n` +
+    lines.join('\n') +
+    pageFooter(page)
+  );
+}
+
+// -------------------- PAGING --------------------
+// A list answer (plain list, full-text search, price changes) keeps its whole
+// match set in session.lastList, in order, and session.listView records how
+// it is being shown: { kind, fields, sort, pageSize, offset, context, and for
+// searches query, terms and scores }. "more", "page 3" and "show 21-40" move
+// the view; numbering always counts from the top of the list, so "#45" means
+// the same listing whichever page it was on.
+const LIST_PAGE_SIZE = Number(process.env.LIST_PAGE_SIZE) || 20;
+const LIST_PAGE_MAX = 100;
+
+const PAGE_FORMATTERS = {
+  list: formatList,
+  search: formatSearch,
+  price_change: formatPriceChanges,
+};
+
+function sortNote(sort) {
+  if (!sort || !sort.orderBy) return '';
+  const desc = String(sort.direction || 'asc').toLowerCase() === 'desc';
+  return ` sorted by ${sort.orderBy} (${desc ? 'high to low' : 'low to high'})`;
+}
+
+function missingListLine(n, ref) {
+  return `#${n} ${ref.displayAddress} — no longer in the MLS data`;
+}
+
+function pageCount(total, pageSize) {
+  return Math.max(1, Math.ceil(total / pageSize));
+}
+
+// " — #21–40, page 2 of 3" when the list doesn't fit on one page
+function pagePosition(page) {
+  const { view, total, items } = page;
+  if (!view.offset && total <= view.pageSize) return '';
+  const current = Math.floor(view.offset / view.pageSize) + 1;
+  const last = view.offset + items.length;
+  return ` — #${view.offset + 1}–${last}, page ${current} of ${pageCount(total, view.pageSize)}`;
+}
+
+function pageFooter(page) {
+  const { view, total, items } = page;
+  const left = total - (view.offset + items.length);
+  if (left > 0) return `\n${left} more — say "more" for the next ${Math.min(view.pageSize, left)}.`;
+  return view.offset ? '\nThat\'s the end of the list.' : '';
+}
+
+/**
+ * Makes `rows` the session's list without showing it (CMA comps, new
+ * listings in a change report). `context` supplies the origin and financing
+ * later pages are drawn with.
+ */
+function rememberList(session, rows, view, context = {}) {
+  session.lastList = rows.map((row) => listingRef(row));
+  session.listView = {
+    kind: 'list',
+    sort: null,
+    ...view,
+    fields: view.fields || [],
+    pageSize: Math.min(view.pageSize || LIST_PAGE_SIZE, LIST_PAGE_MAX),
+    offset: 0,
+    context: { origin: context.origin || null, financing: context.financing || null },
+  };
+  session.lastListFields = session.listView.fields;
+  return session.listView;
+}
+
+// The slice of session.lastList the view is on: { view, total, items: [{ n, ref, row }] }
+function currentPage(session) {
+  const view = session.listView;
+  const refs = session.lastList || [];
+  const items = refs.slice(view.offset, view.offset + view.pageSize).map((ref, i) => ({
+    n: view.offset + i + 1,
+    ref,
+    row: rowFromRef(ref),
+  }));
+  return { view, total: refs.length, items };
+}
+
+// The structured results for one page; index is the #n used in chat.
+function buildPageResults(page, context) {
+  const { view } = page;
+  const columns = tableColumns(view.fields, TABLE_EXTRA_FIELDS, context);
+  const search = view.kind === 'search';
+  const snippetColumns = search ? searchableColumns(context) : null;
+  const rows = page.items
+    .filter((item) => item.row)
+    .map(({ n, row }) => {
+      const out = tableRow(row, columns, context, n);
+      if (search) {
+        out.values.Match = mlsText ? mlsText.snippet(row, view.terms, { columns: snippetColumns }) : null;
+        out.values.Relevance = view.scores ? view.scores[n - 1] ?? null : null;
+      }
+      return out;
+    });
+  return {
+    type: 'listings',
+    columns: search
+      ? [
+          ...columns,
+          { field: 'Match', label: 'Match', type: 'snippet', hidden: false },
+          { field: 'Relevance', label: 'Relevance', type: 'number', hidden: true },
+        ]
+      : columns,
+    rows,
+    total: page.total,
+    offset: view.offset,
+  };
+}
+
+// Draws the session's current page. Returns { reply, results, rows }.
+function showPage(session, context) {
+  const page = currentPage(session);
+  const format = PAGE_FORMATTERS[page.view.kind] || formatList;
+  return {
+    reply: format(page, context),
+    results: buildPageResults(page, context),
+    rows: page.items.map((item) => item.row).filter(Boolean),
+  };
+}
+
+// Makes `rows` the session's list and draws its first page.
+function showList(session, rows, view, context) {
+  rememberList(session, rows, view, context);
+  return showPage(session, context);
+}
+
+/**
+ * Moves the session's list view. move: { move: "next" | "previous" | "page" |
+ * "range", number, from, to, size }. Returns what showPage does, or { error }.
+ */
+function turnPage(session, move, context) {
+  const view = session.listView;
+  const total = (session.lastList || []).length;
+  if (!view || !total) {
+    return { error: 'I do not have a recent list to page through. Ask for some listings first.' };
+  }
+
+  let size = Math.min(Number(move.size) || view.pageSize, LIST_PAGE_MAX);
+  let offset;
+  if (move.move === 'previous') {
+    if (!view.offset) return { error: `That's already the start of the list (${total} listing${total === 1 ? '' : 's'}).` };
+    offset = Math.max(0, view.offset - size);
+  } else if (move.move === 'page') {
+    offset = (Number(move.number) - 1) * size;
+  } else if (move.move === 'range') {
+    offset = Number(move.from) - 1;
+    size = Math.min(Number(move.to) - offset, LIST_PAGE_MAX);
+  } else {
+    offset = view.offset + view.pageSize;
+    if (offset >= total) return { error: `That's all ${total} listing${total === 1 ? '' : 's'} in the last list.` };
+  }
+  if (offset >= total) {
+    const pages = pageCount(total, size);
+    const layout = move.move === 'page' ? ` (${pages} page${pages === 1 ? '' : 's'} of ${size})` : '';
+    return { error: `The last list only has ${total} listing${total === 1 ? '' : 's'}${layout}.` };
+  }
+
+  session.listView = { ...view, offset, pageSize: size };
+  const { origin, financing } = view.context || {};
+  return showPage(session, { ...context, origin: origin || null, financing: financing || context.financing });
+}
+
+// -------------------- EXPORTS --------------------
+// "export this" turns the session's last list (or last listing) into a CSV,
+// an XLSX workbook or a printable flyer. Chat hands out short-lived links
+// that remember the list, audience, origin and financing at the time they
+// were made, so the download matches what was on screen (Distance and
+// MonthlyCost included) even after the conversation moves on.
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'flyer'];
+const EXPORT_LINK_TTL_MS = 30 * 60 * 1000;
+const exportLinks = new Map(); // token -> { format, refs, fields, audience, origin, financing, expiresAt }
+
+// flyer facts, after the address heading and the price
+const FLYER_FACTS = [
+  ['BedroomsTotal', 'Bedrooms'],
+  ['BathroomsTotalInteger', 'Bathrooms'],
+  ['LivingArea', 'Living area'],
+  ['YearBuilt', 'Year built'],
+  ['PropertyType', 'Property type'],
+  ['DaysOnMarket', 'Days on market'],
+  ['HighSchoolDistrict', 'High school district'],
+];
+
+function exportRefs(session, target) {
+  if (target === 'listing') return session.lastListing ? [session.lastListing] : [];
+  return session.lastList || [];
+}
+
+// The origin and financing the last list was shown with (see rememberList);
+// loan terms asked for with the export itself win.
+function exportContext(session, financing = null) {
+  const view = (session.listView && session.listView.context) || {};
+  return { origin: view.origin || null, financing: financing || view.financing || null };
+}
+
+function exportFilename(format, rows) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === 'flyer') {
+    const name =
+      rows.length === 1
+        ? formatAddress(rows[0]).split(',')[0].toLowerCase().replace(/[^a-z0-9]+/g, '-')
+        : `${rows.length}-listings`;
+    return `flyer-${name}-${stamp}.html`;
+  }
+  return `listings-${stamp}.${format}`;
+}
+
+function flyerListing(row, context) {
+  return {
+    address: formatAddress(row),
+    price: getValue(row, 'ListPrice', context),
+    facts: FLYER_FACTS.map(([colName, label]) => ({
+      label,
+      value: getValue(row, colName, context),
+    })),
+    remarks: getValue(row, 'PublicRemarks', context),
+  };
+}
+
+/**
+ * Builds the file for a format from listing refs. Spreadsheets carry the
+ * list's fields (Address first, ListingId last); the flyer uses the
+ * details summary. origin and financing anchor Distance and MonthlyCost the
+ * way the results table did. Returns { filename, contentType, body } or
+ * { error }.
+ */
+function buildExport({ format, refs, fields, audience, origin = null, financing = null }) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `Unknown export format "${format}". Use ${EXPORT_FORMATS.join(', ')}.` };
+  }
+  const rows = refs.map(rowFromRef).filter(Boolean);
+  if (!rows.length) {
+    return { error: 'There is nothing to export yet. Run a search or open a listing first.' };
+  }
+
+  const context = { audience, origin, financing };
+  const filename = exportFilename(format, rows);
+
+  if (format === 'flyer') {
+    return {
+      filename,
+      contentType: 'text/html; charset=utf-8',
+      body: renderFlyer(rows.map((row) => flyerListing(row, context)), {
+        title: rows.length === 1 ? formatAddress(rows[0]) : 'Property Flyers',
+      }),
+    };
+  }
+
+  const wanted = (fields || []).length ? fields : DETAILS_SUMMARY_FIELDS.slice(1, 6);
+  const columns = tableColumns(wanted, ['ListingId'], context);
+  const values = rows.map((row) => columns.map((c) => tableValue(row, c.field, context)));
+  const header = columns.map((c) => ({ label: c.label, type: c.type }));
+
+  if (format === 'xlsx') {
+    return {
+      filename,
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      body: toXlsx(header, values),
+    };
+  }
+  return { filename, contentType: 'text/csv; charset=utf-8', body: toCsv(header, values) };
+}
+
+function createExportLink(spec) {
+  const now = Date.now();
+  exportLinks.forEach((link, token) => {
+    if (link.expiresAt <= now) exportLinks.delete(token);
+  });
+  const token = crypto.randomBytes(12).toString('hex');
+  exportLinks.set(token, { ...spec, expiresAt: now + EXPORT_LINK_TTL_MS });
+  return `/api/export/${token}`;
+}
+
+function sendExport(res, file) {
+  if (file.error) return res.status(400).json({ error: file.error });
+  const disposition = file.contentType.startsWith('text/html') ? 'inline' : 'attachment';
+  res.set('Content-Type', file.contentType);
+  res.set('Content-Disposition', `${disposition}; filename="${file.filename}"`);
+  return res.send(file.body);
+}
+
+// -------------------- PLANNER PROMPT --------------------
+const plannerSystemPrompt = `
+You are the "planner" for Realtor GPT.
+
+You ONLY return a single JSON object. The Node server will query the MLS CSV.
+
+### CSV NOTES
+
+The CSV header includes many MLS-style columns, for example:
+- StreetNumber, StreetNumberNumeric, StreetDirPrefix, StreetName, StreetSuffix, City, StateOrProvince, PostalCode
+- BedroomsTotal, BathroomsTotalInteger, LivingArea, ListPrice, CurrentPrice
+- DaysOnMarket, CumulativeDaysOnMarket, OnMarketDate, OffMarketDate
+- YearBuilt, HighSchoolDistrict, PropertyType, PoolFeatures, GarageSpaces, ParkingTotal, LotSizeArea, LotSizeSquareFeet, etc.
+- PublicRemarks, PrivateRemarks, ListingTerms, HighSchoolDistrict
+
+If the user mentions any REAL column name (e.g. "HighSchoolDistrict", "YearBuilt"), you must use it directly.
+
+Date columns (OnMarketDate, ListingContractDate, PriceChangeTimestamp, ...) compare as dates:
+use "YYYY-MM-DD" values with gt/ge/lt/le, or eq for a single day. For "in the last N days"
+use within_last / older_than (see FILTER GROUPS AND RANGES).
+
+### FRIENDLY NAME → COLUMN
+
+Map these friendly names:
+
+${fieldDictionary.promptLines({ virtual: VIRTUAL_FIELDS })}
+
+### OUTPUT JSON
+
+Return ONLY a JSON object with this structure:
+
+{
+  "intent": "list" | "details" | "aggregate" | "changes" | "cma" | "export" | "saved_search" | "search" | "compare" | "price_change" | "monthly_cost" | "fields" | "page" | "small_talk" | "unknown",
+
+  "filters": [
+    {
+      "column": string,                  // column name or friendly name
+      "op": "eq" | "neq" | "gt" | "lt" | "ge" | "le" | "contains" | "not_contains" | "exists" | "not_exists"
+          | "in" | "not_in" | "between" | "within_last" | "older_than",
+      "value": string | number | array | null
+    }
+    // or a group { "and": [...] } | { "or": [...] } | { "not": filter },
+    // see FILTER GROUPS AND RANGES; or a geo filter, see GEO SEARCH
+  ],
+
+  "fields": string[] | null,            // which fields/columns they want in the output
+
+  "targetType": "index" | "address" | "last" | "list" | null,
+  "index": number | null,               // for "#34", "listing 34", etc.
+
+  "limit": number | null,               // for lists: "top 10", "first 5" (the page size)
+  "countOnly": boolean | null,          // if they only want the number of matches
+
+  "orderBy": string | null,             // column or friendly name to sort by
+  "direction": "asc" | "desc" | null,   // asc = low to high (default)
+
+  "aggregate": {                        // only for intent "aggregate"
+    "op": "count" | "min" | "max" | "avg" | "median" | "sum",
+    "column": string | null,            // null only for "count"
+    "groupBy": string | null            // e.g. "City", "PostalCode"
+  } | null,
+
+  "origin": Center | null,              // where "Distance" is measured from when
+                                        // there is no radius filter
+
+  "since": string | null,               // for "changes": "this morning", "today",
+                                        // "yesterday", "3 days", an ISO date, or
+                                        // null for "since the last data load"
+  "changeTypes": ("new" | "removed" | "status" | "price")[] | null,
+
+  "format": "csv" | "xlsx" | "flyer" | null,  // for "export"
+
+  "query": string | null,               // for "search": the descriptive words
+
+  "targets": Target[] | null,           // for "compare": the listings, in the order named
+
+  "financing": {                        // only when they give loan terms
+    "downPercent": number | null,       // "10% down" -> 10
+    "downAmount": number | null,        // "$150k down" -> 150000
+    "rate": number | null,              // "at 6.5%" -> 6.5
+    "termYears": number | null,         // "15-year" -> 15
+    "insuranceRate": number | null      // yearly insurance as a % of price
+  } | null,
+
+  "savedSearch": {                      // only for intent "saved_search"
+    "action": "save" | "list" | "run" | "rename" | "delete",
+    "name": string | null,
+    "newName": string | null            // for "rename"
+  } | null,
+
+  "page": {                             // only for intent "page"
+    "move": "next" | "previous" | "page" | "range",
+    "number": number | null,            // for "page": "page 3" -> 3
+    "from": number | null,              // for "range": "show 21-40" -> 21, 40
+    "to": number | null,
+    "size": number | null               // "next 10" -> 10
+  } | null
+}
+
+### FILTER GROUPS AND RANGES
+
+The top-level filters array is AND. For anything else, nest groups:
+  { "or": [filter, ...] }     at least one must match
+  { "and": [filter, ...] }    all must match (useful inside an "or")
+  { "not": filter }           must NOT match (a single filter or group)
+
+Multi-value and range ops:
+  { "column": "PostalCode", "op": "in", "value": ["91331", "91340"] }
+  { "column": "City", "op": "not_in", "value": ["Pacoima", "Arleta"] }
+  { "column": "ListPrice", "op": "between", "value": [600000, 750000] }   // inclusive
+  { "column": "OnMarketDate", "op": "within_last", "value": "7 days" }
+  { "column": "OnMarketDate", "op": "older_than", "value": "3 months" }
+Relative spans are "N hours|days|weeks|months|years", counted back from when the
+MLS data was loaded, not from today.
+
+   - "3 beds in Burbank or Glendale"
+       -> filters: [
+            { "or": [
+              { "column": "City", "op": "contains", "value": "Burbank" },
+              { "column": "City", "op": "contains", "value": "Glendale" }
+            ] },
+            { "column": "BedroomsTotal", "op": "eq", "value": 3 }
+          ]
+
+   - "zip in 91331, 91340, 91342"
+       -> filters: [ { "column": "PostalCode", "op": "in", "value": ["91331", "91340", "91342"] } ]
+
+   - "price between 600k and 750k, not in Pacoima"
+       -> filters: [
+            { "column": "ListPrice", "op": "between", "value": [600000, 750000] },
+            { "not": { "column": "City", "op": "contains", "value": "Pacoima" } }
+          ]
+
+   - "listed in the last 7 days"
+       -> filters: [ { "column": "OnMarketDate", "op": "within_last", "value": "7 days" } ]
+
+   - "under contract in the last 2 weeks, or a pool and under 700k"
+       -> filters: [
+            { "or": [
+              { "column": "ListingContractDate", "op": "within_last", "value": "2 weeks" },
+              { "and": [
+                { "column": "PoolFeatures", "op": "exists", "value": null },
+                { "column": "ListPrice", "op": "le", "value": 700000 }
+              ] }
+            ] }
+          ]
+
+### GEO SEARCH
+
+A Center is one of:
+  { "index": 5 }                        // listing #5 from the last list
+  { "address": "13121 Chase St, Arleta" }
+  { "last": true }                      // the listing just discussed
+  { "lat": 34.18, "lng": -118.57, "label": "Pierce College" }
+
+Geo filters go in the same filters array:
+  { "op": "within_radius", "center": Center, "radius": 1, "unit": "mi" | "km" | "ft" }
+  { "op": "within_bbox", "bbox": { "north": 34.3, "south": 34.2, "east": -118.3, "west": -118.5 } }
+
+"Distance" (miles from the radius center or origin) can be used in fields and orderBy.
+For a named place (school, college, park, landmark) use its coordinates if you know them.
+
+   - "homes within 1 mile of 13121 Chase St"
+       -> intent: "list"
+          filters: [
+            { "op": "within_radius", "center": { "address": "13121 Chase St" }, "radius": 1, "unit": "mi" }
+          ]
+          orderBy: "Distance"
+          direction: "asc"
+          fields: ["Address", "price", "Distance"]
+
+   - "3 beds near Pierce College"
+       -> intent: "list"
+          filters: [
+            { "op": "within_radius", "center": { "lat": 34.1833, "lng": -118.5755, "label": "Pierce College" }, "radius": 2, "unit": "mi" },
+            { "column": "BedroomsTotal", "op": "eq", "value": 3 }
+          ]
+          orderBy: "Distance"
+          fields: ["Address", "price", "beds", "Distance"]
+
+
+### RULES
+
 1. LIST queries:
    - The user is clearly asking for multiple properties.
    - Example phrases: "show me all ...", "list addresses ...", "give me a list ...", "how many listings ...".
    - Set intent = "list".
    - Use filters to describe conditions.
 
-   Examples:
+   Examples:
+
+   - "show me addresses in San Fernando under 900k with 3 or more beds"
+       -> intent: "list"
+          filters: [
+            { "column": "City", "op": "contains", "value": "San Fernando" },
+            { "column": "ListPrice", "op": "le", "value": 900000 },
+            { "column": "BedroomsTotal", "op": "ge", "value": 3 }
+          ]
+          fields: ["Address", "price", "beds", "baths"]
+
+   - "give me list of addresses in zip code 91340"
+       -> intent: "list"
+          filters: [
+            { "column": "PostalCode", "op": "eq", "value": "91340" }
+          ]
+          fields: ["Address"]
+
+   - "show me all listings with a pool in Burbank"
+       -> filters: [
+            { "column": "City", "op": "contains", "value": "Burbank" },
+            { "column": "PoolFeatures", "op": "exists", "value": null }
+          ]
+          fields: ["Address", "PoolFeatures"]
+
+   - "how many listings are in zip 91340?"
+       -> intent: "list"
+          countOnly: true
+          filters: [
+            { "column": "PostalCode", "op": "eq", "value": "91340" }
+          ]
+
+   - Sorting: "cheapest", "lowest price" -> orderBy "ListPrice", direction "asc";
+     "most expensive" -> "ListPrice" "desc"; "newest" -> "DaysOnMarket" "asc";
+     "biggest", "largest" -> "LivingArea" "desc"; "sorted by X" -> orderBy X.
+
+   - "cheapest 10 in Burbank"
+       -> intent: "list"
+          filters: [
+            { "column": "City", "op": "contains", "value": "Burbank" }
+          ]
+          orderBy: "ListPrice"
+          direction: "asc"
+          limit: 10
+          fields: ["Address", "price"]
+
+2. DETAILS queries:
+   - The user asks about a single property.
+   - If they refer to "#12", "listing 12", just "12" etc -> targetType = "index", index = 12.
+   - If they write a full street address (number + street name, plus maybe unit/city/state/zip) -> targetType = "address".
+     Spelling doesn't matter ("Street"/"St", "North"/"N", "apt 4"/"#4"); the server matches it.
+   - A ListingId ("MLS# SR25166378") or a ParcelNumber ("APN 2401-043-071") is also targetType = "address".
+   - If they say "it", "that one", "this property" referring to the previously discussed listing -> targetType = "last".
+
+   Set intent = "details".
+
+   Set fields to what they want:
+
+   - "What is the high school district for 13121 Chase, Arleta, CA 91331?"
+       -> intent: "details"
+          targetType: "address"
+          fields: ["HighSchoolDistrict"]
+
+   - "How many days on market for 13121 Chase, Arleta, CA 91331?"
+       -> intent: "details"
+          targetType: "address"
+          fields: ["DaysOnMarket"]
+
+   - "What year was #34 built?"
+       -> intent: "details"
+          targetType: "index"
+          index: 34
+          fields: ["YearBuilt"]
+
+   - "Give me the full profile for #11"
+       -> intent: "details"
+          targetType: "index"
+          index: 11
+          fields: null   // null or [] means "default summary with lots of key fields"
+
+3. AGGREGATE queries:
+   - The user wants a statistic over the matching listings rather than the
+     listings themselves: average, median, min, max, total, or counts per group.
+   - Set intent = "aggregate", put conditions in filters as usual.
+   - A plain "how many listings ..." with no grouping stays a "list" with countOnly.
+
+   Examples:
+
+   - "average price per sqft in 91331"
+       -> intent: "aggregate"
+          filters: [
+            { "column": "PostalCode", "op": "eq", "value": "91331" }
+          ]
+          aggregate: { "op": "avg", "column": "PricePerSquareFoot", "groupBy": null }
+
+   - "median DOM by city"
+       -> intent: "aggregate"
+          filters: []
+          aggregate: { "op": "median", "column": "DaysOnMarket", "groupBy": "City" }
+
+   - "how many listings per zip code"
+       -> intent: "aggregate"
+          aggregate: { "op": "count", "column": null, "groupBy": "PostalCode" }
+
+4. CHANGES queries:
+   - The user asks what changed in the MLS data over time: new listings,
+     removed listings, status changes or price changes between data loads.
+   - Set intent = "changes", since = the time phrase they used, and
+     changeTypes to the kinds they asked about (null = all).
+
+   Examples:
+
+   - "what's new since this morning?"
+       -> intent: "changes", since: "this morning", changeTypes: null
+
+   - "any price changes today?"
+       -> intent: "changes", since: "today", changeTypes: ["price"]
+
+   - "which listings went pending since yesterday?"
+       -> intent: "changes", since: "yesterday", changeTypes: ["status"]
+
+   - Price drops and reductions recorded on the listings themselves
+     ("price drops over 5%", "how much has #6 come down?") are PRICE CHANGE
+     queries, not "changes".
+
+5. CMA queries:
+   - The user wants comparables / comps / a market analysis / a suggested
+     price for one listing: "what are the comps for #4?", "run a CMA on
+     13121 Chase St", "what is it worth?".
+   - Set intent = "cma" and targetType / index exactly as for DETAILS
+     (default "last"). limit = how many comps if they say ("5 comps").
+   - The server picks the comps and computes the price range; no filters needed.
+
+   Examples:
+
+   - "what are the comps for #4?"
+       -> intent: "cma", targetType: "index", index: 4
+
+   - "give me 8 comps for 13121 Chase St"
+       -> intent: "cma", targetType: "address", limit: 8
+
+6. EXPORT queries:
+   - The user wants the results as a file: "export this", "download as CSV",
+     "send me a spreadsheet", "make a flyer", "printable version".
+   - Set intent = "export" and format = "csv" (default), "xlsx" (Excel,
+     spreadsheet) or "flyer" (flyer, brochure, print, PDF).
+   - targetType = "list" for the last list, "last" for the listing just
+     discussed, "index" with index for "#4". Leave null if unclear.
+   - fields = the columns they ask for, or null to keep the ones shown.
+
+   Examples:
+
+   - "export this to excel"
+       -> intent: "export", format: "xlsx", targetType: null, fields: null
+
+   - "make a flyer for #4"
+       -> intent: "export", format: "flyer", targetType: "index", index: 4
+
+   - "download the list as csv with price and sqft"
+       -> intent: "export", format: "csv", targetType: "list", fields: ["Address", "price", "sqft"]
+
+7. SAVED SEARCH queries:
+   - "save this search (as NAME)" stores the previous list query -> action "save".
+   - "list my saved searches" -> "list"; "run saved search NAME" -> "run";
+     "rename saved search NAME to NEW" -> "rename"; "delete saved search NAME" -> "delete".
+   - Set intent = "saved_search"; no filters needed, the server keeps the criteria.
+
+   Examples:
+
+   - "save this search as Garcia family"
+       -> intent: "saved_search", savedSearch: { "action": "save", "name": "Garcia family", "newName": null }
+
+   - "rename saved search Garcia family to Garcias"
+       -> intent: "saved_search", savedSearch: { "action": "rename", "name": "Garcia family", "newName": "Garcias" }
+
+8. SEARCH queries:
+   - The user describes features in words that aren't a single column:
+     "remodeled kitchen with ADU potential and a view", "homes that mention
+     a guest house", "updated bathrooms and hardwood floors".
+   - Set intent = "search" and query = the descriptive words. The server ranks
+     listings by relevance over the remarks and feature columns (it knows
+     synonyms like ADU / guest house), so don't turn those words into filters.
+   - Anything that IS a plain column condition (city, zip, price, beds,
+     baths) still goes in filters; orderBy only if they ask for a sort.
+
+   Examples:
+
+   - "remodeled kitchen with ADU potential and a view"
+       -> intent: "search", query: "remodeled kitchen ADU potential view", filters: []
+
+   - "find 3 bed homes in Sylmar under 800k with a guest house"
+       -> intent: "search", query: "guest house"
+          filters: [
+            { "column": "City", "op": "contains", "value": "Sylmar" },
+            { "column": "BedroomsTotal", "op": "eq", "value": 3 },
+            { "column": "ListPrice", "op": "le", "value": 800000 }
+          ]
+
+9. COMPARE queries:
+   - "compare #3, #7 and 13121 Chase St", "#2 vs #5", "how does it stack up against #4?"
+   - Set intent = "compare" and targets = one Target per listing, in the order named:
+       { "index": 3 }                     // "#3" from the last list
+       { "address": "13121 Chase St" }    // as the user wrote it
+       { "last": true }                   // "it", "this one", the listing just discussed
+   - The server picks the fields and computes price per sqft, HOA and tax deltas.
+
+   Example:
+
+   - "compare #3, #7 and 13121 Chase St"
+       -> intent: "compare"
+          targets: [ { "index": 3 }, { "index": 7 }, { "address": "13121 Chase St" } ]
+
+10. PRICE CHANGE queries:
+   - Price drops, cuts, reductions or increases on the listings, or the price
+     history of one listing.
+   - For a list: intent = "price_change", targetType = null, filters as usual.
+     The server shows price drops only, biggest % first, unless you filter on
+     PriceReduction / PriceReductionPercent yourself (price increases ->
+     PriceReduction lt 0). "in the last N days" -> PriceChangeTimestamp within_last.
+   - For one listing: intent = "price_change" with targetType / index like DETAILS.
+
+   Examples:
+
+   - "show price drops over 5% in the last 30 days in 91331"
+       -> intent: "price_change"
+          filters: [
+            { "column": "PriceReductionPercent", "op": "gt", "value": 5 },
+            { "column": "PriceChangeTimestamp", "op": "within_last", "value": "30 days" },
+            { "column": "PostalCode", "op": "eq", "value": "91331" }
+          ]
+
+   - "how much has #6 come down?"
+       -> intent: "price_change", targetType: "index", index: 6
+
+11. MONTHLY COST queries:
+   - "what would #8 cost me per month?", "monthly payment on this one",
+     "PITI for 13121 Chase St with 10% down"
+       -> intent = "monthly_cost" with targetType / index like DETAILS.
+   - "what can I afford at $5k/month", "homes under $4,000 a month":
+       -> intent = "list" with a filter on "MonthlyCost" (le); keep the other filters.
+   - Put any loan terms they give in "financing"; leave it null otherwise
+     and the server uses its defaults.
+
+   Examples:
+
+   - "what would #8 cost me per month with 10% down at 6.5%?"
+       -> intent: "monthly_cost", targetType: "index", index: 8
+          financing: { "downPercent": 10, "rate": 6.5 }
+
+   - "what can I afford at $5k/month in Burbank"
+       -> intent: "list"
+          filters: [
+            { "column": "MonthlyCost", "op": "le", "value": 5000 },
+            { "column": "City", "op": "contains", "value": "Burbank" }
+          ]
+          fields: ["Address", "ListPrice", "MonthlyCost"]
+
+12. FIELDS questions:
+   - "what fields can I ask about?", "what can I search on?", "which columns are there?"
+       -> intent = "fields". The server lists them.
+
+13. PAGING through the last list:
+   - Lists come back one page at a time and the server remembers the whole list.
+     Moving through it is intent = "page" with no filters:
+   - "more", "next", "next page", "keep going" -> page: { "move": "next" }
+   - "next 10", "10 more" -> page: { "move": "next", "size": 10 }
+   - "back", "previous page" -> page: { "move": "previous" }
+   - "page 3" -> page: { "move": "page", "number": 3 }
+   - "show 21-40", "21 to 40" -> page: { "move": "range", "from": 21, "to": 40 }
+   - Numbers count from the top of the list on every page, so "#45" after paging
+     is still DETAILS with index 45.
+
+14. If the user message is *only* a number like "11" or "#11":
+   - They want details for that listing.
+   - intent = "details", targetType = "index", index = 11, fields = null.
+
+15. "Address" is a virtual field; you may include "Address" in fields and the server will format it.
+
+16. Greetings / chit-chat -> intent = "small_talk".
+
+17. If you're unsure what they want -> intent = "unknown".
+
+Return ONLY the JSON. No extra text.
+`;
+
+// -------------------- PLANNER PROVIDER --------------------
+// PLANNER=openai|rules|auto. PLANNER_BASE_URL / PLANNER_MODEL point it at any
+// OpenAI-compatible server (e.g. http://localhost:11434/v1 for Ollama).
+const planner = createPlanner({
+  type: process.env.PLANNER || 'auto',
+  baseUrl: process.env.PLANNER_BASE_URL,
+  apiKey: process.env.PLANNER_API_KEY || process.env.OPENAI_API_KEY,
+  model: process.env.PLANNER_MODEL || 'gpt-4o-mini',
+  jsonMode: process.env.PLANNER_JSON_MODE !== 'false',
+  fallback: process.env.PLANNER_FALLBACK !== 'false',
+  systemPrompt: plannerSystemPrompt,
+  getCities: () => [...new Set(mlsRows.map((r) => r.City).filter(Boolean))],
+  getColumns: () => mlsColumns,
+});
+
+console.log(`🧭 Planner: ${planner.name}`);
+
+// -------------------- CHANGE REPORTS --------------------
+const CHANGE_TYPES = ['new', 'removed', 'status', 'price'];
+
+function formatMoney(value) {
+  const num = Number(value);
+  if (value === '' || value == null || Number.isNaN(num)) return value || 'N/A';
+  return '$' + num.toLocaleString();
+}
+
+function changesSince(since) {
+  const sinceDate = parseSince(since);
+  const reports = sinceDate
+    ? changeLog.since(sinceDate)
+    : [changeLog.latest()].filter(Boolean);
+  return {
+    sinceDate,
+    loads: reports.length,
+    merged: mergeReports(reports.filter((r) => !r.baseline)),
+    baselineOnly: reports.every((r) => r.baseline),
+  };
+}
+
+function formatChangeReport({ sinceDate, loads, merged, baselineOnly }, since, types) {
+  const want = (t) => !types || !types.length || types.includes(t);
+  const label = sinceDate ? `Since ${since}` : 'Since the previous data load';
+
+  if (!loads || baselineOnly) {
+    return `${label} there have been no data reloads to compare, so I have no changes to report.`;
+  }
+
+  const MAX_LINES = 25;
+  const section = (title, items, line) => {
+    if (!items.length) return [];
+    const shown = items.slice(0, MAX_LINES).map(line);
+    if (items.length > MAX_LINES) shown.push(`…and ${items.length - MAX_LINES} more`);
+    return ['', `${title} (${items.length}):`, ...shown];
+  };
+
+  const counts = [];
+  if (want('new')) counts.push(`${merged.newListings.length} new`);
+  if (want('removed')) counts.push(`${merged.removedListings.length} removed`);
+  if (want('status')) counts.push(`${merged.statusChanges.length} status changes`);
+  if (want('price')) counts.push(`${merged.priceChanges.length} price changes`);
+
+  const lines = [
+    `${label} (${loads} data load${loads === 1 ? '' : 's'}): ${counts.join(', ')}.`,
+  ];
+
+  if (want('new')) {
+    lines.push(...section('New listings', merged.newListings, (l, i) =>
+      `#${i + 1} ${l.address} — ${formatMoney(l.price)}${l.status ? ` (${l.status})` : ''}`
+    ));
+  }
+  if (want('removed')) {
+    lines.push(...section('Removed', merged.removedListings, (l) =>
+      `• ${l.address} — was ${formatMoney(l.price)}`
+    ));
+  }
+  if (want('status')) {
+    lines.push(...section('Status changes', merged.statusChanges, (c) =>
+      `• ${c.address}: ${c.from || 'N/A'} → ${c.to || 'N/A'}`
+    ));
+  }
+  if (want('price')) {
+    lines.push(...section('Price changes', merged.priceChanges, (c) => {
+      const from = Number(c.from);
+      const to = Number(c.to);
+      const pct = from && !Number.isNaN(to) ? ` (${(((to - from) / from) * 100).toFixed(1)}%)` : '';
+      return `• ${c.address}: ${formatMoney(c.from)} → ${formatMoney(c.to)}${pct}`;
+    }));
+  }
+
+  return lines.join('\n');
+}
+
+// -------------------- ADMIN: DATA LOADS --------------------
+// Protected by ADMIN_TOKEN (x-admin-token header) when set; otherwise only
+// reachable from the machine the server runs on.
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (token) {
+    if (req.get('x-admin-token') === token) return next();
+    return res.status(401).json({ error: 'Invalid admin token.' });
+  }
+  const ip = req.socket.remoteAddress || '';
+  if (['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(ip)) return next();
+  return res.status(403).json({ error: 'Admin endpoints are local-only unless ADMIN_TOKEN is set.' });
+}
+
+function summarizeLoad(result) {
+  if (result.error) return { error: result.error };
+  const r = result.report;
+  return {
+    loadedAt: r.loadedAt,
+    rows: mlsRows.length,
+    files: result.files,
+    baseline: r.baseline,
+    newListings: r.newListings.length,
+    removedListings: r.removedListings.length,
+    statusChanges: r.statusChanges.length,
+    priceChanges: r.priceChanges.length,
+  };
+}
+
+app.post('/api/admin/reload', requireAdmin, (req, res) => {
+  const result = reloadMls('manual reload');
+  res.status(result.error ? 500 : 200).json(summarizeLoad(result));
+});
+
+// Body is the raw CSV (Content-Type: text/csv); ?name= sets the file name.
+app.post(
+  '/api/admin/upload',
+  requireAdmin,
+  express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '100mb' }),
+  (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Send the CSV as the request body with Content-Type: text/csv.' });
+    }
+    const name = safeCsvName(req.query.name);
+    try {
+      fs.writeFileSync(path.join(MLS_DATA_DIR, name), req.body);
+    } catch (err) {
+      console.error('❌ Error saving upload:', err.message);
+      return res.status(500).json({ error: 'Could not save the uploaded CSV.' });
+    }
+    const result = reloadMls(`upload: ${name}`);
+    res.status(result.error ? 500 : 200).json({ saved: name, ...summarizeLoad(result) });
+  }
+);
+
+app.get('/api/admin/schema', requireAdmin, (req, res) => {
+  res.json({
+    loadedAt: mlsLoadedAt ? mlsLoadedAt.toISOString() : null,
+    rows: mlsRows.length,
+    indexed: mlsEngine ? mlsEngine.indexedColumns() : [],
+    duplicates: mlsSchema.duplicates,
+    columns: mlsColumns.map((name) => ({ name, ...mlsSchema.columns[name] })),
+  });
+});
+
+app.get('/api/admin/changes', requireAdmin, (req, res) => {
+  const since = req.query.since || null;
+  const changes = changesSince(since);
+  res.json({
+    since: changes.sinceDate ? changes.sinceDate.toISOString() : null,
+    loads: changes.loads,
+    ...changes.merged,
+  });
+});
+
+// -------------------- EXPORT DOWNLOADS --------------------
+// GET /api/export?sessionId=...&format=csv|xlsx|flyer&target=list|listing
+// exports the session's current list; &fields=price,beds picks the columns.
+app.get('/api/export', (req, res) => {
+  const session = req.query.sessionId ? sessions.get(String(req.query.sessionId)) : null;
+  if (!session) return res.status(404).json({ error: 'Unknown or expired session.' });
+
+  const format = String(req.query.format || 'csv').toLowerCase();
+  const target = req.query.target === 'listing' ? 'listing' : 'list';
+  const fields = req.query.fields
+    ? String(req.query.fields).split(',').map((f) => f.trim()).filter(Boolean)
+    : session.lastListFields;
+
+  sendExport(
+    res,
+    buildExport({
+      format,
+      refs: exportRefs(session, target),
+      fields,
+      audience: resolveAudience(req),
+      ...exportContext(session),
+    })
+  );
+});
+
+// Links handed out by the chat "export" intent.
+app.get('/api/export/:token', (req, res) => {
+  const link = exportLinks.get(req.params.token);
+  if (!link || link.expiresAt <= Date.now()) {
+    exportLinks.delete(req.params.token);
+    return res.status(404).json({ error: 'This export link has expired. Ask for the export again.' });
+  }
+  sendExport(res, buildExport(link));
+});
+
+// -------------------- SAVED SEARCHES --------------------
+// "save this search" stores the last list query under a name. Every data
+// reload re-runs each search and records which listings newly match or
+// dropped out; chat and the endpoints below show those alerts.
+const savedSearches = createSavedSearchStore({
+  file: process.env.SAVED_SEARCHES_FILE || './data/saved-searches.json',
+});
+
+const FILTER_OP_LABELS = {
+  eq: '=',
+  neq: '≠',
+  gt: '>',
+  ge: '≥',
+  lt: '<',
+  le: '≤',
+  contains: 'contains',
+  not_contains: 'does not contain',
+  exists: 'is set',
+  not_exists: 'is blank',
+  in: 'is one of',
+  not_in: 'is not one of',
+  between: 'between',
+  within_last: 'in the last',
+  older_than: 'older than',
+};
+
+/**
+ * Plain-JSON copy of a list query that no longer depends on the session:
+ * radius centers like "#5" or "it" are pinned to the coordinates they
+ * resolved to.
+ */
+function savableQuery(filters, sort, fields, origin, search) {
+  const pin = (center) =>
+    center ? { lat: center.lat, lng: center.lng, label: center.label } : null;
+  return {
+    filters: mapFilterLeaves(filters, (f) => {
+      const { resolvedCenter, ...rest } = f;
+      if (f.op === 'within_radius' && resolvedCenter) rest.center = pin(resolvedCenter);
+      return rest;
+    }),
+    orderBy: sort ? sort.orderBy : null,
+    direction: sort ? sort.direction : null,
+    fields: fields || null,
+    origin: pin(origin),
+    search: search || null,
+  };
+}
+
+function describeFilter(f) {
+  const kind = groupKind(f);
+  if (kind === 'not') return `not (${describeFilter(f.not)})`;
+  if (kind) {
+    const parts = groupChildren(f).map(describeFilter);
+    return parts.length > 1 ? `(${parts.join(kind === 'or' ? ' or ' : ' and ')})` : parts[0] || '';
+  }
+  if (f.op === 'within_radius') {
+    return `within ${f.radius ?? 1} ${f.unit || 'mi'} of ${(f.center && f.center.label) || 'a point'}`;
+  }
+  if (f.op === 'within_bbox') return 'inside a map area';
+  const op = FILTER_OP_LABELS[f.op] || f.op;
+  if (f.op === 'exists' || f.op === 'not_exists') return `${f.column} ${op}`;
+  if (f.op === 'in' || f.op === 'not_in') return `${f.column} ${op} ${listValue(f.value).join(', ')}`;
+  if (f.op === 'between') {
+    const [lo, hi] = rangeValue(f.value) || [];
+    if (lo == null) return `${f.column} ≤ ${hi}`;
+    if (hi == null) return `${f.column} ≥ ${lo}`;
+    return `${f.column} between ${lo} and ${hi}`;
+  }
+  if (f.op === 'within_last' || f.op === 'older_than') {
+    const span = parseRelativeSpan(f.value);
+    return `${f.column} ${op} ${span ? `${span.amount} ${span.unit}` : f.value}`;
+  }
+  return `${f.column} ${op} ${f.value}`;
+}
+
+function describeQuery(query) {
+  const parts = query.filters.map(describeFilter);
+  if (query.search) parts.unshift(`"${query.search}"`);
+  return parts.length ? parts.join(', ') : 'all listings';
+}
+
+function matchEntry(row) {
+  return {
+    listingId: row.ListingId ? String(row.ListingId).trim() : formatAddress(row),
+    address: formatAddress(row),
+    price: row.ListPrice || '',
+  };
+}
+
+// Runs a saved query. Returns { rows, context, sort } or { error }.
+function runSavedQuery(query, audience) {
+  const filters = mapFilterLeaves(query.filters, (f) => ({ ...f }));
+  const geo = resolveGeo(createSessionData(), filters, query.origin);
+  if (geo.error) return { error: geo.error };
+  const context = { ...geo.context, audience };
+  const sort = query.orderBy ? { orderBy: query.orderBy, direction: query.direction || 'asc' } : null;
+  const hidden = hiddenColumnsInPlan(context, filters, sort, null);
+  if (hidden.length) return { error: `This search uses ${hidden.join(', ')}, which you can't search on.` };
+  const rows = filterRows(filters, sort, context);
+  if (!query.search) return { rows, context, sort };
+  const search = textSearchRows(query.search, rows, context);
+  if (search.error) return { error: search.error };
+  return { rows: orderSearchHits(search.hits, sort, context).map((h) => h.row), context, sort };
+}
+
+function rerunSavedSearches(reason) {
+  const searches = savedSearches.list();
+  if (!searches.length) return;
+  searches.forEach((search) => {
+    const run = runSavedQuery(search.query, search.audience);
+    if (run.error) {
+      console.warn(`⚠️ Saved search "${search.name}": ${run.error}`);
+      return;
+    }
+    const diff = savedSearches.recordRun(search, run.rows.map(matchEntry), { reason });
+    if (diff.added.length || diff.removed.length) {
+      console.log(
+        `🔔 Saved search "${search.name}": ${diff.added.length} new, ${diff.removed.length} removed`
+      );
+    }
+  });
+  savedSearches.flush();
+}
+
+// catch up on whatever changed while the server was down
+rerunSavedSearches('startup');
 
-   - "show me addresses in San Fernando under 900k with 3 or more beds"
-       -> intent: "list"
-          filters: [
-            { "column": "City", "op": "contains", "value": "San Fernando" },
-            { "column": "ListPrice", "op": "le", "value": 900000 },
-            { "column": "BedroomsTotal", "op": "ge", "value": 3 }
-          ]
-          fields: ["Address", "price", "beds", "baths"]
+// The raw query only goes to agents; clients get the readable criteria.
+function summarizeSavedSearch(search, audience) {
+  return {
+    id: search.id,
+    name: search.name,
+    criteria: describeQuery(search.query),
+    ...(audience === 'agent' ? { query: search.query } : {}),
+    matches: search.matches.length,
+    createdAt: search.createdAt,
+    updatedAt: search.updatedAt,
+    lastRun: search.lastRun
+      ? {
+          at: search.lastRun.at,
+          reason: search.lastRun.reason,
+          total: search.lastRun.total,
+          added: search.lastRun.added,
+          removed: search.lastRun.removed,
+        }
+      : null,
+  };
+}
 
-   - "give me list of addresses in zip code 91340"
-       -> intent: "list"
-          filters: [
-            { "column": "PostalCode", "op": "eq", "value": "91340" }
-          ]
-          fields: ["Address"]
+function formatSavedSearchList(scope) {
+  const searches = savedSearches.list(scope);
+  if (!searches.length) {
+    return 'You have no saved searches yet. Run a search, then say "save this search as <name>".';
+  }
+  const lines = searches.map((s) => {
+    let line = `• ${s.name} — ${describeQuery(s.query)} (${s.matches.length} matches)`;
+    if (s.lastRun && (s.lastRun.added.length || s.lastRun.removed.length)) {
+      line += `\n    last reload: ${s.lastRun.added.length} new, ${s.lastRun.removed.length} removed`;
+    }
+    return line;
+  });
+  return `Saved searches:\n${lines.join('\n')}`;
+}
 
-   - "show me all listings with a pool in Burbank"
-       -> filters: [
-            { "column": "City", "op": "contains", "value": "Burbank" },
-            { "column": "PoolFeatures", "op": "exists", "value": null }
-          ]
-          fields: ["Address", "PoolFeatures"]
+// "new since the last reload" lines shown when a search is run
+function formatSavedSearchAlerts(search) {
+  const run = search.lastRun;
+  if (!run || (!run.added.length && !run.removed.length)) return '';
+  const lines = [`Since the reload on ${new Date(run.at).toLocaleString()}:`];
+  run.added.forEach((m) => lines.push(`  + ${m.address} — ${formatMoney(m.price)}`));
+  run.removed.forEach((m) => lines.push(`  − ${m.address} (no longer matches)`));
+  return lines.join('\n');
+}
 
-   - "how many listings are in zip 91340?"
-       -> intent: "list"
-          countOnly: true
-          filters: [
-            { "column": "PostalCode", "op": "eq", "value": "91340" }
-          ]
+/**
+ * Handles a saved-search action from chat. Returns { reply, results? }.
+ * action: save | list | run | rename | delete
+ */
+function handleSavedSearch(session, spec, audience, owner) {
+  const action = spec.action;
+  const scope = { owner, audience };
+  if (action === 'list') return { reply: formatSavedSearchList(scope) };
+
+  if (action === 'save') {
+    if (!session.lastQuery) {
+      return { reply: 'Run a search first (for example "3+ beds in Arleta under 800k"), then ask me to save it.' };
+    }
+    const run = runSavedQuery(session.lastQuery, audience);
+    if (run.error) return { reply: run.error };
+    const search = savedSearches.create({
+      name: spec.name,
+      query: session.lastQuery,
+      audience,
+      owner,
+      matches: run.rows.map(matchEntry),
+    });
+    if (search.error) return { reply: search.error };
+    return {
+      reply:
+        `Saved "${search.name}" (${describeQuery(search.query)}) with ${search.matches.length} current matches.\n` +
+        "I'll report new and removed matches whenever the MLS data reloads.",
+    };
+  }
 
-2. DETAILS queries:
-   - The user asks about a single property.
-   - If they refer to "#12", "listing 12", just "12" etc -> targetType = "index", index = 12.
-   - If they write a full street address (number + street name, plus maybe city/state/zip) -> targetType = "address".
-   - If they say "it", "that one", "this property" referring to the previously discussed listing -> targetType = "last".
+  if (!spec.name) return { reply: 'Which saved search? Say "list my saved searches" to see the names.' };
 
-   Set intent = "details".
+  if (action === 'rename') {
+    const search = savedSearches.rename(spec.name, spec.newName, scope);
+    if (search.error) return { reply: search.error };
+    return { reply: `Renamed it to "${search.name}".` };
+  }
 
-   Set fields to what they want:
+  if (action === 'delete') {
+    const search = savedSearches.remove(spec.name, scope);
+    if (search.error) return { reply: search.error };
+    return { reply: `Deleted the saved search "${search.name}".` };
+  }
 
-   - "What is the high school district for 13121 Chase, Arleta, CA 91331?"
-       -> intent: "details"
-          targetType: "address"
-          fields: ["HighSchoolDistrict"]
+  if (action === 'run') {
+    const search = savedSearches.find(spec.name, scope);
+    if (!search) return { reply: `I couldn't find a saved search called "${spec.name}".` };
+    const run = runSavedQuery(search.query, audience);
+    if (run.error) return { reply: run.error };
+    const fields = search.query.fields;
+    session.lastQuery = search.query;
+    const alerts = formatSavedSearchAlerts(search);
+    const shown = showList(session, run.rows, { fields: listFields(fields, run.sort), sort: run.sort }, run.context);
+    return {
+      reply: `${search.name} — ${describeQuery(search.query)}\n` + (alerts ? `${alerts}\n\n` : '') + shown.reply,
+      results: shown.results,
+    };
+  }
 
-   - "How many days on market for 13121 Chase, Arleta, CA 91331?"
-       -> intent: "details"
-          targetType: "address"
-          fields: ["DaysOnMarket"]
+  return { reply: `I don't know how to "${action}" a saved search. Try save, list, run, rename or delete.` };
+}
 
-   - "What year was #34 built?"
-       -> intent: "details"
-          targetType: "index"
-          index: 34
-          fields: ["YearBuilt"]
+// Each caller sees, runs, renames and deletes only the searches they saved
+// (same client, same audience).
+// GET    /api/saved-searches              every search with its last-reload alerts
+// POST   /api/saved-searches              { name, sessionId } saves that session's last list
+//                                         query; or { name, filters, orderBy, direction, fields }
+// GET    /api/saved-searches/:id          one search (id or name), including alert history
+// POST   /api/saved-searches/:id/run      current matches
+// PATCH  /api/saved-searches/:id          { name } renames
+// DELETE /api/saved-searches/:id
+app.get('/api/saved-searches', (req, res) => {
+  const audience = resolveAudience(req);
+  const searches = savedSearches.list({ owner: req.clientId, audience });
+  res.json({ searches: searches.map((s) => summarizeSavedSearch(s, audience)) });
+});
 
-   - "Give me the full profile for #11"
-       -> intent: "details"
-          targetType: "index"
-          index: 11
-          fields: null   // null or [] means "default summary with lots of key fields"
+app.post('/api/saved-searches', (req, res) => {
+  const body = req.body || {};
+  const audience = resolveAudience(req);
+  let query;
+  if (Array.isArray(body.filters)) {
+    // same checks as a chat plan, so a typo'd column is an error here rather
+    // than a search that quietly matches nothing on every reload
+    const { plan, errors } = validatePlanForData(
+      {
+        intent: 'list',
+        filters: body.filters,
+        fields: Array.isArray(body.fields) ? body.fields : null,
+        orderBy: body.orderBy || null,
+        direction: body.direction || null,
+      },
+      { audience }
+    );
+    if (errors.length) return res.status(400).json({ error: 'Invalid search.', errors: planErrorsForApi(errors) });
+    query = savableQuery(
+      plan.filters,
+      plan.orderBy ? { orderBy: plan.orderBy, direction: plan.direction || 'asc' } : null,
+      plan.fields,
+      null
+    );
+  } else {
+    const session = body.sessionId ? sessions.get(String(body.sessionId)) : null;
+    if (!session || !session.lastQuery) {
+      return res.status(400).json({ error: 'Send filters, or a sessionId whose last list should be saved.' });
+    }
+    query = session.lastQuery;
+  }
 
-3. If the user message is *only* a number like "11" or "#11":
-   - They want details for that listing.
-   - intent = "details", targetType = "index", index = 11, fields = null.
+  const run = runSavedQuery(query, audience);
+  if (run.error) return res.status(400).json({ error: run.error });
+  const search = savedSearches.create({
+    name: body.name,
+    query,
+    audience,
+    owner: req.clientId,
+    matches: run.rows.map(matchEntry),
+  });
+  if (search.error) return res.status(409).json({ error: search.error });
+  res.status(201).json(summarizeSavedSearch(search, audience));
+});
 
-4. "Address" is a virtual field; you may include "Address" in fields and the server will format it.
+app.get('/api/saved-searches/:id', (req, res) => {
+  const audience = resolveAudience(req);
+  const search = savedSearches.find(req.params.id, { owner: req.clientId, audience });
+  if (!search) return res.status(404).json({ error: 'Saved search not found.' });
+  res.json({ ...summarizeSavedSearch(search, audience), alerts: search.alerts });
+});
 
-5. Greetings / chit-chat -> intent = "small_talk".
+app.post('/api/saved-searches/:id/run', (req, res) => {
+  const audience = resolveAudience(req);
+  const search = savedSearches.find(req.params.id, { owner: req.clientId, audience });
+  if (!search) return res.status(404).json({ error: 'Saved search not found.' });
+  // runSavedQuery refuses filters and sorts this audience can't see
+  const run = runSavedQuery(search.query, audience);
+  if (run.error) return res.status(400).json({ error: run.error });
+  res.json({
+    id: search.id,
+    name: search.name,
+    results: buildListResults(run.rows, search.query.fields || [], run.rows.length, run.sort, run.context),
+  });
+});
 
-6. If you're unsure what they want -> intent = "unknown".
+app.patch('/api/saved-searches/:id', (req, res) => {
+  const audience = resolveAudience(req);
+  const search = savedSearches.rename(req.params.id, req.body?.name, { owner: req.clientId, audience });
+  if (search.error) {
+    const status = /couldn't find/.test(search.error) ? 404 : /already/.test(search.error) ? 409 : 400;
+    return res.status(status).json({ error: search.error });
+  }
+  res.json(summarizeSavedSearch(search, audience));
+});
 
-Return ONLY the JSON. No extra text.
-`;
+app.delete('/api/saved-searches/:id', (req, res) => {
+  const search = savedSearches.remove(req.params.id, { owner: req.clientId, audience: resolveAudience(req) });
+  if (search.error) return res.status(404).json({ error: search.error });
+  res.json({ deleted: search.id, name: search.name });
+});
+
+// -------------------- PLAN VALIDATION --------------------
+// Every plan is checked before it runs. When it fails, the planner gets one
+// chance to repair it; if that fails too the user sees what was wrong (with
+// column suggestions) instead of a misleading "0 listings". Suggestions only
+// come from columns the caller's audience can see.
+function validatePlanForData(plan, context) {
+  return validatePlan(plan, {
+    resolveColumn: getColumnNameFromUserField,
+    columns: mlsColumns.filter((c) => isFieldVisible(context, c)),
+    aggregateOps: AGGREGATE_OPS,
+    exportFormats: EXPORT_FORMATS,
+  });
+}
+
+// Returns the validated plan, or { errors } when it can't be fixed.
+// `trace`, when given, gets the repaired plan for the audit log.
+async function checkPlan(plan, context, history, userText, trace = {}) {
+  const first = validatePlanForData(plan, context);
+  if (!first.errors.length) return first.plan;
+
+  console.warn('⚠️ Plan failed validation:', first.errors.map((e) => e.message).join(' | '));
+  if (!planner.repair) return { errors: first.errors };
+
+  const repaired = await planner.repair(history, userText, plan, first.errors);
+  if (!repaired) return { errors: first.errors };
+  trace.repaired = repaired;
+  console.log('🛠️ Repaired plan:', JSON.stringify(repaired, null, 2));
+
+  const second = validatePlanForData(repaired, context);
+  return second.errors.length ? { errors: second.errors } : second.plan;
+}
+
+function formatPlanErrors(errors) {
+  const unknown = errors.filter((e) => e.column);
+  const other = errors.filter((e) => !e.column);
+  const lines = [];
+
+  const seen = new Set();
+  unknown.forEach((e) => {
+    if (seen.has(e.column.toLowerCase())) return;
+    seen.add(e.column.toLowerCase());
+    if (e.suggestions.length) {
+      lines.push(`I couldn't find a field called "${e.column}". Did you mean:`);
+      e.suggestions.forEach((s, i) => lines.push(`  ${i + 1}. ${s.column}`));
+    } else {
+      lines.push(`I couldn't find a field called "${e.column}", and nothing in the MLS data looks close.`);
+    }
+  });
+
+  if (other.length) {
+    lines.push("I couldn't turn that into a valid query:");
+    other.forEach((e) => lines.push(`  • ${e.message}`));
+  }
+  lines.push('Try rephrasing, or use one of the suggested field names.');
+  return lines.join('\n');
+}
+
+// -------------------- MAP REFINEMENT --------------------
+// The last list query plus a within_bbox filter for the drawn box. Any
+// earlier box is replaced rather than stacked.
+function refinePlan(lastQuery, bbox) {
+  const query = lastQuery || { filters: [], fields: null, orderBy: null, direction: null };
+  return {
+    intent: query.search ? 'search' : 'list',
+    query: query.search || null,
+    filters: [
+      ...mapFilterLeaves(
+        query.filters.filter((f) => f.op !== 'within_bbox'),
+        (f) => ({ ...f })
+      ),
+      { op: 'within_bbox', bbox },
+    ],
+    fields: query.fields,
+    orderBy: query.orderBy,
+    direction: query.direction,
+    origin: query.origin,
+  };
+}
+
+// -------------------- LISTINGS API --------------------
+// Read-only REST access for other tools (CRM scripts, the website widget)
+// without going through the planner. Query strings become the same filters,
+// sort and fields a chat plan carries (see lib/listingsApi.js), are checked
+// by the same validation and run through filterRows / tableRow, so the API
+// and /api/chat can't disagree. The field policy applies as in chat.
+const API_VERSION = require('./package.json').version;
+const API_DEFAULT_FIELDS = ['ListPrice', 'BedroomsTotal', 'BathroomsTotalInteger', 'LivingArea', 'City', 'PostalCode', 'StandardStatus'];
+
+function visibleColumns(context) {
+  return [...mlsColumns, ...VIRTUAL_FIELDS.filter((f) => f !== 'Address')].filter((c) => isFieldVisible(context, c));
+}
+
+// fields=... (or "all") -> column names, for a listing or a page of them
+function apiFields(fields, context) {
+  if (fields === 'all') return visibleColumns(context);
+  return fields;
+}
+
+// Requested fields this audience can't see. Asking for one is refused
+// rather than quietly leaving the column out.
+function hiddenFields(context, fields) {
+  const hidden = new Set();
+  (fields || []).forEach((field) => {
+    const colName = getColumnNameFromUserField(field) || field;
+    if (!isFieldVisible(context, colName)) hidden.add(colName);
+  });
+  return [...hidden];
+}
+
+// Plan errors named after the query parameter they came from:
+// "filters[1].column" -> "ListPrise[gt]"
+function planErrorsForApi(errors, params = []) {
+  return errors.map((e) => {
+    const filter = String(e.path).match(/^filters\[(\d+)\](?:\.\w+)?/);
+    const param = filter && params[filter[1]] ? params[filter[1]] : e.path;
+    return {
+      param,
+      message: String(e.message).replace(e.path, param),
+      ...(e.suggestions ? { suggestions: e.suggestions.map((s) => s.column) } : {}),
+    };
+  });
+}
+
+app.get('/api/listings', (req, res) => {
+  const audience = resolveAudience(req);
+  const query = parseListingsQuery(req.query, { filterOps: FILTER_OPS });
+  if (query.errors.length) return res.status(400).json({ error: 'Invalid query.', errors: query.errors });
+
+  const fields = apiFields(query.fields, { audience }) || API_DEFAULT_FIELDS;
+  const { plan, errors } = validatePlanForData(
+    {
+      intent: 'list',
+      filters: query.filters,
+      fields,
+      orderBy: query.sort && query.sort.orderBy,
+      direction: query.sort && query.sort.direction,
+    },
+    { audience }
+  );
+  if (errors.length) return res.status(400).json({ error: 'Invalid query.', errors: planErrorsForApi(errors, query.params) });
+  const hiddenAsked = hiddenFields({ audience }, plan.fields);
+  if (hiddenAsked.length) return res.status(403).json({ error: `You can't see ${hiddenAsked.join(', ')}.` });
+
+  const geo = resolveGeo(createSessionData(), plan.filters, query.origin);
+  if (geo.error) return res.status(400).json({ error: geo.error });
+  const context = { ...geo.context, audience };
+  const sort = plan.orderBy ? { orderBy: plan.orderBy, direction: plan.direction || 'asc' } : null;
+  const hidden = hiddenColumnsInPlan(context, plan.filters, sort, null);
+  if (hidden.length) {
+    return res.status(403).json({ error: `You can't filter or sort on ${hidden.join(', ')}.` });
+  }
+
+  let rows = filterRows(plan.filters, sort, context);
+  if (query.search) {
+    const search = textSearchRows(query.search, rows, context);
+    if (search.error) return res.status(400).json({ error: search.error });
+    rows = orderSearchHits(search.hits, sort, context).map((h) => h.row);
+  }
+
+  const columns = tableColumns(listFields(plan.fields, sort), [], context);
+  const page = rows.slice(query.offset, query.offset + query.limit);
+  res.json({
+    total: rows.length,
+    offset: query.offset,
+    limit: query.limit,
+    columns: columns.map(({ hidden: _hidden, ...c }) => c),
+    rows: page.map((row, i) => tableRow(row, columns, context, query.offset + i + 1)),
+  });
+});
+
+app.get('/api/listings/:listingId', (req, res) => {
+  const context = { audience: resolveAudience(req) };
+  const row = mlsById.get(String(req.params.listingId).trim());
+  if (!row) return res.status(404).json({ error: `No listing with ListingId "${req.params.listingId}".` });
+
+  const { fields, errors } = parseListingsQuery({ fields: req.query.fields }, { filterOps: FILTER_OPS });
+  const wanted = apiFields(fields, context) || visibleColumns(context);
+  const checked = validatePlanForData({ intent: 'details', fields: wanted }, context);
+  if (errors.length || checked.errors.length) {
+    return res.status(400).json({ error: 'Invalid query.', errors: [...errors, ...planErrorsForApi(checked.errors)] });
+  }
+  const hiddenAsked = hiddenFields(context, wanted);
+  if (hiddenAsked.length) return res.status(403).json({ error: `You can't see ${hiddenAsked.join(', ')}.` });
+
+  const columns = tableColumns(wanted, [], context);
+  res.json({
+    columns: columns.map(({ hidden: _hidden, ...c }) => c),
+    listing: tableRow(row, columns, context, null),
+  });
+});
+
+// Every column this caller can see, with the friendly names that resolve to it.
+app.get('/api/columns', (req, res) => {
+  const context = { audience: resolveAudience(req) };
+  res.json({
+    ops: FILTER_OPS.filter((op) => !GEO_OPS.includes(op)),
+    columns: visibleColumns(context).map((name) => {
+      const entry = fieldDictionary.get(name);
+      return {
+        name,
+        label: fieldDictionary.label(name),
+        type: columnType(name),
+        virtual: VIRTUAL_FIELDS.includes(name),
+        synonyms: entry ? entry.synonyms : [],
+      };
+    }),
+  });
+});
+
+app.get('/api/openapi.json', (req, res) => {
+  const context = { audience: resolveAudience(req) };
+  res.json(
+    buildOpenApiDocument({
+      title: 'MLS listings API',
+      version: API_VERSION,
+      filterOps: FILTER_OPS,
+      columns: visibleColumns(context).map((name) => ({ name, type: columnType(name) })),
+    })
+  );
+});
+
+// -------------------- LISTING PAGES --------------------
+// /listing/:listingId is a web page for one listing that an agent can send
+// to a client: the details summary, schools and the virtual tour, laid out
+// to print. It always shows the public field set, whoever opens it. Links
+// from chat carry ?share=<token>, which expires and can be revoked, and a
+// page without a live token is refused. LISTING_PAGES_OPEN=true serves the
+// bare /listing/:listingId to anyone as well; revoking a token then only
+// turns off that URL, since the same page stays one edit away.
+const shareLinks = createShareLinkStore({
+  file: process.env.SHARE_LINKS_FILE || './data/share-links.json',
+  ttlMs: (Number(process.env.SHARE_LINK_TTL_DAYS) || 14) * DAY_MS,
+});
+const LISTING_PAGES_OPEN = process.env.LISTING_PAGES_OPEN === 'true';
+const SHARE_LINK_MAX_DAYS = 365;
+
+const SCHOOL_FIELDS = [
+  ['ElementarySchool', 'Elementary'],
+  ['MiddleOrJuniorSchool', 'Middle / junior high'],
+  ['HighSchool', 'High school'],
+  ['HighSchoolDistrict', 'High school district'],
+];
+
+const SHARE_LINK_ERRORS = {
+  unknown: 'This link is not valid. Ask your agent for a new one.',
+  expired: 'This link has expired. Ask your agent for a new one.',
+  revoked: 'This link has been turned off. Ask your agent for a new one.',
+};
+
+// Absolute, since the link is meant to leave this app.
+function baseUrl(req) {
+  return (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+function shareUrl(req, link) {
+  return `${baseUrl(req)}/listing/${encodeURIComponent(link.listingId)}?share=${link.token}`;
+}
+
+// Only web links; anything else in the column is not worth a click.
+function tourUrl(row) {
+  const url = String(row.VirtualTourURLUnbranded || '').trim();
+  return /^https?:\/\//i.test(url) ? url : '';
+}
+
+function listingPage(row) {
+  const context = { audience: 'public' };
+  const facts = DETAILS_SUMMARY_FIELDS.filter(
+    (f) => !['Address', 'ListPrice', 'PublicRemarks', 'HighSchoolDistrict'].includes(f)
+  ).map((f) => ({ label: fieldDictionary.label(f), value: getValue(row, f, context) }));
+  return {
+    address: formatAddress(row),
+    price: getValue(row, 'ListPrice', context),
+    facts,
+    // read by exact column: a name this data lacks must stay blank, not
+    // fall through to the nearest column
+    schools: SCHOOL_FIELDS.map(([colName, label]) => ({
+      label,
+      value: mlsColumns.includes(colName) && isFieldVisible(context, colName) ? row[colName] : '',
+    })),
+    tourUrl: isFieldVisible(context, 'VirtualTourURLUnbranded') ? tourUrl(row) : '',
+    remarks: getValue(row, 'PublicRemarks', context),
+  };
+}
+
+// The client link the details reply ends with; agents only.
+function shareLinkLine(req, row, audience) {
+  if (audience !== 'agent' || !row.ListingId) return null;
+  const link = shareLinks.create({ listingId: row.ListingId });
+  return `Client link: ${shareUrl(req, link)} (works until ${link.expiresAt.slice(0, 10)})`;
+}
+
+app.get('/listing/:listingId', (req, res) => {
+  const notice = (status, heading, message) =>
+    res.status(status).type('html').send(renderNoticePage(heading, message));
+
+  const listingId = String(req.params.listingId).trim();
+  const row = mlsById.get(listingId);
+  const token = typeof req.query.share === 'string' ? req.query.share : '';
+  let link = null;
+  if (token) {
+    const check = shareLinks.check(token, listingId);
+    if (check.error) return notice(410, 'Link unavailable', SHARE_LINK_ERRORS[check.error]);
+    link = check.link;
+  } else if (!LISTING_PAGES_OPEN) {
+    return notice(403, 'Link required', 'Open this listing from the link your agent sent you.');
+  }
+  if (!row) return notice(404, 'Listing not found', 'This listing is no longer available.');
+
+  res.set('Cache-Control', 'no-store');
+  res.type('html').send(renderListingPage(listingPage(row), { expiresAt: link && link.expiresAt }));
+});
+
+app.get('/api/share-links', requireAgent, (req, res) => {
+  const listingId = typeof req.query.listingId === 'string' ? req.query.listingId.trim() : null;
+  res.json({ links: shareLinks.list({ listingId }).map((link) => ({ ...link, url: shareUrl(req, link) })) });
+});
+
+// { listingId, ttlDays? } -> a new link; ttlDays defaults to SHARE_LINK_TTL_DAYS.
+app.post('/api/share-links', requireAgent, (req, res) => {
+  const listingId = String(req.body?.listingId || '').trim();
+  if (!mlsById.has(listingId)) {
+    return res.status(404).json({ error: `No listing with ListingId "${listingId}".` });
+  }
+  const ttlDays = req.body?.ttlDays;
+  if (ttlDays != null && !(Number(ttlDays) > 0 && Number(ttlDays) <= SHARE_LINK_MAX_DAYS)) {
+    return res.status(400).json({ error: `ttlDays must be a number of days, up to ${SHARE_LINK_MAX_DAYS}.` });
+  }
+  const link = shareLinks.create({
+    listingId,
+    ttlMs: ttlDays != null ? Number(ttlDays) * DAY_MS : shareLinks.ttlMs,
+    fresh: true,
+  });
+  res.status(201).json({ ...link, url: shareUrl(req, link) });
+});
+
+app.delete('/api/share-links/:token', requireAgent, (req, res) => {
+  const result = shareLinks.revoke(req.params.token);
+  if (result.error) return res.status(404).json({ error: result.error });
+  res.json(result);
+});
+
+// -------------------- CONVERSATIONS --------------------
+// Every chat turn is stored with its plan and results, along with the
+// session's list context. Resuming a conversation starts a fresh session
+// seeded from that context, so "#5" means what it meant when the chat was
+// left. Each conversation belongs to the client that started it (see
+// CLIENTS) and to the audience it was started under.
+const conversations = createConversationStore({
+  file: process.env.CONVERSATIONS_FILE || './data/conversations.json',
+});
+
+// What a conversation keeps of the session: the list as bare ListingIds (a
+// row index only for rows without one) instead of full refs.
+function conversationContext(data) {
+  const compact = (ref) => (ref.listingId ? { listingId: ref.listingId } : { rowIndex: ref.rowIndex });
+  return JSON.parse(
+    JSON.stringify({
+      ...data,
+      lastList: (data.lastList || []).map(compact),
+      lastListing: data.lastListing ? compact(data.lastListing) : null,
+    })
+  );
+}
+
+// The session data a conversation's context stands for, with refs rebuilt
+// from the current MLS data.
+function restoreContext(context) {
+  if (!context) return createSessionData();
+  const restore = (ref) => {
+    const row = rowFromRef(ref);
+    if (row) return listingRef(row);
+    return { listingId: ref.listingId || null, rowIndex: -1, displayAddress: ref.listingId || 'that listing' };
+  };
+  return {
+    ...createSessionData(),
+    ...context,
+    lastList: (context.lastList || []).map(restore),
+    lastListing: context.lastListing ? restore(context.lastListing) : null,
+  };
+}
+
+function ownsConversation(req, convo, audience) {
+  return Boolean(convo) && convo.owner === req.clientId && convo.audience === audience;
+}
+
+// Appends a turn to the caller's conversation, starting one when there is
+// none yet (or it isn't theirs). Returns the conversation id.
+function recordTurn(req, session, audience, userText, plan, payload) {
+  const requested = req.body?.conversationId;
+  let convo = requested ? conversations.get(String(requested)) : null;
+  if (!ownsConversation(req, convo, audience)) convo = null;
+  if (!convo) convo = conversations.create({ audience, owner: req.clientId, title: userText });
+  conversations.append(
+    convo,
+    [
+      { role: 'user', content: userText },
+      {
+        role: 'assistant',
+        content: payload.reply,
+        plan: plan || null,
+        results: payload.results || null,
+        download: payload.download || null,
+      },
+    ],
+    conversationContext(session.data)
+  );
+  return convo.id;
+}
+
+function summarizeConversation(convo) {
+  const lastUser = [...convo.messages].reverse().find((m) => m.role === 'user');
+  return {
+    id: convo.id,
+    title: convo.title,
+    createdAt: convo.createdAt,
+    updatedAt: convo.updatedAt,
+    messageCount: convo.messages.length,
+    preview: lastUser ? lastUser.content.slice(0, 120) : '',
+  };
+}
+
+function findConversation(req, res) {
+  const convo = conversations.get(req.params.id);
+  if (!ownsConversation(req, convo, resolveAudience(req))) {
+    res.status(404).json({ error: 'Conversation not found.' });
+    return null;
+  }
+  return convo;
+}
+
+app.get('/api/conversations', (req, res) => {
+  const list = conversations.list({ owner: req.clientId, audience: resolveAudience(req), q: req.query.q });
+  res.json({ conversations: list.map(summarizeConversation) });
+});
+
+app.get('/api/conversations/:id', (req, res) => {
+  const convo = findConversation(req, res);
+  if (!convo) return;
+  res.json({ ...summarizeConversation(convo), messages: convo.messages });
+});
+
+// Starts a session seeded with the conversation's list context.
+app.post('/api/conversations/:id/resume', (req, res) => {
+  const convo = findConversation(req, res);
+  if (!convo) return;
+  const session = loadSession(sessions, null);
+  session.data = restoreContext(convo.context);
+  sessions.set(session.id, session.data);
+  res.json({
+    sessionId: session.id,
+    conversation: { ...summarizeConversation(convo), messages: convo.messages },
+  });
+});
+
+app.patch('/api/conversations/:id', (req, res) => {
+  const convo = findConversation(req, res);
+  if (!convo) return;
+  const renamed = conversations.rename(convo.id, req.body?.title);
+  if (renamed.error) return res.status(400).json({ error: renamed.error });
+  res.json(summarizeConversation(renamed));
+});
+
+app.delete('/api/conversations/:id', (req, res) => {
+  const convo = findConversation(req, res);
+  if (!convo) return;
+  conversations.remove(convo.id);
+  res.json({ deleted: convo.id });
+});
+
+// -------------------- AUDIT LOG --------------------
+// Every turn goes to a rotating JSON-lines file (AUDIT_LOG_DIR/audit.log):
+// the question, the raw planner output, the plan that ran, the matched
+// ListingIds and the reply. AUDIT_LOG=false turns it off.
+const AUDIT_MAX_IDS = 500;
+
+const auditLog = createAuditLog({
+  dir: process.env.AUDIT_LOG_DIR || './data/audit',
+  maxBytes: (Number(process.env.AUDIT_LOG_MAX_MB) || 5) * 1024 * 1024,
+  maxFiles: Number(process.env.AUDIT_LOG_FILES) || 5,
+  enabled: process.env.AUDIT_LOG !== 'false',
+});
+
+function matchedIds(rows) {
+  if (!rows) return null;
+  return {
+    count: rows.length,
+    ids: rows
+      .slice(0, AUDIT_MAX_IDS)
+      .map((row) => (row.ListingId ? String(row.ListingId).trim() : `row:${mlsEngine.positionOf(row) ?? -1}`)),
+  };
+}
+
+// turn: { startedAt, source, raw, repaired, plan, errors, matched, reply, error }
+function auditTurn(session, audience, conversationId, userText, turn) {
+  auditLog.record({
+    sessionId: session.id,
+    conversationId: conversationId || null,
+    audience,
+    planner: turn.source || null,
+    text: userText,
+    raw: turn.raw ?? null,
+    repaired: turn.repaired ?? null,
+    plan: turn.plan ?? null,
+    errors: turn.errors ?? null,
+    matched: matchedIds(turn.matched),
+    reply: turn.reply ?? null,
+    error: turn.error ?? null,
+    ms: Date.now() - turn.startedAt,
+  });
+}
 
 // -------------------- CHAT ENDPOINT --------------------
 app.post('/api/chat', async (req, res) => {
@@ -473,62 +3748,63 @@ app.post('/api/chat', async (req, res) => {
   const lastUserMsg =
     [...history].reverse().find((m) => m.role === 'user') || {};
   const userText = (lastUserMsg.content || '').trim();
-
-  if (!process.env.OPENAI_API_KEY) {
-    return res
-      .status(500)
-      .json({ error: 'OPENAI_API_KEY is missing in .env' });
-  }
+  const session = loadSession(
+    sessions,
+    req.body?.sessionId || req.get('x-session-id')
+  );
+  const audience = resolveAudience(req);
+  const turn = { startedAt: Date.now(), source: null, raw: null, repaired: null };
 
   // quick greeting
   if (/^\s*(hi|hello|hey|hola)\s*$/i.test(userText)) {
-    return res.json({
-      reply:
-        "Hey! I'm Realtor GPT. I can read your MLS CSV.\n\n" +
-        'Try asking:\n' +
-        '• "list addresses in zip 91340 with price and beds"\n' +
-        '• "show me all listings in San Fernando under 900k with 3+ beds"\n' +
-        '• "what is the high school district for 13121 Chase, Arleta, CA 91331"\n' +
-        '• "how many days on market for #5"\n' +
-        '• "full profile for #11"',
-    });
+    sessions.set(session.id, session.data);
+    const reply =
+      "Hey! I'm Realtor GPT. I can read your MLS CSV.\n\n" +
+      'Try asking:\n' +
+      '• "list addresses in zip 91340 with price and beds"\n' +
+      '• "show me all listings in San Fernando under 900k with 3+ beds"\n' +
+      '• "what is the high school district for 13121 Chase, Arleta, CA 91331"\n' +
+      '• "how many days on market for #5"\n' +
+      '• "full profile for #11"\n' +
+      '• "what fields can I ask about?"';
+    const conversationId = recordTurn(req, session, audience, userText, null, { reply });
+    auditTurn(session, audience, conversationId, userText, { ...turn, source: 'greeting', reply });
+    return res.json({ sessionId: session.id, conversationId, reply });
   }
 
-  // ---- call OpenAI planner ----
+  // ---- call planner ----
+  // A box drawn on the map narrows the last list query directly; there is
+  // nothing for the planner to interpret.
+  const refineBox = req.body?.refine && normalizeBoundingBox(req.body.refine.bbox);
   let plan;
+  turn.source = refineBox ? 'map' : planner.name;
   try {
-    const plannerMessages = [
-      { role: 'system', content: plannerSystemPrompt },
-      ...history,
-    ];
-
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
-        messages: plannerMessages,
-        response_format: { type: 'json_object' },
-      }),
-    });
-
-    const data = await response.json();
-    if (!response.ok) {
-      console.error('OpenAI planner error:', data);
-      return res
-        .status(500)
-        .json({ error: data.error?.message || 'OpenAI API error' });
-    }
-
-    const content = data.choices?.[0]?.message?.content || '{}';
-    plan = JSON.parse(content);
+    plan = refineBox
+      ? refinePlan(session.data.lastQuery, refineBox)
+      : await planner.plan(history, userText);
     console.log('📝 Planner plan:', JSON.stringify(plan, null, 2));
+    turn.raw = plan;
+    plan = await checkPlan(plan, { audience }, history, userText, turn);
   } catch (err) {
     console.error('Failed to get/parse planner output:', err);
-    return res.status(500).json({ error: 'Failed to interpret query.' });
+    const message =
+      err instanceof PlannerError ? err.message : 'Failed to interpret query.';
+    auditTurn(session, audience, null, userText, { ...turn, error: message });
+    return res.status(500).json({ error: message });
+  }
+
+  if (plan.errors) {
+    sessions.set(session.id, session.data);
+    const reply = formatPlanErrors(plan.errors);
+    const conversationId = recordTurn(req, session, audience, userText, null, { reply });
+    auditTurn(session, audience, conversationId, userText, { ...turn, errors: plan.errors, reply });
+    return res.json({
+      sessionId: session.id,
+      conversationId,
+      audience,
+      reply,
+      results: null,
+    });
   }
 
   const intent = plan.intent || 'unknown';
@@ -538,56 +3814,243 @@ app.post('/api/chat', async (req, res) => {
   const index = plan.index ?? null;
   const limit = plan.limit ?? null;
   const countOnly = !!plan.countOnly;
+  const sort = plan.orderBy
+    ? { orderBy: plan.orderBy, direction: plan.direction || 'asc' }
+    : null;
+  const aggregate =
+    plan.aggregate && typeof plan.aggregate === 'object'
+      ? plan.aggregate
+      : { op: 'count', column: null, groupBy: null };
 
   let reply = '';
+  let results = null;
+  let download = null;
+  let matched = null; // rows behind the answer, for the audit log
 
   try {
-    if (intent === 'list') {
-      const rows = filterRows(filters);
+    const filtersRows = ['list', 'aggregate', 'search', 'price_change'].includes(intent);
+    const geo = filtersRows
+      ? resolveGeo(session.data, filters, plan.origin || null)
+      : { context: {} };
+    const context = { ...geo.context, audience, financing: financingTerms(plan.financing) };
+    const hidden = filtersRows
+      ? hiddenColumnsInPlan(context, filters, sort, intent === 'aggregate' ? aggregate : null)
+      : [];
+
+    if (geo.error) {
+      reply = geo.error;
+    } else if (hidden.length) {
+      reply = `Sorry, I can't search or sort on ${hidden.join(', ')}.`;
+    } else if (intent === 'list') {
+      const rows = filterRows(filters, sort, context);
+      matched = rows;
+      session.data.lastQuery = savableQuery(
+        filters,
+        sort,
+        fields,
+        plan.origin ? context.origin : null
+      );
 
       if (countOnly) {
         reply = `There are ${rows.length} listings that match your criteria.`;
       } else {
-        reply = formatList(rows, fields, limit || 100);
+        ({ reply, results } = showList(
+          session.data,
+          rows,
+          { fields: listFields(fields, sort), sort, pageSize: limit },
+          context
+        ));
       }
-    } else if (intent === 'details') {
-      let row;
-      let addr;
-
-      if (targetType === 'index' && index != null) {
-        const resIdx = ensureListingFromIndex(index);
-        if (resIdx.error) {
-          reply = resIdx.error;
+    } else if (intent === 'search') {
+      const search = textSearchRows(plan.query, filterRows(filters, null, context), context);
+      if (search.error) {
+        reply = search.error;
+      } else {
+        const hits = orderSearchHits(search.hits, sort, context);
+        matched = hits.map((h) => h.row);
+        session.data.lastQuery = savableQuery(
+          filters,
+          sort,
+          null,
+          plan.origin ? context.origin : null,
+          plan.query
+        );
+        if (countOnly) {
+          reply = `There are ${hits.length} listings matching "${plan.query}".`;
         } else {
-          row = resIdx.row;
-          addr = resIdx.displayAddress;
+          const view = {
+            kind: 'search',
+            fields: listFields(SEARCH_FIELDS, sort),
+            sort,
+            pageSize: limit,
+            query: plan.query,
+            terms: search.terms,
+            scores: hits.map((h) => Math.round(h.score * 100) / 100),
+          };
+          ({ reply, results } = showList(session.data, hits.map((h) => h.row), view, context));
         }
-      } else if (targetType === 'address') {
-        const listing = findListingByAddressLike(userText);
-        if (!listing) {
-          reply =
-            "I couldn't match that address to any listing in the CSV. Try copying it as it appears in the list.";
-        } else {
-          lastListing = listing;
-          row = listing.row;
-          addr = listing.displayAddress;
+      }
+    } else if (intent === 'aggregate') {
+      const rows = filterRows(filters, null, context);
+      matched = rows;
+      const agg = aggregateRows(rows, aggregate, context);
+      reply = formatAggregate(agg, sort);
+      results = buildAggregateResults(agg);
+    } else if (intent === 'changes') {
+      const since = plan.since || null;
+      const types = Array.isArray(plan.changeTypes)
+        ? plan.changeTypes.filter((t) => CHANGE_TYPES.includes(t))
+        : null;
+      const changes = changesSince(since);
+      reply = formatChangeReport(changes, since, types);
+
+      // new listings become the list context so "#2" works right after
+      if (!types || !types.length || types.includes('new')) {
+        const newRows = changes.merged.newListings
+          .slice(0, 25)
+          .map((l) => mlsById.get(l.listingId))
+          .filter(Boolean);
+        matched = newRows;
+        if (newRows.length) {
+          rememberList(session.data, newRows, { fields: ['price', 'beds', 'baths'], pageSize: newRows.length }, context);
+          results = buildListResults(newRows, ['price', 'beds', 'baths'], 25, null, context);
         }
-      } else if (targetType === 'last') {
-        if (!lastListing) {
-          reply =
-            "I'm not sure which property you mean. Ask about a specific listing first (for example, 'details for #11').";
+      }
+    } else if (intent === 'saved_search') {
+      const spec = plan.savedSearch && typeof plan.savedSearch === 'object' ? plan.savedSearch : {};
+      const handled = handleSavedSearch(session.data, spec, audience, req.clientId);
+      reply = handled.reply;
+      results = handled.results || null;
+    } else if (intent === 'export') {
+      const format = EXPORT_FORMATS.includes(plan.format) ? plan.format : 'csv';
+      let refs = [];
+      if (targetType === 'index' && index != null) {
+        const resIdx = ensureListingFromIndex(session.data, index);
+        if (resIdx.error) reply = resIdx.error;
+        else refs = [session.data.lastListing];
+      } else {
+        // flyers default to the listing being discussed, spreadsheets to the list
+        const wantsListing =
+          targetType === 'last' || (format === 'flyer' && targetType !== 'list');
+        refs = exportRefs(session.data, wantsListing && session.data.lastListing ? 'listing' : 'list');
+      }
+
+      if (!reply) {
+        const spec = {
+          format,
+          refs,
+          fields: fields && fields.length ? fields : session.data.lastListFields,
+          audience,
+          ...exportContext(session.data, plan.financing ? context.financing : null),
+        };
+        matched = refs.map(rowFromRef).filter(Boolean);
+        const file = buildExport(spec);
+        if (file.error) {
+          reply = file.error;
         } else {
-          row = lastListing.row;
-          addr = lastListing.displayAddress;
+          const url = createExportLink(spec);
+          const what =
+            refs.length === 1 ? refs[0].displayAddress : `${refs.length} listings`;
+          const label = { csv: 'CSV', xlsx: 'Excel (XLSX)', flyer: 'printable flyer' }[format];
+          download = { url, filename: file.filename, format };
+          reply = `Your ${label} for ${what} is ready: ${url}\n(The link works for 30 minutes.)`;
         }
+      }
+    } else if (intent === 'cma') {
+      const target = resolveListingTarget(session.data, targetType || 'last', index, userText);
+      if (target.error) {
+        reply = target.error;
       } else {
-        reply =
-          "I couldn't tell which specific listing you meant. Try '#11' or a full address like '123 Main St, Burbank, CA'.";
+        const maxComps = limit ? Math.min(Math.max(limit, 1), 15) : CMA_MAX_COMPS;
+        const cma = runCma(target.row, context, maxComps);
+        if (cma.error) {
+          reply = cma.error;
+        } else {
+          matched = [target.row, ...cma.comps];
+          reply = formatCma(cma, target.displayAddress);
+          // comps become the list so "#2" and "export this" work next
+          rememberList(session.data, cma.comps, { fields: CMA_FIELDS, pageSize: cma.comps.length }, cma.context);
+          results = buildListResults(cma.comps, CMA_FIELDS, cma.comps.length, null, cma.context);
+        }
       }
+    } else if (intent === 'details') {
+      const { row, error } = resolveListingTarget(session.data, targetType, index, userText);
+      if (error) reply = error;
 
       if (row) {
-        reply = formatDetails(row, fields);
+        matched = [row];
+        reply = formatDetails(row, fields, context);
+        // the full summary is the one worth sending on to a client
+        const shareLine = !fields || !fields.length ? shareLinkLine(req, row, audience) : null;
+        if (shareLine) reply += `\n\n${shareLine}`;
+        results = buildDetailsResults(
+          row,
+          fields,
+          context,
+          targetType === 'index' ? index : null
+        );
+      }
+    } else if (intent === 'monthly_cost') {
+      const target = resolveListingTarget(session.data, targetType || 'last', index, userText);
+      if (target.error) {
+        reply = target.error;
+      } else {
+        matched = [target.row];
+        reply = formatMonthlyCost(target.row, target.displayAddress, context);
+        results = buildMonthlyCostResults(target.row, context, targetType === 'index' ? index : null);
+      }
+    } else if (intent === 'price_change') {
+      if (targetType && targetType !== 'list') {
+        const target = resolveListingTarget(session.data, targetType, index, userText);
+        if (target.error) {
+          reply = target.error;
+        } else {
+          matched = [target.row];
+          reply = formatPriceHistory(target.row, target.displayAddress, context);
+          results = buildDetailsResults(
+            target.row,
+            PRICE_DETAIL_FIELDS,
+            context,
+            targetType === 'index' ? index : null
+          );
+        }
+      } else {
+        const priceSort = sort || defaultPriceSort(filters);
+        const priceFilters = priceChangeFilters(filters);
+        const rows = filterRows(priceFilters, priceSort, context);
+        matched = rows;
+        session.data.lastQuery = savableQuery(
+          priceFilters,
+          priceSort,
+          PRICE_LIST_FIELDS,
+          plan.origin ? context.origin : null
+        );
+        if (countOnly) {
+          reply = `There are ${rows.length} listings with a matching price change.`;
+        } else {
+          ({ reply, results } = showList(
+            session.data,
+            rows,
+            { kind: 'price_change', fields: listFields(PRICE_LIST_FIELDS, priceSort), sort: priceSort, pageSize: limit },
+            context
+          ));
+        }
+      }
+    } else if (intent === 'compare') {
+      const cmp = runCompare(session.data, plan.targets, context);
+      matched = cmp.listings.map((l) => l.row);
+      reply = formatCompare(cmp);
+      results = buildCompareResults(cmp);
+    } else if (intent === 'page') {
+      const paged = turnPage(session.data, plan.page || {}, context);
+      if (paged.error) {
+        reply = paged.error;
+      } else {
+        matched = paged.rows;
+        ({ reply, results } = paged);
       }
+    } else if (intent === 'fields') {
+      reply = formatFieldList(context);
     } else if (intent === 'small_talk') {
       reply =
         "Hey! I'm Realtor GPT. I’m wired up to your MLS CSV so you can ask things like:\n\n" +
@@ -606,9 +4069,17 @@ app.post('/api/chat', async (req, res) => {
         '• "full profile for #11"';
     }
 
-    return res.json({ reply });
+    sessions.set(session.id, session.data);
+    const conversationId = recordTurn(req, session, audience, userText, plan, {
+      reply,
+      results,
+      download,
+    });
+    auditTurn(session, audience, conversationId, userText, { ...turn, plan, matched, reply });
+    return res.json({ sessionId: session.id, conversationId, audience, reply, results, download });
   } catch (err) {
     console.error('Server error while executing plan:', err);
+    auditTurn(session, audience, null, userText, { ...turn, plan, matched, error: err.message });
     return res
       .status(500)
       .json({ error: 'Server error while answering your question.' });
@@ -0,0 +1,383 @@
+// test/replay.js
+//
+// Golden-question replay: runs every case in test/golden.json against a real
+// server.js, with a fixture CSV (test/fixtures) and a mock OpenAI-compatible
+// planner that hands back the plans written in the suite. Each turn's plan,
+// matched ListingIds and reply are read back from the audit log and checked,
+// so edits to plannerSystemPrompt, validation or applyFilter can be
+// regression-tested offline. A turn can also be a plain HTTP request, for the
+// REST endpoints around the chat.
+//
+//   npm test                  run the whole suite
+//   npm test -- compare       only cases whose name contains "compare"
+//   npm test -- --verbose     print each turn's plan and reply
+//
+// Suite format:
+//   {
+//     "systemPrompt": { "mentions": ["list", ...] },
+//     "cases": [{
+//       "name": "...",
+//       "audience": "public",          // optional, default "agent"
+//       "turns": [{
+//         "ask": "cheapest 3 beds in Burbank",
+//         "planner": { ...plan } | [{ ...first try }, { ...repaired }],
+//         "expect": {
+//           "plan": { ... },           // subset of the validated plan
+//           "repaired": true,          // a second planner call was needed
+//           "errors": true,            // the plan never validated
+//           "matched": ["GF-1001"],    // ListingIds, in order
+//           "count": 3,                // how many rows matched
+//           "reply": ["substring"],    // must all appear in the reply
+//           "notReply": ["substring"]  // must not appear
+//         }
+//       }, {
+//         "request": "GET /api/listings?ListPrice[gt]=800000",
+//         "body": { ... },             // optional JSON body
+//         "save": { "token": "token" },  // keep json.token for "${token}" later on
+//         "expect": {
+//           "status": 200,
+//           "json": { ... },           // subset of the JSON response
+//           "body": ["substring"],     // must all appear in the raw response
+//           "notBody": ["substring"]   // must not appear
+//         }
+//       }]
+//     }]
+//   }
+// A turn without "planner" must not reach the planner (e.g. "hi"). A case's
+// audience is sent with its requests as ?audience=; saved values carry over
+// to later cases. Each case is its own client: it keeps the cookies the
+// server sets and starts without any, so a chat turn's "save" (e.g.
+// { "convo": "conversationId" }) lets a later case try someone else's ids.
+// A request that answers with a sessionId (resuming a conversation) moves
+// the case's later chat turns onto that session.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const { readAuditLog } = require('../lib/auditLog');
+
+const ROOT = path.join(__dirname, '..');
+const SUITE_FILE = path.join(__dirname, 'golden.json');
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+const START_TIMEOUT_MS = 15000;
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const only = args.filter((a) => !a.startsWith('--')).map((a) => a.toLowerCase());
+
+// -------------------- MOCK PLANNER --------------------
+// Answers /chat/completions with the next queued plan. The system prompt it
+// was sent is kept for the suite's prompt checks.
+function startMockPlanner() {
+  const state = { queue: [], calls: 0, systemPrompt: null };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const request = JSON.parse(body || '{}');
+      const system = (request.messages || []).find((m) => m.role === 'system');
+      if (system) state.systemPrompt = system.content;
+      state.calls++;
+
+      res.setHeader('Content-Type', 'application/json');
+      if (!state.queue.length) {
+        res.statusCode = 500;
+        res.end(JSON.stringify({ error: { message: 'Mock planner has no plan queued for this turn.' } }));
+        return;
+      }
+      const plan = state.queue.shift();
+      res.end(JSON.stringify({ choices: [{ message: { content: JSON.stringify(plan) } }] }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, state, port: server.address().port }));
+  });
+}
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = http.createServer();
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// -------------------- SERVER UNDER TEST --------------------
+async function startServer(plannerPort, workDir) {
+  const port = await freePort();
+  const env = {
+    ...process.env,
+    PORT: String(port),
+    MLS_DATA_DIR: FIXTURE_DIR,
+    MLS_WATCH: 'false',
+    PLANNER: 'openai',
+    PLANNER_BASE_URL: `http://127.0.0.1:${plannerPort}/v1`,
+    PLANNER_API_KEY: 'replay',
+    PLANNER_FALLBACK: 'false',
+    SESSION_STORE: 'memory',
+    DEFAULT_AUDIENCE: 'agent',
+    AGENT_TOKEN: 'replay-agent',
+    ADMIN_TOKEN: '',
+    FIELD_POLICY_FILE: '',
+    AUDIT_LOG: 'true',
+    AUDIT_LOG_DIR: workDir,
+    CHANGE_LOG_FILE: path.join(workDir, 'changes.json'),
+    SAVED_SEARCHES_FILE: path.join(workDir, 'saved-searches.json'),
+    CONVERSATIONS_FILE: path.join(workDir, 'conversations.json'),
+    SHARE_LINKS_FILE: path.join(workDir, 'share-links.json'),
+  };
+  const child = spawn(process.execPath, ['server.js'], { cwd: ROOT, env, stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  child.stdout.on('data', (d) => (output += d));
+  child.stderr.on('data', (d) => (output += d));
+
+  const base = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode != null) break;
+    try {
+      await fetch(base + '/');
+      return { child, base, output: () => output };
+    } catch {
+      await new Promise((r) => setTimeout(r, 200));
+    }
+  }
+  child.kill();
+  throw new Error('server.js did not start:\n' + output);
+}
+
+// -------------------- ASSERTIONS --------------------
+// Every key in `expected` must match in `actual`; arrays match element-wise.
+function subsetMismatch(expected, actual, at = 'plan') {
+  if (expected === null || typeof expected !== 'object') {
+    return expected === actual ? null : `${at}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`;
+  }
+  if (actual === null || typeof actual !== 'object') {
+    return `${at}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`;
+  }
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) {
+      return `${at}: expected ${expected.length} items, got ${JSON.stringify(actual)}`;
+    }
+  }
+  for (const key of Object.keys(expected)) {
+    const problem = subsetMismatch(expected[key], actual[key], Array.isArray(expected) ? `${at}[${key}]` : `${at}.${key}`);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+function checkTurn(expect, entry, reply) {
+  const problems = [];
+  if (!entry) return ['no audit log entry was written for this turn'];
+  if (entry.error) problems.push(`server error: ${entry.error}`);
+
+  if (expect.plan) {
+    const problem = subsetMismatch(expect.plan, entry.plan);
+    if (problem) problems.push(problem);
+  }
+  if (expect.repaired != null && Boolean(entry.repaired) !== expect.repaired) {
+    problems.push(expect.repaired ? 'expected the plan to need a repair' : 'plan was unexpectedly repaired');
+  }
+  if (expect.errors != null && Boolean(entry.errors) !== expect.errors) {
+    problems.push(expect.errors ? 'expected validation errors' : `unexpected validation errors: ${JSON.stringify(entry.errors)}`);
+  }
+
+  const ids = entry.matched ? entry.matched.ids : [];
+  if (expect.matched && JSON.stringify(expect.matched) !== JSON.stringify(ids)) {
+    problems.push(`matched: expected ${JSON.stringify(expect.matched)}, got ${JSON.stringify(ids)}`);
+  }
+  if (expect.count != null && (entry.matched ? entry.matched.count : 0) !== expect.count) {
+    problems.push(`count: expected ${expect.count}, got ${entry.matched ? entry.matched.count : 0}`);
+  }
+
+  (expect.reply || []).forEach((text) => {
+    if (!String(reply).includes(text)) problems.push(`reply is missing "${text}"`);
+  });
+  (expect.notReply || []).forEach((text) => {
+    if (String(reply).includes(text)) problems.push(`reply should not contain "${text}"`);
+  });
+  return problems;
+}
+
+function checkResponse(expect, status, text, json) {
+  const problems = [];
+  if (expect.status != null && status !== expect.status) {
+    problems.push(`status: expected ${expect.status}, got ${status}`);
+  }
+  if (expect.json) {
+    const problem = json === undefined ? 'the response is not JSON' : subsetMismatch(expect.json, json, 'json');
+    if (problem) problems.push(problem);
+  }
+  (expect.body || []).forEach((t) => {
+    if (!text.includes(t)) problems.push(`response is missing "${t}"`);
+  });
+  (expect.notBody || []).forEach((t) => {
+    if (text.includes(t)) problems.push(`response should not contain "${t}"`);
+  });
+  return problems;
+}
+
+// "${name}" -> a value saved by an earlier request
+function fillIn(text, vars) {
+  return text.replace(/\$\{(\w+)\}/g, (m, name) => (name in vars ? encodeURIComponent(vars[name]) : m));
+}
+
+// -------------------- RUN --------------------
+// Cookies per case, so each case is a separate browser.
+function createCookieJar() {
+  const cookies = new Map();
+  return {
+    header() {
+      return [...cookies].map(([k, v]) => `${k}=${v}`).join('; ');
+    },
+    store(res) {
+      res.headers.getSetCookie().forEach((line) => {
+        const [pair] = line.split(';');
+        const at = pair.indexOf('=');
+        cookies.set(pair.slice(0, at).trim(), pair.slice(at + 1).trim());
+      });
+    },
+  };
+}
+
+function saveValues(save, json, vars) {
+  Object.entries(save || {}).forEach(([name, key]) => {
+    if (json && json[key] != null) vars[name] = json[key];
+  });
+}
+
+async function runRequest(c, turn, { base, vars, jar }) {
+  const [method, rawPath] = turn.request.split(/\s+/);
+  const url = new URL(fillIn(rawPath, vars), base);
+  if (c.audience) url.searchParams.set('audience', c.audience);
+  const res = await fetch(url, {
+    method,
+    headers: { Cookie: jar.header(), ...(turn.body ? { 'Content-Type': 'application/json' } : {}) },
+    body: turn.body ? fillIn(JSON.stringify(turn.body), vars) : undefined,
+  });
+  jar.store(res);
+  const text = await res.text();
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    json = undefined;
+  }
+  saveValues(turn.save, json, vars);
+  return {
+    sessionId: json && json.sessionId,
+    problems: checkResponse(turn.expect || {}, res.status, text, json),
+    detail: [`    status: ${res.status}`, `    body:   ${text.slice(0, 400)}`],
+  };
+}
+
+async function runCase(c, { base, planner, auditFile, vars }) {
+  const messages = [];
+  let sessionId;
+  const failures = [];
+  const jar = createCookieJar();
+
+  for (const [i, turn] of c.turns.entries()) {
+    if (turn.request) {
+      const { sessionId: resumed, problems, detail } = await runRequest(c, turn, { base, vars, jar });
+      sessionId = resumed || sessionId;
+      if (verbose || problems.length) failures.push({ where: `  turn ${i + 1}: ${turn.request}`, problems, detail });
+      continue;
+    }
+
+    planner.queue = turn.planner == null ? [] : [].concat(turn.planner);
+    const callsBefore = planner.calls;
+    const seen = readAuditLog(auditFile).length;
+
+    messages.push({ role: 'user', content: turn.ask });
+    const res = await fetch(base + '/api/chat', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Cookie: jar.header() },
+      body: JSON.stringify({ sessionId, messages, audience: c.audience }),
+    });
+    jar.store(res);
+    const data = await res.json();
+    saveValues(turn.save, data, vars);
+    sessionId = data.sessionId || sessionId;
+    const reply = data.reply || data.error || '';
+    messages.push({ role: 'assistant', content: reply });
+
+    const entry = readAuditLog(auditFile)[seen];
+    const problems = checkTurn(turn.expect || {}, entry, reply);
+    if (turn.planner == null && planner.calls !== callsBefore) {
+      problems.push('the planner was called but the turn has no planner output');
+    }
+    if (planner.queue.length) problems.push(`${planner.queue.length} queued plan(s) were never used`);
+
+    if (verbose || problems.length) {
+      const where = `  turn ${i + 1}: "${turn.ask}"`;
+      const detail = [
+        `    plan:  ${JSON.stringify(entry && entry.plan)}`,
+        `    reply: ${reply.split('\n').join('\n           ')}`,
+      ];
+      failures.push({ where, problems, detail });
+    }
+  }
+  return failures;
+}
+
+async function main() {
+  const suite = JSON.parse(fs.readFileSync(SUITE_FILE, 'utf8'));
+  const cases = suite.cases.filter(
+    (c) => !only.length || only.some((o) => c.name.toLowerCase().includes(o))
+  );
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+  const auditFile = path.join(workDir, 'audit.log');
+
+  const mock = await startMockPlanner();
+  let app;
+  let failed = 0;
+  try {
+    app = await startServer(mock.port, workDir);
+    console.log(`🧪 Replaying ${cases.length} golden case(s) against ${path.relative(ROOT, FIXTURE_DIR)}`);
+
+    const vars = {};
+    for (const c of cases) {
+      const failures = await runCase(c, { base: app.base, planner: mock.state, auditFile, vars });
+      const broken = failures.some((f) => f.problems.length);
+      if (broken) failed++;
+      console.log(`${broken ? '❌' : '✅'} ${c.name}`);
+      failures.forEach((f) => {
+        console.log(f.where);
+        f.problems.forEach((p) => console.log(`    ✗ ${p}`));
+        f.detail.forEach((d) => console.log(d));
+      });
+    }
+
+    const mentions = (suite.systemPrompt && suite.systemPrompt.mentions) || [];
+    if (mentions.length && !only.length) {
+      const prompt = mock.state.systemPrompt || '';
+      const missing = mentions.filter((m) => !prompt.includes(m));
+      if (missing.length) failed++;
+      console.log(
+        missing.length
+          ? `❌ system prompt is missing: ${missing.join(', ')}`
+          : `✅ system prompt mentions all ${mentions.length} required terms`
+      );
+    }
+  } finally {
+    if (app) app.child.kill();
+    mock.server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log(failed ? `\n${failed} failure(s).` : '\nAll golden questions passed.');
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});